@@ -212,15 +212,16 @@ function generateModel(tableInfo, relationshipMap, options = {}) {
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
     .join('');
 
-  // Colonnes fillable (exclure id, timestamps, clés étrangères si demandé)
-  const fillable = columns
-    .filter(col => {
-      if (col.name === 'id') return false;
-      if (col.name === 'created_at' || col.name === 'updated_at') return false;
-      if (options.excludeForeignKeys && col.name.endsWith('_id')) return false;
-      return true;
-    })
-    .map(col => col.name);
+  // Colonnes protégées (id, timestamps, clés étrangères si demandé)
+  const isProtected = col => {
+    if (col.name === 'id') return true;
+    if (col.name === 'created_at' || col.name === 'updated_at') return true;
+    return Boolean(options.excludeForeignKeys && col.name.endsWith('_id'));
+  };
+
+  // fillable (liste blanche) par défaut, guarded (liste noire) si demandé
+  const fillable = options.useGuarded ? [] : columns.filter(col => !isProtected(col)).map(col => col.name);
+  const guarded = options.useGuarded ? columns.filter(isProtected).map(col => col.name) : [];
 
   // Colonnes hidden (password, token, secret, etc.)
   const hidden = columns
@@ -299,6 +300,14 @@ function generateModel(tableInfo, relationshipMap, options = {}) {
     code += `  ];\n`;
   }
 
+  if (guarded.length > 0) {
+    code += `  static guarded = [\n`;
+    guarded.forEach((col, i) => {
+      code += `    '${col}'${i < guarded.length - 1 ? ',' : ''}\n`;
+    });
+    code += `  ];\n`;
+  }
+
   if (hidden.length > 0) {
     code += `  static hidden = [\n`;
     hidden.forEach((col, i) => {
@@ -438,8 +447,10 @@ async function convertFromFile() {
   }
 
   const excludeFk = await question('Exclure les clés étrangères de fillable? (o/N): ');
+  const useGuarded = await question('Générer guarded (colonnes protégées) au lieu de fillable? (o/N): ');
   const options = {
-    excludeForeignKeys: excludeFk.toLowerCase() === 'o' || excludeFk.toLowerCase() === 'y'
+    excludeForeignKeys: excludeFk.toLowerCase() === 'o' || excludeFk.toLowerCase() === 'y',
+    useGuarded: useGuarded.toLowerCase() === 'o' || useGuarded.toLowerCase() === 'y'
   };
 
   // Parser toutes les tables
@@ -593,8 +604,10 @@ async function convertFromDatabase() {
     }
 
     const excludeFk = await question('Exclure les clés étrangères de fillable? (o/N): ');
+    const useGuarded = await question('Générer guarded (colonnes protégées) au lieu de fillable? (o/N): ');
     const options = {
-      excludeForeignKeys: excludeFk.toLowerCase() === 'o' || excludeFk.toLowerCase() === 'y'
+      excludeForeignKeys: excludeFk.toLowerCase() === 'o' || excludeFk.toLowerCase() === 'y',
+      useGuarded: useGuarded.toLowerCase() === 'o' || useGuarded.toLowerCase() === 'y'
     };
 
     // Parser toutes les tables
@@ -41,7 +41,7 @@ async function main() {
   }
 
   // Fallback to interactive menu
-  await runMigrationCommands();
+  await runMigrationCommands(parseFlags(process.argv.slice(2)));
 
   rl.close();
 }
@@ -219,21 +219,20 @@ function parseFlags(argv) {
   const stepsRe = /(?:--steps(?:=|\s+)|-s\s+)(\S+)/;
   const stepsMatch = stepsRe.exec(text);
   if (stepsMatch) flags.steps = coerce(stepsMatch[1]);
+  // Named connection: "--connection name", "--connection=name", "-c name"
+  const connectionMatch = /(?:--connection(?:=|\s+)|-c\s+)(\S+)/.exec(text);
+  if (connectionMatch) flags.connection = connectionMatch[1];
   return flags;
 }
 
-function coerce(val) {
-  if (val === 'true') return true;
-  if (val === 'false') return false;
-  const n = Number(val);
-  return Number.isNaN(n) ? val : n;
-}
-
 /**
- * Run migration commands non-interactively
+ * Load the database configuration from database/config.js, or from .env when missing.
+ * config.js may export one config, or named ones:
+ * { default: 'main', connections: { main: {...}, analytics: {...} } }
+ * @param {string} [connectionName] - Value of --connection
+ * @returns {Object|null} null when no usable configuration was found
  */
-async function runNonInteractive(cmd, flags) {
-  // Load database configuration
+function loadDatabaseConfig(connectionName) {
   const dbConfigPath = path.join(process.cwd(), 'database', 'config.js');
 
   // Prefer database/config.js; if missing, allow env-based config via .env
@@ -257,10 +256,49 @@ async function runNonInteractive(cmd, flags) {
       console.error(`  Make sure ${dbConfigPath} exists OR provide .env variables like DB_DRIVER, DB_HOST, DB_DATABASE`);
       console.error('  Run "outlet-init" to create the configuration');
       console.error(`  Details: ${error.message}`);
-      return;
+      return null;
+    }
+  }
+
+  if (dbConfig.connections) {
+    const names = Object.keys(dbConfig.connections);
+    // Without a `default`, the first connection defined is used
+    const name = connectionName || dbConfig.default || names[0];
+    if (!name) {
+      console.error(`\n✗ Error: No connections defined in ${dbConfigPath}`);
+      return null;
+    }
+    if (!dbConfig.connections[name]) {
+      console.error(`\n✗ Error: Unknown connection '${name}'`);
+      console.error(`  Connections defined in ${dbConfigPath}: ${names.join(', ')}`);
+      return null;
     }
+    console.log(`Using connection: ${name}`);
+    return dbConfig.connections[name];
   }
 
+  if (connectionName) {
+    console.error(`\n✗ Error: --connection ${connectionName} requires named connections in ${dbConfigPath}`);
+    console.error("  Export { default: 'main', connections: { main: {...}, analytics: {...} } }");
+    return null;
+  }
+  return dbConfig;
+}
+
+function coerce(val) {
+  if (val === 'true') return true;
+  if (val === 'false') return false;
+  const n = Number(val);
+  return Number.isNaN(n) ? val : n;
+}
+
+/**
+ * Run migration commands non-interactively
+ */
+async function runNonInteractive(cmd, flags) {
+  const dbConfig = loadDatabaseConfig(flags.connection);
+  if (!dbConfig) return;
+
   const { DatabaseConnection } = require('../lib/Database/DatabaseConnection');
   const MigrationManager = require('../lib/Migrations/MigrationManager');
 
@@ -327,7 +365,7 @@ async function runNonInteractive(cmd, flags) {
 /**
  * Run migration commands (migrate, rollback, etc.)
  */
-async function runMigrationCommands() {
+async function runMigrationCommands(flags = {}) {
   console.log('Select a migration command:\n');
   console.log('1. migrate         - Run all pending migrations');
   console.log('2. rollback        - Rollback the last batch of migrations');
@@ -344,31 +382,8 @@ async function runMigrationCommands() {
     return;
   }
 
-  // Load database configuration
-  const dbConfigPath = path.join(process.cwd(), 'database', 'config.js');
-
-  let dbConfig;
-  try {
-    dbConfig = require(dbConfigPath);
-  } catch (error) {
-    require('dotenv').config();
-    const env = process.env || {};
-    dbConfig = {
-      driver: env.DB_DRIVER || env.DATABASE_DRIVER,
-      host: env.DB_HOST,
-      port: env.DB_PORT ? Number(env.DB_PORT) : undefined,
-      user: env.DB_USER || env.DB_USERNAME,
-      password: env.DB_PASSWORD,
-      database: env.DB_DATABASE || env.DB_NAME || env.DB_FILE || env.SQLITE_DB || env.SQLITE_FILENAME
-    };
-    if (!dbConfig.driver) {
-      console.error('\n✗ Error: Could not load database configuration');
-      console.error(`  Make sure ${dbConfigPath} exists OR provide .env variables like DB_DRIVER, DB_HOST, DB_DATABASE`);
-      console.error('  Run "outlet-init" to create the configuration');
-      console.error(`  Details: ${error.message}`);
-      return;
-    }
-  }
+  const dbConfig = loadDatabaseConfig(flags.connection);
+  if (!dbConfig) return;
 
   const { DatabaseConnection } = require('../lib/Database/DatabaseConnection');
   const MigrationManager = require('../lib/Migrations/MigrationManager');
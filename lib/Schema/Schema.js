@@ -281,6 +281,13 @@ class Blueprint {
     return this.timestamp(columnName).nullable();
   }
 
+  /**
+   * Create the version column used by optimistic locking (Model.versionColumn)
+   */
+  lockVersion(columnName = 'lock_version') {
+    return this.integer(columnName).default(0);
+  }
+
   /**
    * Create a decimal column
    */
@@ -326,6 +333,15 @@ class Blueprint {
     return column;
   }
 
+  /**
+   * Create a ULID column
+   */
+  ulid(columnName) {
+    const column = new ColumnDefinition(columnName, 'CHAR', { length: 26 });
+    this.columns.push(column);
+    return column;
+  }
+
   /**
    * Create a foreign ID column
    */
@@ -0,0 +1,125 @@
+/**
+ * Query result cache (QueryBuilder.remember())
+ *
+ * A cache store implements, synchronously or returning promises:
+ * - get(key): the cached value, or undefined
+ * - put(key, value, ttl, tags): ttl in seconds (null = no expiry), tags = table names
+ * - forget(key)
+ * - flushTags(tags): drop every entry carrying one of the tags
+ * - flush()
+ */
+
+/**
+ * Deep copy of a cached value. Unlike structuredClone(), Buffers (BLOB columns)
+ * stay Buffers, so cached rows have the same types as uncached ones.
+ * @param {any} value
+ * @returns {any}
+ */
+function cloneValue(value) {
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value === null || typeof value !== 'object') return value;
+
+  // Plain objects (rows) from any realm; other objects keep structuredClone()
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== null && Object.getPrototypeOf(proto) !== null) return structuredClone(value);
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = cloneValue(item);
+  }
+  return copy;
+}
+
+/**
+ * In-memory LRU store, the default. Values are cloned on the way in and out,
+ * so hydrated models never share state with the cache.
+ */
+class MemoryStore {
+  /**
+   * @param {{maxEntries?: number}} [options] - Least recently used entries are evicted past maxEntries
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.forget(key);
+      return undefined;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return cloneValue(entry.value);
+  }
+
+  put(key, value, ttl = null, tags = []) {
+    this.forget(key);
+    const expiresAt = ttl === null || ttl === undefined ? null : Date.now() + ttl * 1000;
+    this.entries.set(key, { value: cloneValue(value), expiresAt, tags });
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.forget(this.entries.keys().next().value);
+    }
+  }
+
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      this.tags.get(tag)?.delete(key);
+    }
+  }
+
+  flushTags(tags) {
+    for (const tag of tags) {
+      for (const key of this.tags.get(tag) || []) {
+        this.forget(key);
+      }
+      this.tags.delete(tag);
+    }
+  }
+
+  flush() {
+    this.entries.clear();
+    this.tags.clear();
+  }
+}
+
+let store = new MemoryStore();
+
+/**
+ * The cache store used by remember() and write invalidation
+ * @returns {Object}
+ */
+function getCacheStore() {
+  return store;
+}
+
+/**
+ * Replace the cache store (e.g. a Redis-backed one shared between processes)
+ * @param {Object} cacheStore
+ */
+function setCacheStore(cacheStore) {
+  store = cacheStore;
+}
+
+/**
+ * Cache tag of a table reference ('users', 'users AS u' or 'users u')
+ * @param {string} table
+ * @returns {string}
+ */
+function tableTag(table) {
+  return String(table).trim().split(/\s+/)[0];
+}
+
+module.exports = { MemoryStore, getCacheStore, setCacheStore, tableTag };
@@ -0,0 +1,87 @@
+/**
+ * Attribute casts
+ * A cast converts a value read from the database into its JavaScript form (get)
+ * and a JavaScript value into the form written to the database (set).
+ * Both receive (value, key, model); model is null for bulk query builder writes.
+ * null and undefined values are never passed to a cast.
+ */
+
+const toJsonString = value => (typeof value === 'string' ? value : JSON.stringify(value));
+const fromJsonString = value => (typeof value === 'string' ? JSON.parse(value) : value);
+const toDate = value => (value instanceof Date ? value : new Date(value));
+const toInt = value => parseInt(value, 10);
+
+const integerCast = { get: toInt, set: toInt };
+const floatCast = { get: value => parseFloat(value), set: value => parseFloat(value) };
+const booleanCast = { get: value => Boolean(value), set: value => Boolean(value) };
+const jsonCast = { get: fromJsonString, set: toJsonString };
+const dateCast = { get: toDate, set: toDate };
+
+const builtInCasts = {
+  int: integerCast,
+  integer: integerCast,
+  float: floatCast,
+  double: floatCast,
+  string: { get: value => String(value), set: value => String(value) },
+  bool: booleanCast,
+  boolean: booleanCast,
+  array: jsonCast,
+  json: jsonCast,
+  object: jsonCast,
+  date: dateCast,
+  datetime: dateCast,
+  timestamp: dateCast
+};
+
+const customCasts = new Map();
+const resolvedCache = new Map();
+
+/**
+ * Register a custom cast by name, usable as `casts = { price: 'money' }`.
+ * Arguments can be passed after a colon (`'money:EUR'`, `'enum:draft,published'`):
+ * cast classes receive them as constructor arguments.
+ * @param {string} name
+ * @param {Function|{get: Function, set: Function}} cast - Cast class or cast object
+ */
+function registerCast(name, cast) {
+  if (typeof cast !== 'function' && (typeof cast?.get !== 'function' || typeof cast?.set !== 'function')) {
+    throw new Error(`Cast '${name}' must be a class or an object with get() and set()`);
+  }
+  customCasts.set(name, cast);
+  for (const key of resolvedCache.keys()) {
+    if (key === name || key.startsWith(`${name}:`)) resolvedCache.delete(key);
+  }
+}
+
+/**
+ * Resolve a cast definition (name, 'name:args', class or object) to a cast object
+ * @param {string|Function|Object} definition
+ * @returns {{get: Function, set: Function}|null} null when the definition is unknown
+ */
+function resolveCast(definition) {
+  if (!definition) return null;
+  if (typeof definition === 'object') return definition;
+  if (typeof definition === 'function') {
+    if (!resolvedCache.has(definition)) resolvedCache.set(definition, new definition());
+    return resolvedCache.get(definition);
+  }
+
+  if (resolvedCache.has(definition)) return resolvedCache.get(definition);
+
+  const separator = definition.indexOf(':');
+  const name = separator === -1 ? definition : definition.slice(0, separator);
+  const args = separator === -1 ? [] : definition.slice(separator + 1).split(',').map(a => a.trim());
+
+  let cast = null;
+  if (customCasts.has(name)) {
+    const custom = customCasts.get(name);
+    cast = typeof custom === 'function' ? new custom(...args) : custom;
+  } else if (builtInCasts[name]) {
+    cast = builtInCasts[name];
+  }
+
+  resolvedCache.set(definition, cast);
+  return cast;
+}
+
+module.exports = { registerCast, resolveCast, builtInCasts };
@@ -0,0 +1,231 @@
+/**
+ * Collection of models returned by queries and to-many relations.
+ * It is a real Array (indexing, length, map/filter/for...of, Array.isArray)
+ * with model helpers on top; map/filter/slice... return Collections too.
+ */
+class Collection extends Array {
+  /**
+   * Create a collection from an array or iterable
+   * @param {Iterable<any>} [items]
+   * @returns {Collection}
+   */
+  static make(items = []) {
+    return items instanceof Collection ? items : Collection.from(items);
+  }
+
+  /**
+   * Read a value from an item: model attribute, plain object property or callback result
+   * @param {any} item
+   * @param {string|Function} key
+   * @returns {any}
+   * @private
+   */
+  static valueOf(item, key) {
+    if (typeof key === 'function') return key(item);
+    if (item && typeof item.getAttribute === 'function') return item.getAttribute(key);
+    return item == null ? undefined : item[key];
+  }
+
+  /**
+   * Primary key of a model (or the item itself for scalar values)
+   * @param {any} item
+   * @returns {any}
+   * @private
+   */
+  static keyOf(item) {
+    if (item && typeof item.getKey === 'function') {
+      return item.getKey();
+    }
+    return item;
+  }
+
+  /**
+   * Comparable form of a key: '1' and 1 match, composite keys compare column by column
+   * @param {any} key
+   * @returns {string}
+   * @private
+   */
+  static keyString(key) {
+    return Array.isArray(key) ? JSON.stringify(key.map(String)) : String(key);
+  }
+
+  /**
+   * Get the values of an attribute, or an object of values keyed by another attribute
+   * @param {string} key
+   * @param {string} [keyBy]
+   * @returns {Array<any>|Object<string, any>}
+   */
+  pluck(key, keyBy) {
+    if (keyBy === undefined) {
+      return Array.from(this, item => Collection.valueOf(item, key));
+    }
+    const result = {};
+    for (const item of this) {
+      result[Collection.valueOf(item, keyBy)] = Collection.valueOf(item, key);
+    }
+    return result;
+  }
+
+  /**
+   * Key the items by an attribute (the last item wins on duplicates)
+   * @param {string|Function} key
+   * @returns {Object<string, any>}
+   */
+  keyBy(key) {
+    const result = {};
+    for (const item of this) {
+      result[Collection.valueOf(item, key)] = item;
+    }
+    return result;
+  }
+
+  /**
+   * Group the items by an attribute
+   * @param {string|Function} key
+   * @returns {Object<string, Collection>}
+   */
+  groupBy(key) {
+    const result = {};
+    for (const item of this) {
+      const group = Collection.valueOf(item, key);
+      if (!result[group]) result[group] = new Collection();
+      result[group].push(item);
+    }
+    return result;
+  }
+
+  /**
+   * Get the primary keys of the models
+   * @returns {Array<any>}
+   */
+  modelKeys() {
+    return Array.from(this, item => Collection.keyOf(item));
+  }
+
+  /**
+   * Find a model by primary key (or several with an array of keys).
+   * With a composite key, find([a, b]) finds one model and find([[a, b], [c, d]]) several.
+   * A function argument keeps the Array.prototype.find behavior.
+   * @param {any|Array<any>|Function} id
+   * @param {any} [thisArg] - Only used with a predicate
+   * @returns {Model|Collection|undefined}
+   */
+  find(id, thisArg) {
+    if (typeof id === 'function') return super.find(id, thisArg);
+
+    const composite = this.length > 0 && Array.isArray(this[0].constructor.primaryKey);
+    if (Array.isArray(id) && (!composite || Array.isArray(id[0]))) {
+      const wanted = new Set(id.map(Collection.keyString));
+      return this.filter(item => wanted.has(Collection.keyString(Collection.keyOf(item))));
+    }
+    const wanted = Collection.keyString(id);
+    return super.find(item => Collection.keyString(Collection.keyOf(item)) === wanted);
+  }
+
+  /**
+   * Get the items whose primary key (or value) is not present in the given items
+   * @param {Iterable<any>} items
+   * @returns {Collection}
+   */
+  diff(items) {
+    const keys = new Set(Array.from(items, item => Collection.keyString(Collection.keyOf(item))));
+    return this.filter(item => !keys.has(Collection.keyString(Collection.keyOf(item))));
+  }
+
+  /**
+   * Remove duplicates by attribute, by primary key for models, or by value
+   * @param {string|Function} [key]
+   * @returns {Collection}
+   */
+  unique(key) {
+    const seen = new Set();
+    return this.filter(item => {
+      const value = key === undefined ? Collection.keyString(Collection.keyOf(item)) : Collection.valueOf(item, key);
+      if (seen.has(value)) return false;
+      seen.add(value);
+      return true;
+    });
+  }
+
+  /**
+   * Serialize the items (models through their toJSON(), honoring hidden attributes)
+   * @returns {Array<any>}
+   */
+  toJSON() {
+    return Array.from(this, item => (item && typeof item.toJSON === 'function' ? item.toJSON() : item));
+  }
+
+  /**
+   * Eager load relations on every model, one query per relation (dot notation supported)
+   * Accepts relation names or an object of { name: constraint(qb) }.
+   * @param {...string|Array<string>|Object<string, Function>} relations
+   * @returns {Promise<this>}
+   */
+  async load(...relations) {
+    if (this.length === 0) return this;
+    const qb = this[0].constructor.query().with(...relations);
+    await qb.eagerLoadRelations(this);
+    return this;
+  }
+
+  /**
+   * Eager load the relations that are not loaded yet on each model
+   * @param {...string|Array<string>} relations
+   * @returns {Promise<this>}
+   */
+  async loadMissing(...relations) {
+    const paths = relations.length === 1 && Array.isArray(relations[0]) ? relations[0] : relations;
+
+    for (const path of paths) {
+      const [head, ...rest] = path.split('.');
+      const missing = this.filter(model => !(head in model.relations));
+      if (missing.length > 0) await missing.load(path);
+
+      if (rest.length > 0) {
+        const related = this.flatMap(model => {
+          const value = model.relations[head];
+          return Array.isArray(value) ? Array.from(value) : (value ? [value] : []);
+        });
+        await related.loadMissing(rest.join('.'));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set `<relation>_count` attributes on every model in a single query
+   * @param {...string|Array<string>} relations
+   * @returns {Promise<this>}
+   */
+  async loadCount(...relations) {
+    if (this.length === 0) return this;
+    const names = relations.length === 1 && Array.isArray(relations[0]) ? relations[0] : relations;
+    const modelClass = this[0].constructor;
+    const keyColumns = [].concat(modelClass.primaryKey).map(column => `${modelClass.table}.${column}`);
+
+    // The models are already loaded: count regardless of scopes and trashed state
+    const query = this[0].newQuery()
+      .withoutGlobalScopes()
+      .withTrashed()
+      .select(...keyColumns)
+      .withCount(names)
+      .whereTuplesIn(keyColumns.length === 1 ? keyColumns[0] : keyColumns, this.modelKeys());
+    // Read plain rows rather than the unit of work's instances
+    query.identityMap = false;
+    const rows = await query.get();
+
+    const counts = Collection.make(rows).keyBy(row => Collection.keyString(row.getKey()));
+    for (const model of this) {
+      const row = counts[Collection.keyString(Collection.keyOf(model))];
+      for (const name of names) {
+        const count = row ? Number(row.attributes[`${name}_count`]) : 0;
+        // Counts are not pending changes: flush() and save() must not write them
+        model.attributes[`${name}_count`] = count;
+        model.original[`${name}_count`] = count;
+      }
+    }
+    return this;
+  }
+}
+
+module.exports = Collection;
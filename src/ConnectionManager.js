@@ -0,0 +1,253 @@
+const DatabaseConnection = require('./DatabaseConnection');
+const { getCacheStore, setCacheStore, tableTag } = require('./Cache');
+const UnitOfWork = require('./UnitOfWork');
+
+/**
+ * The connection to run queries on: the open transaction of a root connection
+ * in the current async context, or the connection itself
+ * @param {DatabaseConnection} connection
+ * @returns {DatabaseConnection}
+ */
+function currentConnection(connection) {
+  return typeof connection.current === 'function' ? connection.current() : connection;
+}
+
+/**
+ * Registry of named database connections.
+ * Connections are registered with a config (connected on first use) or an
+ * existing DatabaseConnection. The default connection falls back to .env.
+ */
+class ConnectionManager {
+  constructor() {
+    this.configs = {};
+    this.connections = {};
+    this.defaultName = 'default';
+    this.queryLog = [];
+    this.stopQueryLog = null;
+  }
+
+  /**
+   * Register a named connection
+   * @param {string} name
+   * @param {Object|DatabaseConnection} config - DatabaseConnection config or instance
+   * @returns {this}
+   */
+  addConnection(name, config) {
+    if (config instanceof DatabaseConnection) {
+      if (!config.name) config.name = name;
+      this.connections[name] = config;
+      delete this.configs[name];
+    } else {
+      this.configs[name] = { ...config, name };
+      delete this.connections[name];
+    }
+    return this;
+  }
+
+  /**
+   * Whether a connection is registered under this name
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasConnection(name) {
+    return name in this.connections || name in this.configs;
+  }
+
+  /**
+   * Get a connection by name, creating it from its config on first use
+   * @param {string} [name] - Defaults to the default connection
+   * @returns {DatabaseConnection}
+   * @throws {Error} When no connection is registered under this name
+   */
+  connection(name = this.defaultName) {
+    if (!this.connections[name]) {
+      if (this.configs[name]) {
+        this.connections[name] = new DatabaseConnection(this.configs[name]);
+      } else if (name === this.defaultName) {
+        // No explicit default: read the .env configuration
+        this.connections[name] = new DatabaseConnection({ name });
+      } else {
+        throw new Error(`Database connection '${name}' is not configured`);
+      }
+    }
+    return this.connections[name];
+  }
+
+  /**
+   * Name of the connection used by models without connectionName
+   * @returns {string}
+   */
+  getDefaultConnection() {
+    return this.defaultName;
+  }
+
+  /**
+   * Change the default connection
+   * @param {string} name
+   * @returns {this}
+   */
+  setDefaultConnection(name) {
+    this.defaultName = name;
+    return this;
+  }
+
+  /**
+   * Registered connection names
+   * @returns {string[]}
+   */
+  getConnectionNames() {
+    return [...new Set([...Object.keys(this.configs), ...Object.keys(this.connections)])];
+  }
+
+  /**
+   * Close a connection (every open connection without a name). Connections
+   * registered with a config reconnect on next use.
+   * @param {string} [name]
+   * @returns {Promise<void>}
+   */
+  async disconnect(name) {
+    const names = name === undefined ? Object.keys(this.connections) : [name];
+    for (const key of names) {
+      const connection = this.connections[key];
+      if (!connection) continue;
+      await connection.close();
+      if (this.configs[key]) delete this.connections[key];
+    }
+  }
+
+  /**
+   * Listen to the queries of every connection (registered or not)
+   * @param {(event: {sql: string, bindings: Array, duration: number, rowCount: number|null, connectionName: string|null}) => void} listener
+   * @returns {() => void} Removes the listener
+   */
+  listen(listener) {
+    DatabaseConnection.queryEvents.on('query', listener);
+    return () => DatabaseConnection.queryEvents.off('query', listener);
+  }
+
+  /**
+   * Call a callback for every query taking at least `threshold` milliseconds
+   * @param {number} threshold - Milliseconds
+   * @param {Function} callback - Receives the query event
+   * @returns {() => void} Removes the callback
+   */
+  onSlowQuery(threshold, callback) {
+    return this.listen(event => {
+      if (event.duration >= threshold) callback(event);
+    });
+  }
+
+  /**
+   * Record every query in memory until disableQueryLog() (for debugging and tests)
+   * @returns {this}
+   */
+  enableQueryLog() {
+    if (!this.stopQueryLog) {
+      this.stopQueryLog = this.listen(event => this.queryLog.push(event));
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording queries; the log is kept until flushQueryLog()
+   * @returns {this}
+   */
+  disableQueryLog() {
+    if (this.stopQueryLog) {
+      this.stopQueryLog();
+      this.stopQueryLog = null;
+    }
+    return this;
+  }
+
+  /**
+   * Whether queries are being recorded
+   * @returns {boolean}
+   */
+  logging() {
+    return this.stopQueryLog !== null;
+  }
+
+  /**
+   * Queries recorded since enableQueryLog()
+   * @returns {Array<Object>}
+   */
+  getQueryLog() {
+    return [...this.queryLog];
+  }
+
+  /**
+   * Empty the query log
+   * @returns {this}
+   */
+  flushQueryLog() {
+    this.queryLog = [];
+    return this;
+  }
+
+  /**
+   * Store used by QueryBuilder.remember() (an in-memory LRU by default)
+   * @returns {Object}
+   */
+  getCacheStore() {
+    return getCacheStore();
+  }
+
+  /**
+   * Replace the query cache store (see src/Cache.js for the interface)
+   * @param {Object} store
+   * @returns {this}
+   */
+  setCacheStore(store) {
+    setCacheStore(store);
+    return this;
+  }
+
+  /**
+   * Drop cached queries: those tagged with the given tables, or all of them
+   * (e.g. after raw SQL writes, which do not invalidate the cache)
+   * @param {string|string[]} [tables]
+   * @returns {Promise<void>}
+   */
+  async flushCache(tables) {
+    if (tables === undefined) {
+      await getCacheStore().flush();
+      return;
+    }
+    await getCacheStore().flushTags([].concat(tables).map(tableTag));
+  }
+
+  /**
+   * Drop one cached query by its remember() key
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async forgetCache(key) {
+    await getCacheStore().forget(key);
+  }
+
+  /**
+   * Run a callback in a unit of work: rows loaded inside it map to a single
+   * model instance, and unit.flush() saves the new and dirty ones in a transaction
+   * @example await DB.unitOfWork(async unit => { ...; await unit.flush(); })
+   * @template T
+   * @param {(unit: UnitOfWork) => T} callback
+   * @returns {T}
+   */
+  unitOfWork(callback) {
+    return UnitOfWork.run(callback);
+  }
+
+  /**
+   * Close and unregister a connection
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async removeConnection(name) {
+    await this.disconnect(name);
+    delete this.connections[name];
+    delete this.configs[name];
+  }
+}
+
+module.exports = { ConnectionManager, DB: new ConnectionManager(), currentConnection };
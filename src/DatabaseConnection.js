@@ -1,10 +1,24 @@
 // Load environment variables from .env if present
 require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { getCacheStore, tableTag } = require('./Cache');
 
 // Lazy driver holders
 let mysql;
-let PgClient;
+let PgPool;
 let sqlite3;
+let PgCursor;
+
+// Tracks the transaction-bound connection of each root connection in the current async context
+const transactionContext = new AsyncLocalStorage();
+
+// Root connections written to in the current sticky scope (see DatabaseConnection.stickyScope())
+const stickyContext = new AsyncLocalStorage();
+
+// Receives the query events of every connection (see ConnectionManager.listen())
+const queryEvents = new EventEmitter();
+queryEvents.setMaxListeners(0);
 
 function ensureDriver(driverName) {
   let pkg;
@@ -17,7 +31,7 @@ function ensureDriver(driverName) {
     case 'postgres':
     case 'postgresql':
       pkg = 'pg';
-      if (!PgClient) ({ Client: PgClient } = require('pg'));
+      if (!PgPool) ({ Pool: PgPool } = require('pg'));
       return true;
     case 'sqlite':
       pkg = 'sqlite3';
@@ -32,18 +46,56 @@ function ensureDriver(driverName) {
   }
 }
 
+/**
+ * Load pg-cursor, used to stream PostgreSQL results
+ * @returns {Function}
+ */
+function ensurePgCursor() {
+  if (!PgCursor) {
+    try {
+      PgCursor = require('pg-cursor');
+    } catch (e) {
+      throw new Error('Streaming PostgreSQL results requires pg-cursor.\nInstall it with: npm i pg-cursor --save');
+    }
+  }
+  return PgCursor;
+}
+
 function coerceNumber(val) {
   const n = Number(val);
   return Number.isFinite(n) ? n : undefined;
 }
 
+/**
+ * Rows returned or affected by a driver call, null when unknown
+ * @param {any} result
+ * @returns {number|null}
+ */
+function rowCountOf(result) {
+  if (Array.isArray(result)) return result.length;
+  if (typeof result?.affectedRows === 'number') return result.affectedRows;
+  if (typeof result?.changes === 'number') return result.changes;
+  return null;
+}
+
 /**
  * Database Connection Manager
- * Supports MySQL, PostgreSQL, and SQLite
+ * Supports MySQL, PostgreSQL, and SQLite.
+ * Emits a `query` event ({ sql, bindings, duration, rowCount, connectionName })
+ * after each statement succeeds; transaction control statements are not reported.
  */
-class DatabaseConnection {
+class DatabaseConnection extends EventEmitter {
+  /**
+   * Query events of every connection
+   * @type {EventEmitter}
+   */
+  static queryEvents = queryEvents;
+
   constructor(config) {
-    const cfg = config || {};
+    super();
+    const base = config || {};
+    // `write` overrides the shared settings for the writer, each `read` entry for a replica
+    const cfg = { ...base, ...(base.write || {}) };
     const env = process.env || {};
     let driver = (cfg.driver || env.DB_DRIVER || env.DATABASE_DRIVER || 'mysql').toLowerCase();
     if (driver === 'postgresql') driver = 'postgres';
@@ -64,9 +116,171 @@ class DatabaseConnection {
     }
 
     this.config = resolved;
+    this.name = base.name || null;
     this.driver = driver || 'mysql';
     this.connection = null;
     this.pool = null;
+    this.transactionDepth = 0;
+    // Savepoint names stay unique when nested transactions run concurrently
+    this.savepointCount = 0;
+    // SQLite has a single connection: top-level transactions take turns, and
+    // statements outside them wait (see acquireSQLiteTransaction())
+    this.sqliteTransactions = null;
+    this.sqliteStatements = new Set();
+
+    // Read replicas, used in turn by select(), count() and cursor()
+    this.readConnections = [].concat(base.read || [])
+      .map(readConfig => new DatabaseConnection({ ...base, read: null, write: null, ...readConfig }));
+    // Replicas report their queries through the writer's listeners
+    this.readConnections.forEach(reader => { reader.writeConnection = this; });
+    this.readIndex = 0;
+    this.sticky = Boolean(base.sticky);
+  }
+
+  /**
+   * Run a callback in a sticky scope (typically one HTTP request): once a
+   * connection configured with `sticky: true` has written in the scope, its
+   * reads go to the writer so they see that write despite replication lag.
+   * @template T
+   * @param {() => T} callback
+   * @returns {T}
+   */
+  static stickyScope(callback) {
+    return stickyContext.run(new Set(), callback);
+  }
+
+  /**
+   * Connection a read should run on: the next replica in turn, or the writer
+   * (this connection) without replicas, inside a transaction, for locking or
+   * forced reads, and after a write in the current sticky scope
+   * @param {Object} [query]
+   * @returns {DatabaseConnection}
+   * @private
+   */
+  readConnection(query = {}) {
+    if (this.readConnections.length === 0 || this.transactionDepth > 0) return this;
+    if (query.useWriteConnection || query.lock) return this;
+    if (this.sticky && stickyContext.getStore()?.has(this.root || this)) return this;
+
+    const reader = this.readConnections[this.readIndex % this.readConnections.length];
+    this.readIndex++;
+    return reader;
+  }
+
+  /**
+   * Run a driver call, then emit its query event
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} bindings
+   * @param {() => Promise<any>} run
+   * @returns {Promise<any>} The driver call result
+   * @private
+   */
+  async measure(sql, bindings, run) {
+    const beside = this.runsBesideSQLiteTransactions();
+    if (beside) await this.waitForSQLiteTransactions();
+
+    const start = process.hrtime.bigint();
+    const pending = run();
+    if (beside) {
+      // A transaction about to begin waits for the statements already sent
+      const statements = this.sqliteStatements;
+      statements.add(pending);
+      const untrack = () => statements.delete(pending);
+      pending.then(untrack, untrack);
+    }
+    const result = await pending;
+    this.emitQuery(sql, bindings, start, rowCountOf(result));
+    return result;
+  }
+
+  /**
+   * Whether a statement goes to the shared SQLite connection from outside any
+   * open transaction of this connection
+   * @returns {boolean}
+   * @private
+   */
+  runsBesideSQLiteTransactions() {
+    return this.driver === 'sqlite' && this.transactionDepth === 0 && this.current() === this;
+  }
+
+  /**
+   * Wait until no SQLite transaction is open or queued
+   * @returns {Promise<void>}
+   * @private
+   */
+  async waitForSQLiteTransactions() {
+    while (this.sqliteTransactions) await this.sqliteTransactions;
+  }
+
+  /**
+   * Take the SQLite connection for a top-level transaction, once the previous
+   * transactions and the statements already running outside them are done
+   * @returns {Promise<() => void>} Releases the connection
+   * @private
+   */
+  async acquireSQLiteTransaction() {
+    const previous = this.sqliteTransactions;
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    // Set synchronously, so statements issued from now on wait for this transaction too
+    const queue = Promise.resolve(previous).then(() => done);
+    this.sqliteTransactions = queue;
+
+    await previous;
+    await Promise.allSettled([...this.sqliteStatements]);
+    return () => {
+      if (this.sqliteTransactions === queue) this.sqliteTransactions = null;
+      release();
+    };
+  }
+
+  /**
+   * Run a write on a table: remember it for sticky reads, then drop the cached
+   * queries tagged with the table (again on commit inside a transaction)
+   * @param {string} table
+   * @param {string} sql
+   * @param {Array} bindings
+   * @param {() => Promise<any>} run
+   * @returns {Promise<any>}
+   * @private
+   */
+  async measureWrite(table, sql, bindings, run) {
+    this.recordWrite();
+    const result = await this.measure(sql, bindings, run);
+    const tag = tableTag(table);
+    if (this.touchedTables) this.touchedTables.add(tag);
+    await getCacheStore().flushTags([tag]);
+    return result;
+  }
+
+  /**
+   * Emit a `query` event on the writer (transactions and replicas included)
+   * and on DatabaseConnection.queryEvents
+   * @param {string} sql
+   * @param {Array} bindings
+   * @param {bigint} start - process.hrtime.bigint() before the call
+   * @param {number|null} rowCount
+   * @private
+   */
+  emitQuery(sql, bindings, start, rowCount) {
+    const source = this.writeConnection || this.root || this;
+    const event = {
+      sql,
+      bindings,
+      duration: Number(process.hrtime.bigint() - start) / 1e6,
+      rowCount,
+      connectionName: source.name
+    };
+    source.emit('query', event);
+    queryEvents.emit('query', event);
+  }
+
+  /**
+   * Remember a write for sticky reads in the current sticky scope
+   * @private
+   */
+  recordWrite() {
+    stickyContext.getStore()?.add(this.root || this);
   }
 
   /**
@@ -74,7 +288,7 @@ class DatabaseConnection {
    * @returns {Promise<void>}
    */
   async connect() {
-    if (this.connection) return;
+    if (this.connection || this.pool) return;
 
     switch (this.driver) {
     case 'mysql':
@@ -117,14 +331,14 @@ class DatabaseConnection {
    * @private
    */
   async connectPostgreSQL() {
-    this.connection = new PgClient({
+    this.connection = new PgPool({
       host: this.config.host || 'localhost',
       port: this.config.port || 5432,
       user: this.config.user,
       password: this.config.password,
-      database: this.config.database
+      database: this.config.database,
+      max: this.config.connectionLimit || 10
     });
-    await this.connection.connect();
   }
 
   /**
@@ -150,6 +364,9 @@ class DatabaseConnection {
    * @returns {Promise<Array>}
    */
   async select(table, query) {
+    const reader = this.readConnection(query);
+    if (reader !== this) return reader.select(table, query);
+
     await this.connect();
 
     const { sql, params } = this.buildSelectQuery(table, query);
@@ -165,44 +382,209 @@ class DatabaseConnection {
     }
   }
 
+  /**
+   * Stream the rows of a SELECT query instead of buffering the whole result set.
+   * MySQL streams the result (mysql2 query().stream()), PostgreSQL reads a server-side
+   * cursor in batches (requires pg-cursor) and SQLite walks the statement with each().
+   * SQLite cannot apply backpressure: rows are queued as fast as it produces them.
+   * Inside a transaction the pinned connection is busy until iteration ends, so
+   * do not run other queries on it from the loop (MySQL, PostgreSQL).
+   * @param {string} table
+   * @param {Object} query
+   * @param {{batchSize?: number}} [options] - Rows fetched per PostgreSQL cursor read
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *cursor(table, query, options = {}) {
+    const reader = this.readConnection(query);
+    if (reader !== this) {
+      yield* reader.cursor(table, query, options);
+      return;
+    }
+
+    await this.connect();
+
+    const { sql, params } = this.buildSelectQuery(table, query);
+
+    let rows;
+    switch (this.driver) {
+    case 'mysql':
+      rows = this.streamMySQLQuery(sql, params);
+      break;
+    case 'postgres':
+    case 'postgresql':
+      rows = this.streamPostgreSQLQuery(sql, params, options.batchSize || 100);
+      break;
+    case 'sqlite':
+      if (this.runsBesideSQLiteTransactions()) await this.waitForSQLiteTransactions();
+      rows = this.streamSQLiteQuery(sql, params);
+      break;
+    }
+
+    // The query event fires once iteration ends (or stops early), with the rows read
+    const start = process.hrtime.bigint();
+    let rowCount = 0;
+    let failed = false;
+    try {
+      for await (const row of rows) {
+        rowCount++;
+        yield row;
+      }
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      if (!failed) this.emitQuery(sql, params, start, rowCount);
+    }
+  }
+
+  /**
+   * Stream a MySQL query through the underlying mysql2 connection
+   * @private
+   */
+  async *streamMySQLQuery(sql, params) {
+    // A transaction pins a PoolConnection, which cannot hand out connections
+    const pinned = typeof this.pool.getConnection !== 'function';
+    const conn = pinned ? this.pool : await this.pool.getConnection();
+    const query = conn.connection.query(sql, params);
+    let finished = false;
+    // A small result may be fully read (and 'end' emitted) before the consumer stops
+    let ended = false;
+    const markEnded = () => { ended = true; };
+    query.once('end', markEnded);
+    query.once('error', markEnded);
+
+    try {
+      for await (const row of query.stream()) {
+        yield row;
+      }
+      finished = true;
+    } finally {
+      if (!pinned) {
+        // A connection left mid-result cannot be reused
+        if (finished) conn.release();
+        else conn.destroy();
+      } else if (!finished && !ended) {
+        // Drain the remaining rows so the transaction can go on
+        await new Promise(resolve => {
+          query.once('end', resolve);
+          query.once('error', resolve);
+          conn.connection.resume();
+        });
+      }
+    }
+  }
+
+  /**
+   * Read a PostgreSQL query through a server-side cursor
+   * @private
+   */
+  async *streamPostgreSQLQuery(sql, params, batchSize) {
+    const Cursor = ensurePgCursor();
+    const pinned = this.transactionDepth > 0;
+    const client = pinned ? this.connection : await this.connection.connect();
+    const cursor = client.query(new Cursor(this.convertToDriverPlaceholder(sql, 'postgres'), params));
+
+    try {
+      for (;;) {
+        const rows = await cursor.read(batchSize);
+        if (rows.length === 0) break;
+        yield* rows;
+      }
+    } finally {
+      await cursor.close();
+      if (!pinned) client.release();
+    }
+  }
+
+  /**
+   * Walk a SQLite statement with each(), yielding rows as they are produced
+   * @private
+   */
+  async *streamSQLiteQuery(sql, params) {
+    let rows = [];
+    let position = 0;
+    let done = false;
+    let error = null;
+    let wake = null;
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+
+    this.connection.each(sql, params, (err, row) => {
+      if (err) error = err;
+      else rows.push(row);
+      notify();
+    }, (err) => {
+      if (err) error = err;
+      done = true;
+      notify();
+    });
+
+    for (;;) {
+      if (position < rows.length) {
+        yield rows[position++];
+        if (position >= 1000) {
+          rows = rows.slice(position);
+          position = 0;
+        }
+        continue;
+      }
+      if (error) throw new Error(error.message || String(error));
+      if (done) return;
+      await new Promise(resolve => { wake = resolve; });
+    }
+  }
+
   /**
    * Insert a record
+   * insertId is the primary key value when it was provided, otherwise the generated one
+   * (auto-increment id on MySQL, undefined when none was generated; RETURNING column
+   * on PostgreSQL; rowid on SQLite).
    * @param {string} table
    * @param {Object} data
+   * @param {string} [primaryKey='id']
    * @returns {Promise<Object>}
    */
-  async insert(table, data) {
+  async insert(table, data, primaryKey = 'id') {
     await this.connect();
 
     const columns = Object.keys(data);
     const values = Object.values(data);
     const placeholders = this.getPlaceholders(values.length);
+    const providedKey = data[primaryKey] === null ? undefined : data[primaryKey];
 
     const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(sql, values);
-      return { insertId: result.insertId, affectedRows: result.affectedRows };
-    }
+    return this.measureWrite(table, sql, values, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(sql, values);
+        // insertId is 0 when the table has no AUTO_INCREMENT column
+        return { insertId: providedKey ?? (result.insertId || undefined), affectedRows: result.affectedRows };
+      }
 
-    case 'postgres':
-    case 'postgresql': {
-      const pgResult = await this.connection.query(
-        `${sql} RETURNING *`,
-        values
-      );
-      return { insertId: pgResult.rows[0].id, affectedRows: pgResult.rowCount };
-    }
+      case 'postgres':
+      case 'postgresql': {
+        const pgResult = await this.connection.query(
+          this.convertToDriverPlaceholder(`${sql} RETURNING *`, 'postgres'),
+          values
+        );
+        const row = pgResult.rows[0] || {};
+        return { insertId: row[primaryKey] ?? providedKey, affectedRows: pgResult.rowCount };
+      }
 
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, values, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ insertId: this.lastID, affectedRows: this.changes });
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, values, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ insertId: providedKey ?? this.lastID, affectedRows: this.changes });
+          });
         });
-      });
-    }
+      }
+    });
   }
 
   /**
@@ -225,26 +607,97 @@ class DatabaseConnection {
 
     const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${allPlaceholders}`;
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(sql, allValues);
-      return { affectedRows: result.affectedRows };
-    }
+    return this.measureWrite(table, sql, allValues, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(sql, allValues);
+        return { affectedRows: result.affectedRows };
+      }
 
-    case 'postgres':
-    case 'postgresql': {
-      const pgResult = await this.connection.query(sql, allValues);
-      return { affectedRows: pgResult.rowCount };
-    }
+      case 'postgres':
+      case 'postgresql': {
+        const pgResult = await this.connection.query(
+          this.convertToDriverPlaceholder(sql, 'postgres'),
+          allValues
+        );
+        return { affectedRows: pgResult.rowCount };
+      }
 
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, allValues, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ affectedRows: this.changes });
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, allValues, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
         });
-      });
+      }
+    });
+  }
+
+  /**
+   * Insert records, updating the existing ones on a unique key conflict
+   * MySQL: ON DUPLICATE KEY UPDATE (uniqueBy is implied by the table's unique indexes);
+   * PostgreSQL / SQLite: ON CONFLICT (uniqueBy) DO UPDATE. Without update columns,
+   * conflicting rows are left untouched (a no-op ON DUPLICATE KEY UPDATE / DO NOTHING).
+   * @param {string} table
+   * @param {Array<Object>} data - Rows sharing the columns of the first row
+   * @param {string|Array<string>} uniqueBy
+   * @param {Array<string>} [updateColumns] - Defaults to every column except uniqueBy
+   * @returns {Promise<{affectedRows: number}>} On MySQL an updated row counts twice and an unchanged one zero
+   */
+  async upsert(table, data, uniqueBy, updateColumns) {
+    if (data.length === 0) return { affectedRows: 0 };
+
+    await this.connect();
+
+    const uniqueColumns = Array.isArray(uniqueBy) ? uniqueBy : [uniqueBy];
+    const columns = Object.keys(data[0]);
+    const updates = updateColumns || columns.filter(column => !uniqueColumns.includes(column));
+    const allValues = data.flatMap(row => columns.map(column => row[column]));
+
+    const placeholderSet = `(${this.getPlaceholders(columns.length)})`;
+    const allPlaceholders = data.map(() => placeholderSet).join(', ');
+    const insert = `INTO ${table} (${columns.join(', ')}) VALUES ${allPlaceholders}`;
+
+    let sql;
+    if (this.driver === 'mysql') {
+      // INSERT IGNORE would also turn other errors (truncation, foreign keys) into warnings
+      const assignments = updates.length === 0
+        ? [`${uniqueColumns[0]} = ${uniqueColumns[0]}`]
+        : updates.map(c => `${c} = VALUES(${c})`);
+      sql = `INSERT ${insert} ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    } else {
+      const action = updates.length === 0
+        ? 'DO NOTHING'
+        : `DO UPDATE SET ${updates.map(c => `${c} = excluded.${c}`).join(', ')}`;
+      sql = `INSERT ${insert} ON CONFLICT (${uniqueColumns.join(', ')}) ${action}`;
     }
+
+    return this.measureWrite(table, sql, allValues, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(sql, allValues);
+        return { affectedRows: result.affectedRows };
+      }
+
+      case 'postgres':
+      case 'postgresql': {
+        const pgResult = await this.connection.query(
+          this.convertToDriverPlaceholder(sql, 'postgres'),
+          allValues
+        );
+        return { affectedRows: pgResult.rowCount };
+      }
+
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, allValues, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
+        });
+      }
+    });
   }
 
   /**
@@ -263,32 +716,34 @@ class DatabaseConnection {
     const sql = `UPDATE ${table} SET ${setClauses.join(', ')}${whereClause}`;
     const params = [...Object.values(data), ...whereParams];
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(
-        this.convertToDriverPlaceholder(sql),
-        params
-      );
-      return { affectedRows: result.affectedRows };
-    }
+    return this.measureWrite(table, sql, params, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(
+          this.convertToDriverPlaceholder(sql),
+          params
+        );
+        return { affectedRows: result.affectedRows };
+      }
 
-    case 'postgres':
-    case 'postgresql': {
-      const pgResult = await this.connection.query(
-        this.convertToDriverPlaceholder(sql, 'postgres'),
-        params
-      );
-      return { affectedRows: pgResult.rowCount };
-    }
+      case 'postgres':
+      case 'postgresql': {
+        const pgResult = await this.connection.query(
+          this.convertToDriverPlaceholder(sql, 'postgres'),
+          params
+        );
+        return { affectedRows: pgResult.rowCount };
+      }
 
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, params, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ affectedRows: this.changes });
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, params, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
         });
-      });
-    }
+      }
+    });
   }
 
   /**
@@ -303,32 +758,34 @@ class DatabaseConnection {
     const { whereClause, params } = this.buildWhereClause(query.wheres || []);
     const sql = `DELETE FROM ${table}${whereClause}`;
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(
-        this.convertToDriverPlaceholder(sql),
-        params
-      );
-      return { affectedRows: result.affectedRows };
-    }
+    return this.measureWrite(table, sql, params, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(
+          this.convertToDriverPlaceholder(sql),
+          params
+        );
+        return { affectedRows: result.affectedRows };
+      }
 
-    case 'postgres':
-    case 'postgresql': {
-      const pgResult = await this.connection.query(
-        this.convertToDriverPlaceholder(sql, 'postgres'),
-        params
-      );
-      return { affectedRows: pgResult.rowCount };
-    }
+      case 'postgres':
+      case 'postgresql': {
+        const pgResult = await this.connection.query(
+          this.convertToDriverPlaceholder(sql, 'postgres'),
+          params
+        );
+        return { affectedRows: pgResult.rowCount };
+      }
 
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, params, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ affectedRows: this.changes });
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, params, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
         });
-      });
-    }
+      }
+    });
   }
 
   /**
@@ -346,24 +803,26 @@ class DatabaseConnection {
     const sql = `UPDATE ${table} SET ${column} = ${column} + ?${whereClause}`;
     const params = [amount, ...whereParams];
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(this.convertToDriverPlaceholder(sql), params);
-      return { affectedRows: result.affectedRows };
-    }
-    case 'postgres':
-    case 'postgresql': {
-      const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
-      return { affectedRows: res.rowCount };
-    }
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, params, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ affectedRows: this.changes });
+    return this.measureWrite(table, sql, params, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(this.convertToDriverPlaceholder(sql), params);
+        return { affectedRows: result.affectedRows };
+      }
+      case 'postgres':
+      case 'postgresql': {
+        const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
+        return { affectedRows: res.rowCount };
+      }
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, params, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
         });
-      });
-    }
+      }
+    });
   }
 
   /**
@@ -381,24 +840,26 @@ class DatabaseConnection {
     const sql = `UPDATE ${table} SET ${column} = ${column} - ?${whereClause}`;
     const params = [amount, ...whereParams];
 
-    switch (this.driver) {
-    case 'mysql': {
-      const [result] = await this.pool.execute(this.convertToDriverPlaceholder(sql), params);
-      return { affectedRows: result.affectedRows };
-    }
-    case 'postgres':
-    case 'postgresql': {
-      const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
-      return { affectedRows: res.rowCount };
-    }
-    case 'sqlite':
-      return new Promise((resolve, reject) => {
-        this.connection.run(sql, params, function(err) {
-          if (err) reject(new Error(err.message || String(err)));
-          else resolve({ affectedRows: this.changes });
+    return this.measureWrite(table, sql, params, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(this.convertToDriverPlaceholder(sql), params);
+        return { affectedRows: result.affectedRows };
+      }
+      case 'postgres':
+      case 'postgresql': {
+        const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
+        return { affectedRows: res.rowCount };
+      }
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          this.connection.run(sql, params, function(err) {
+            if (err) reject(new Error(err.message || String(err)));
+            else resolve({ affectedRows: this.changes });
+          });
         });
-      });
-    }
+      }
+    });
   }
 
   /**
@@ -408,10 +869,17 @@ class DatabaseConnection {
    * @returns {Promise<number>}
    */
   async count(table, query) {
+    const reader = this.readConnection(query);
+    if (reader !== this) return reader.count(table, query);
+
     await this.connect();
 
-    const { whereClause, params } = this.buildWhereClause(query.wheres || []);
-    const sql = `SELECT COUNT(*) as count FROM ${table}${whereClause}`;
+    const params = [];
+    const from = this.compileFrom(table, query, params);
+    const joins = this.compileJoins(query.joins, params);
+    const { whereClause, params: whereParams } = this.buildWhereClause(query.wheres || []);
+    params.push(...whereParams);
+    const sql = `SELECT COUNT(*) as count FROM ${from}${joins}${whereClause}`;
 
     const rows = await this.executeRawQuery(sql, params);
     return rows[0].count || rows[0].COUNT || 0;
@@ -445,31 +913,221 @@ class DatabaseConnection {
    */
   async execute(sql, params = []) {
     await this.connect();
+    if (!/^\s*select/i.test(sql)) this.recordWrite();
+    return this.measure(sql, params, async () => {
+      switch (this.driver) {
+      case 'mysql': {
+        const [result] = await this.pool.execute(sql, params);
+        return result;
+      }
+      case 'postgres':
+      case 'postgresql': {
+        const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
+        return res.rows ?? res;
+      }
+      case 'sqlite':
+        return new Promise((resolve, reject) => {
+          // Choose all/run based on query type
+          const isSelect = /^\s*select/i.test(sql);
+          if (isSelect) {
+            this.connection.all(sql, params, (err, rows) => {
+              if (err) reject(new Error(err.message || String(err)));
+              else resolve(rows);
+            });
+          } else {
+            this.connection.run(sql, params, function(err) {
+              if (err) reject(new Error(err.message || String(err)));
+              else resolve({ changes: this.changes, lastID: this.lastID });
+            });
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Run a callback inside a database transaction.
+   * The callback receives a connection pinned to a single physical connection;
+   * the transaction commits when the callback resolves and rolls back when it throws.
+   * Calling transaction() on that connection again creates a SAVEPOINT instead.
+   * Models and relations used inside the callback transparently run on the
+   * transaction connection (see Model.getConnection()).
+   *
+   * Note: SQLite uses a single connection, so top-level transactions run one at a
+   * time and queries issued outside the callback wait until the transaction ends.
+   * @template T
+   * @param {(trx: DatabaseConnection) => Promise<T>} callback
+   * @returns {Promise<T>}
+   */
+  async transaction(callback) {
+    if (this.transactionDepth > 0) {
+      return this.runSavepoint(callback);
+    }
+
+    // Called on the root connection from within an open transaction: nest it
+    const active = this.current();
+    if (active !== this) {
+      return active.transaction(callback);
+    }
+
+    await this.connect();
+
+    const trx = Object.create(this);
+    trx.root = this;
+    trx.transactionDepth = 1;
+    // Tables written in the transaction, whose cached queries are dropped again on commit
+    trx.touchedTables = new Set();
+
+    let release = null;
     switch (this.driver) {
     case 'mysql': {
-      const [result] = await this.pool.execute(sql, params);
-      return result;
+      const conn = await this.pool.getConnection();
+      trx.pool = conn;
+      release = () => conn.release();
+      break;
     }
     case 'postgres':
     case 'postgresql': {
-      const res = await this.connection.query(this.convertToDriverPlaceholder(sql, 'postgres'), params);
-      return res.rows ?? res;
+      const client = await this.connection.connect();
+      trx.connection = client;
+      release = () => client.release();
+      break;
+    }
+    case 'sqlite':
+      release = await this.acquireSQLiteTransaction();
+      break;
+    }
+
+    try {
+      await trx.executeTransactionStatement(this.driver === 'mysql' ? 'START TRANSACTION' : 'BEGIN');
+      try {
+        const result = await this.runInContext(trx, callback);
+        await trx.executeTransactionStatement('COMMIT');
+        // Reads outside the transaction may have cached the old rows before the commit
+        if (trx.touchedTables.size > 0) await getCacheStore().flushTags([...trx.touchedTables]);
+        return result;
+      } catch (err) {
+        await trx.rollbackQuietly('ROLLBACK');
+        throw err;
+      }
+    } finally {
+      if (release) release();
+    }
+  }
+
+  /**
+   * Run a nested transaction as a SAVEPOINT on the current transaction connection
+   * @private
+   */
+  async runSavepoint(callback) {
+    const nested = Object.create(this);
+    nested.transactionDepth = this.transactionDepth + 1;
+    const name = `outlet_sp_${++this.root.savepointCount}`;
+
+    await nested.executeTransactionStatement(`SAVEPOINT ${name}`);
+    try {
+      const result = await this.runInContext(nested, callback);
+      await nested.executeTransactionStatement(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (err) {
+      await nested.rollbackQuietly(`ROLLBACK TO SAVEPOINT ${name}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Run a rollback statement without letting its own failure (e.g. a lost
+   * connection) hide the error that caused the rollback
+   * @private
+   */
+  async rollbackQuietly(statement) {
+    try {
+      await this.executeTransactionStatement(statement);
+    } catch (e) {
+      // The original error is rethrown by the caller
+    }
+  }
+
+  /**
+   * Invoke the callback with `trx` registered as the active connection for its root
+   * @private
+   */
+  runInContext(trx, callback) {
+    const active = new Map(transactionContext.getStore() || []);
+    active.set(trx.root, trx);
+    return transactionContext.run(active, () => callback(trx));
+  }
+
+  /**
+   * Get the connection queries should run on in the current async context:
+   * the innermost open transaction of this connection, or the connection itself.
+   * @returns {DatabaseConnection}
+   */
+  current() {
+    const active = transactionContext.getStore();
+    return (active && active.get(this.root || this)) || this;
+  }
+
+  /**
+   * Whether this connection is bound to an open transaction
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.transactionDepth > 0;
+  }
+
+  /**
+   * Run a callback inside a savepoint when a transaction is open (a failed statement
+   * aborts the whole transaction on PostgreSQL), or directly otherwise
+   * @param {() => Promise<any>} callback
+   * @returns {Promise<any>}
+   */
+  withSavepointIfNeeded(callback) {
+    const conn = this.current();
+    return conn.inTransaction() ? conn.transaction(callback) : callback();
+  }
+
+  /**
+   * Whether an error raised by this connection's driver is a unique constraint violation
+   * (MySQL ER_DUP_ENTRY, PostgreSQL 23505, SQLite UNIQUE constraint failed)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isUniqueConstraintError(error) {
+    if (!error) return false;
+    switch (this.driver) {
+    case 'mysql':
+      return error.code === 'ER_DUP_ENTRY' || error.errno === 1062;
+    case 'postgres':
+    case 'postgresql':
+      return error.code === '23505';
+    case 'sqlite':
+      return /UNIQUE constraint failed|SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)/.test(error.message || '');
+    default:
+      return false;
     }
+  }
+
+  /**
+   * Execute a transaction control statement (BEGIN, COMMIT, SAVEPOINT...)
+   * These cannot go through prepared statements on MySQL.
+   * @private
+   */
+  async executeTransactionStatement(sql) {
+    switch (this.driver) {
+    case 'mysql':
+      await this.pool.query(sql);
+      return;
+    case 'postgres':
+    case 'postgresql':
+      await this.connection.query(sql);
+      return;
     case 'sqlite':
       return new Promise((resolve, reject) => {
-        // Choose all/run based on query type
-        const isSelect = /^\s*select/i.test(sql);
-        if (isSelect) {
-          this.connection.all(sql, params, (err, rows) => {
-            if (err) reject(new Error(err.message || String(err)));
-            else resolve(rows);
-          });
-        } else {
-          this.connection.run(sql, params, function(err) {
-            if (err) reject(new Error(err.message || String(err)));
-            else resolve({ changes: this.changes, lastID: this.lastID });
-          });
-        }
+        this.connection.run(sql, [], (err) => {
+          if (err) reject(new Error(err.message || String(err)));
+          else resolve();
+        });
       });
     }
   }
@@ -479,8 +1137,10 @@ class DatabaseConnection {
    * @private
    */
   async executeMySQLQuery(sql, params) {
-    const [rows] = await this.pool.execute(sql, params);
-    return rows;
+    return this.measure(sql, params, async () => {
+      const [rows] = await this.pool.execute(sql, params);
+      return rows;
+    });
   }
 
   /**
@@ -488,11 +1148,13 @@ class DatabaseConnection {
    * @private
    */
   async executePostgreSQLQuery(sql, params) {
-    const result = await this.connection.query(
-      this.convertToDriverPlaceholder(sql, 'postgres'),
-      params
-    );
-    return result.rows;
+    return this.measure(sql, params, async () => {
+      const result = await this.connection.query(
+        this.convertToDriverPlaceholder(sql, 'postgres'),
+        params
+      );
+      return result.rows;
+    });
   }
 
   /**
@@ -500,12 +1162,12 @@ class DatabaseConnection {
    * @private
    */
   async executeSQLiteQuery(sql, params) {
-    return new Promise((resolve, reject) => {
+    return this.measure(sql, params, () => new Promise((resolve, reject) => {
       this.connection.all(sql, params, (err, rows) => {
         if (err) reject(new Error(err.message || String(err)));
         else resolve(rows);
       });
-    });
+    }));
   }
 
   /**
@@ -513,28 +1175,24 @@ class DatabaseConnection {
    * @private
    */
   buildSelectQuery(table, query) {
+    // Bindings are collected in the order their placeholders appear in the SQL
+    const params = [];
     const distinct = query.distinct ? 'DISTINCT ' : '';
+    // Columns are SQL strings, or { sub, alias } from selectSub()
     const columns = query.columns && query.columns.length > 0
-      ? query.columns.join(', ')
+      ? query.columns.map(column => (typeof column === 'string'
+        ? column
+        : `${this.compileSub(column.sub, params)} AS ${column.alias}`)).join(', ')
       : '*';
 
-    let sql = `SELECT ${distinct}${columns} FROM ${table}`;
-    // JOINS
-    if (query.joins && query.joins.length > 0) {
-      const joinClauses = query.joins.map(j => {
-        const type = (j.type === 'left' ? 'LEFT JOIN' : 'INNER JOIN');
-        const op = j.operator || '=';
-        return ` ${type} ${j.table} ON ${j.first} ${op} ${j.second}`;
-      }).join('');
-      sql += joinClauses;
-    }
-    let params = [];
+    let sql = `SELECT ${distinct}${columns} FROM ${this.compileFrom(table, query, params)}`;
+    sql += this.compileJoins(query.joins, params);
 
     // WHERE clauses
     if (query.wheres && query.wheres.length > 0) {
       const { whereClause, params: whereParams } = this.buildWhereClause(query.wheres);
       sql += whereClause;
-      params = [...params, ...whereParams];
+      params.push(...whereParams);
     }
 
     // GROUP BY
@@ -578,9 +1236,74 @@ class DatabaseConnection {
       sql += ` OFFSET ${query.offset}`;
     }
 
+    if (query.lock) {
+      sql += this.compileLock(query.lock);
+    }
+
     return { sql, params };
   }
 
+  /**
+   * Compile the FROM target: the table, or a subquery set by fromSub()
+   * @param {string} table
+   * @param {Object} query
+   * @param {Array} params - Receives the subquery bindings
+   * @returns {string}
+   * @private
+   */
+  compileFrom(table, query, params) {
+    if (!query.from) return table;
+    return `${this.compileSub(query.from.sub, params)} AS ${query.from.alias}`;
+  }
+
+  /**
+   * Compile the JOIN clauses, subquery joins included
+   * @param {Array<Object>} [joins]
+   * @param {Array} params - Receives the subquery bindings
+   * @returns {string}
+   * @private
+   */
+  compileJoins(joins, params) {
+    return (joins || []).map(j => {
+      const type = (j.type === 'left' ? 'LEFT JOIN' : 'INNER JOIN');
+      const op = j.operator || '=';
+      const extra = (j.constraints || []).map(c => ` AND ${c}`).join('');
+      const target = j.sub ? `${this.compileSub(j.sub, params)} AS ${j.table}` : j.table;
+      return ` ${type} ${target} ON ${j.first} ${op} ${j.second}${extra}`;
+    }).join('');
+  }
+
+  /**
+   * Compile a subquery ({ table, query } built by the QueryBuilder subquery methods) in parentheses
+   * @param {{table: string, query: Object}} sub
+   * @param {Array} params - Receives the subquery bindings
+   * @returns {string}
+   * @private
+   */
+  compileSub(sub, params) {
+    const { sql, params: subParams } = this.buildSelectQuery(sub.table, sub.query);
+    params.push(...subParams);
+    return `(${sql})`;
+  }
+
+  /**
+   * Compile a row lock clause for the current driver.
+   * SQLite has no row-level locks: the clause is omitted and a write transaction
+   * serializes access to the whole database instead.
+   * @param {{mode: 'update'|'share', wait: null|'skip'|'nowait'}} lock
+   * @returns {string}
+   * @private
+   */
+  compileLock(lock) {
+    if (this.driver === 'sqlite') return '';
+
+    const wait = { skip: ' SKIP LOCKED', nowait: ' NOWAIT' }[lock.wait] || '';
+    if (lock.mode === 'update') return ` FOR UPDATE${wait}`;
+    // LOCK IN SHARE MODE also works on MySQL 5.7 / MariaDB, which lack FOR SHARE
+    if (this.driver === 'mysql' && !wait) return ' LOCK IN SHARE MODE';
+    return ` FOR SHARE${wait}`;
+  }
+
   /**
    * Build WHERE clause
    * @private
@@ -593,8 +1316,9 @@ class DatabaseConnection {
     const clauses = [];
     const params = [];
 
-    wheres.forEach((where, index) => {
-      const boolean = index === 0 ? 'WHERE' : (where.boolean || 'AND').toUpperCase();
+    wheres.forEach(where => {
+      // Empty nested groups add no clause: the first clause written opens the WHERE
+      const boolean = clauses.length === 0 ? 'WHERE' : (where.boolean || 'AND').toUpperCase();
 
       switch (where.type) {
       case 'basic':
@@ -603,6 +1327,11 @@ class DatabaseConnection {
         break;
 
       case 'in': {
+        // An empty list matches nothing (IN () is invalid on MySQL and PostgreSQL)
+        if (where.values.length === 0) {
+          clauses.push(`${boolean} 1 = 0`);
+          break;
+        }
         const inPlaceholders = where.values.map(() => '?').join(', ');
         clauses.push(`${boolean} ${where.column} IN (${inPlaceholders})`);
         params.push(...where.values);
@@ -610,6 +1339,10 @@ class DatabaseConnection {
       }
 
       case 'notIn': {
+        if (where.values.length === 0) {
+          clauses.push(`${boolean} 1 = 1`);
+          break;
+        }
         const notInPlaceholders = where.values.map(() => '?').join(', ');
         clauses.push(`${boolean} ${where.column} NOT IN (${notInPlaceholders})`);
         params.push(...where.values);
@@ -633,6 +1366,33 @@ class DatabaseConnection {
         clauses.push(`${boolean} ${where.column} LIKE ?`);
         params.push(where.value);
         break;
+
+      case 'column':
+        clauses.push(`${boolean} ${where.first} ${where.operator} ${where.second}`);
+        break;
+
+      case 'inSub':
+      case 'notInSub':
+        clauses.push(`${boolean} ${where.column} ${where.type === 'inSub' ? 'IN' : 'NOT IN'} ${this.compileSub(where.sub, params)}`);
+        break;
+
+      case 'exists':
+        clauses.push(`${boolean} ${where.not ? 'NOT ' : ''}EXISTS ${this.compileSub(where.sub, params)}`);
+        break;
+
+      case 'sub':
+        // (SELECT ...) >= ?: the subquery bindings come first
+        clauses.push(`${boolean} ${this.compileSub(where.sub, params)} ${where.operator} ?`);
+        params.push(where.value);
+        break;
+
+      case 'nested': {
+        const { whereClause: inner, params: innerParams } = this.buildWhereClause(where.wheres);
+        if (!inner) break;
+        clauses.push(`${boolean} ${where.not ? 'NOT ' : ''}(${inner.replace(/^ WHERE /, '')})`);
+        params.push(...innerParams);
+        break;
+      }
       }
     });
 
@@ -667,6 +1427,9 @@ class DatabaseConnection {
    * @returns {Promise<void>}
    */
   async close() {
+    for (const reader of this.readConnections) {
+      await reader.close();
+    }
     if (this.pool) {
       await this.pool.end();
       this.pool = null;
@@ -0,0 +1,56 @@
+/**
+ * Errors thrown by models
+ */
+
+/**
+ * Thrown by Model.validate() / Model.save() when attributes break the model's rules
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} modelName
+   * @param {Object<string, string[]>} errors - Messages keyed by attribute
+   */
+  constructor(modelName, errors) {
+    super(`Validation failed for ${modelName}: ${Object.keys(errors).join(', ')}`);
+    this.name = 'ValidationError';
+    this.model = modelName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown by Model.fill() in strict mode when attributes are not mass assignable
+ */
+class MassAssignmentError extends Error {
+  /**
+   * @param {string} modelName
+   * @param {string[]} keys - Rejected attributes
+   */
+  constructor(modelName, keys) {
+    super(`Mass assignment rejected on ${modelName}: ${keys.join(', ')}`);
+    this.name = 'MassAssignmentError';
+    this.model = modelName;
+    this.keys = keys;
+  }
+}
+
+/**
+ * Thrown by Model.save() when the row's version column no longer matches
+ * (another process updated or deleted it since it was loaded)
+ */
+class StaleModelError extends Error {
+  /**
+   * @param {string} modelName
+   * @param {any} id - Primary key of the stale row
+   * @param {any} version - Version the update expected
+   */
+  constructor(modelName, id, version) {
+    super(`${modelName} ${id} is stale: it was updated or deleted since version ${version} was loaded`);
+    this.name = 'StaleModelError';
+    this.model = modelName;
+    this.id = id;
+    this.version = version;
+  }
+}
+
+module.exports = { ValidationError, MassAssignmentError, StaleModelError };
@@ -1,4 +1,58 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const QueryBuilder = require('./QueryBuilder');
+const Collection = require('./Collection');
+const { registerCast, resolveCast } = require('./Casts');
+const { validate } = require('./Validator');
+const { DB, currentConnection } = require('./ConnectionManager');
+const { resolveKeyGenerator } = require('./UniqueIds');
+const { ValidationError, MassAssignmentError, StaleModelError } = require('./Errors');
+const UnitOfWork = require('./UnitOfWork');
+
+// Set while running inside Model.withoutEvents()
+const eventsMuted = new AsyncLocalStorage();
+
+/**
+ * Convert an attribute name to StudlyCase (full_name -> FullName)
+ * @param {string} key
+ * @returns {string}
+ */
+function studly(key) {
+  return String(key).replace(/(?:^|[_\-\s]+)(\w)/g, (_, c) => c.toUpperCase());
+}
+
+const isMissing = value => value === null || value === undefined || value === '';
+
+/**
+ * Check whether an attribute map contains any of the keys (or any key at all)
+ * @param {Object} attributes
+ * @param {string|string[]} [keys]
+ * @returns {boolean}
+ */
+function hasAnyKey(attributes, keys) {
+  if (keys === undefined) return Object.keys(attributes).length > 0;
+  return (Array.isArray(keys) ? keys : [keys]).some(key => key in attributes);
+}
+
+/**
+ * List the loaded relations as dot-notation paths (posts.comments, profile...)
+ * @param {Object<string, any>} relations
+ * @returns {string[]}
+ */
+function loadedRelationPaths(relations) {
+  const paths = new Set();
+  for (const [name, value] of Object.entries(relations)) {
+    const models = Array.isArray(value) ? value : (value ? [value] : []);
+    const nested = new Set(models.flatMap(model => loadedRelationPaths(model.relations || {})));
+    if (nested.size === 0) paths.add(name);
+    nested.forEach(path => paths.add(`${name}.${path}`));
+  }
+  return [...paths];
+}
+
+const MODEL_EVENTS = [
+  'creating', 'created', 'updating', 'updated', 'saving', 'saved',
+  'deleting', 'deleted', 'restoring', 'restored'
+];
 
 /**
  * Base Model class inspired by Laravel Eloquent
@@ -6,30 +60,132 @@ const QueryBuilder = require('./QueryBuilder');
 class Model {
   static table = '';
   static primaryKey = 'id';
+  static incrementing = true;
+  static keyType = 'int';
+  static keyGenerator = null;
   static timestamps = true;
   static fillable = [];
+  static guarded = [];
+  static strictMassAssignment = false;
   static hidden = [];
+  static appends = [];
   static casts = {};
+  static rules = {};
+  static softDeletes = false;
+  static deletedAt = 'deleted_at';
+  static versionColumn = null;
   static connection = null;
+  static connectionName = null;
 
   /**
-   * Ensure a default database connection exists.
-   * If none is set, it will be initialized from environment (.env) lazily.
+   * Resolve the model's root connection: the named connection of the registry
+   * when connectionName is set, then the static connection, then the registry
+   * default (initialized from environment (.env) lazily).
+   * @returns {DatabaseConnection}
    */
   static ensureConnection() {
-    if (!this.connection) {
-      // Lazy require to avoid circular dependencies
-      const DatabaseConnection = require('./DatabaseConnection');
-      this.connection = new DatabaseConnection();
-    }
+    if (this.connectionName) return DB.connection(this.connectionName);
+    return this.connection || DB.connection();
+  }
+
+  /**
+   * Resolve the connection queries should run on: the open transaction of the
+   * model's connection in the current async context, or the connection itself.
+   * @returns {DatabaseConnection}
+   */
+  static getConnection() {
+    return currentConnection(this.ensureConnection());
   }
 
   /**
-   * Set the default database connection for all models
+   * Run a callback inside a transaction on the model's connection
+   * @param {(trx: DatabaseConnection) => Promise<any>} callback
+   * @returns {Promise<any>}
+   */
+  static transaction(callback) {
+    return this.ensureConnection().transaction(callback);
+  }
+
+  /**
+   * Set the database connection of this model and its subclasses.
+   * Overrides an inherited connectionName.
    * @param {DatabaseConnection} connection
    */
   static setConnection(connection) {
     this.connection = connection;
+    this.connectionName = null;
+  }
+
+  /**
+   * Begin a one-off query on a named connection of the registry
+   * @param {string} connectionName
+   * @returns {QueryBuilder}
+   */
+  static on(connectionName) {
+    return this.query().useConnection(connectionName);
+  }
+
+  /**
+   * Begin a query reading from the writer instead of the read replicas
+   * @returns {QueryBuilder}
+   */
+  static onWriteConnection() {
+    return this.query().useWriteConnection();
+  }
+
+  /**
+   * Begin a query whose results are cached (see QueryBuilder.remember())
+   * @param {number|null} ttl - Seconds
+   * @param {string} [key]
+   * @returns {QueryBuilder}
+   */
+  static remember(ttl, key) {
+    return this.query().remember(ttl, key);
+  }
+
+  /**
+   * Register a custom cast usable by name in `static casts` of any model
+   * @param {string} name
+   * @param {Function|{get: Function, set: Function}} cast - Cast class or object with get()/set()
+   */
+  static registerCast(name, cast) {
+    registerCast(name, cast);
+  }
+
+  /**
+   * Normalize a key value to the model's keyType ('int' keys come back from
+   * some drivers as strings, e.g. PostgreSQL BIGSERIAL)
+   * @param {any} value
+   * @returns {any}
+   */
+  static castKey(value) {
+    if (value === null || value === undefined) return value;
+    if (this.keyType === 'string') return String(value);
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+
+  /**
+   * Resolve the cast configured for an attribute
+   * @param {string} key
+   * @returns {{get: Function, set: Function}|null}
+   */
+  static getCast(key) {
+    return resolveCast(this.casts[key]);
+  }
+
+  /**
+   * Convert a payload of attributes to their database form (used for bulk writes)
+   * @param {Object} attributes
+   * @returns {Object}
+   */
+  static castAttributesForStorage(attributes) {
+    const data = {};
+    for (const [key, value] of Object.entries(attributes)) {
+      const cast = this.getCast(key);
+      data[key] = cast && value !== null && value !== undefined ? cast.set(value, key, null) : value;
+    }
+    return data;
   }
 
   /**
@@ -40,18 +196,105 @@ class Model {
     this.morphMap = map;
   }
 
+  // ==================== Events ====================
+
+  /**
+   * Register a listener for a model lifecycle event.
+   * Listeners receive the model and may be async; returning false from a
+   * "before" listener (creating, updating, saving, deleting, restoring) cancels the operation.
+   * @param {string} event
+   * @param {(model: Model) => any} listener
+   * @returns {typeof Model}
+   */
+  static listen(event, listener) {
+    if (!MODEL_EVENTS.includes(event)) {
+      throw new Error(`Unknown model event '${event}'`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(this, 'eventListeners')) {
+      this.eventListeners = {};
+    }
+    if (!this.eventListeners[event]) this.eventListeners[event] = [];
+    this.eventListeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Register an observer whose methods are named after model events
+   * @param {Function|Object} observer - Observer class or instance
+   * @returns {typeof Model}
+   */
+  static observe(observer) {
+    const instance = typeof observer === 'function' ? new observer() : observer;
+    for (const event of MODEL_EVENTS) {
+      if (typeof instance[event] === 'function') {
+        this.listen(event, model => instance[event](model));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Get the listeners registered on this model class for an event
+   * @param {string} event
+   * @returns {Array<Function>}
+   */
+  static getEventListeners(event) {
+    if (!Object.prototype.hasOwnProperty.call(this, 'eventListeners')) return [];
+    return this.eventListeners[event] || [];
+  }
+
+  /**
+   * Remove all event listeners registered on this model class
+   */
+  static flushEventListeners() {
+    this.eventListeners = {};
+  }
+
+  /**
+   * Run a callback with model events disabled (e.g. bulk imports)
+   * @template T
+   * @param {() => T} callback
+   * @returns {T}
+   */
+  static withoutEvents(callback) {
+    return eventsMuted.run(true, callback);
+  }
+
   constructor(attributes = {}) {
     // Auto-initialize connection on first model instantiation if missing
     this.constructor.ensureConnection();
     this.attributes = {};
     this.original = {};
+    this.changes = {};
     this.relations = {};
     this.touches = [];
     this.exists = false;
+    this.wasRecentlyCreated = false;
     this._showHidden = false;
+    // Named connection the instance was loaded from or created on (Model.on())
+    this.connectionName = null;
     this.fill(attributes);
   }
 
+  /**
+   * Connection this instance is saved, deleted and reloaded on: the named
+   * connection it came from (Model.on() / useConnection()), else the model's
+   * @returns {DatabaseConnection}
+   */
+  getConnection() {
+    if (!this.connectionName) return this.constructor.getConnection();
+    return currentConnection(DB.connection(this.connectionName));
+  }
+
+  /**
+   * Begin a query on the model, on this instance's connection
+   * @returns {QueryBuilder}
+   */
+  newQuery() {
+    const query = this.constructor.query();
+    return this.connectionName ? query.useConnection(this.connectionName) : query;
+  }
+
   // ==================== Query Builder ====================
 
   /**
@@ -74,25 +317,45 @@ class Model {
 
   /**
    * Find a model by its primary key
-   * @param {any} id
+   * @param {any|Array<any>|Object} id - Composite keys: [a, b] or { col_a: a, col_b: b }
    * @returns {Promise<Model|null>}
    */
   static find(id) {
-    return this.query().where(this.primaryKey, id).first();
+    return this.query().whereKey(id).first();
   }
 
   /**
    * Find a model by its primary key or throw an error
-   * @param {any} id
+   * @param {any|Array<any>|Object} id
    * @returns {Promise<Model>}
    */
   static findOrFail(id) {
-    return this.query().where(this.primaryKey, id).firstOrFail();
+    return this.query().whereKey(id).firstOrFail();
   }
 
   /**
-   * Add a where clause
-   * @param {string} column
+   * Normalize a composite key given as an array (primaryKey order) or an object
+   * into the list of values, one per key column
+   * @param {Array<any>|Object} id
+   * @returns {Array<any>}
+   * @throws {Error} When the value does not cover every key column
+   */
+  static keyValues(id) {
+    const columns = [].concat(this.primaryKey);
+    let values;
+    if (Array.isArray(id)) values = id;
+    else if (id !== null && typeof id === 'object') values = columns.map(column => id[column]);
+    else values = [id];
+
+    if (values.length !== columns.length || values.some(value => value === undefined)) {
+      throw new Error(`${this.name} has a composite primary key (${columns.join(', ')}): pass one value per column`);
+    }
+    return values;
+  }
+
+  /**
+   * Add a where clause (or a group built by a callback)
+   * @param {string|function(QueryBuilder): void} column
    * @param {string|any} operator
    * @param {any} value
    * @returns {QueryBuilder}
@@ -115,6 +378,46 @@ class Model {
     return instance.save();
   }
 
+  /**
+   * Get the first record matching the attributes or a new unsaved instance
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  static firstOrNew(attributes, values) {
+    return this.query().firstOrNew(attributes, values);
+  }
+
+  /**
+   * Get the first record matching the attributes or create it
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  static firstOrCreate(attributes, values) {
+    return this.query().firstOrCreate(attributes, values);
+  }
+
+  /**
+   * Create a record, or fetch the existing one on a unique constraint violation
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  static createOrFirst(attributes, values) {
+    return this.query().createOrFirst(attributes, values);
+  }
+
+  /**
+   * Update the first record matching the attributes, or create it
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  static updateOrCreate(attributes, values) {
+    return this.query().updateOrCreate(attributes, values);
+  }
+
   /**
    * Insert data without creating model instances
    * @param {Object|Array<Object>} data
@@ -125,6 +428,17 @@ class Model {
     return query.insert(data);
   }
 
+  /**
+   * Insert rows or update them when they conflict on the uniqueBy columns
+   * @param {Object|Array<Object>} rows
+   * @param {string|Array<string>} uniqueBy
+   * @param {Array<string>} [updateColumns]
+   * @returns {Promise<{affectedRows: number}>}
+   */
+  static upsert(rows, uniqueBy, updateColumns) {
+    return this.query().upsert(rows, uniqueBy, updateColumns);
+  }
+
   /**
    * Update records
    * @param {Object} attributes
@@ -142,8 +456,8 @@ class Model {
    * @returns {Promise<Model|null>}
    */
   static async updateAndFetchById(id, attributes, relations = []) {
-    await this.query().where(this.primaryKey, id).update(attributes);
-    const qb = this.query().where(this.primaryKey, id);
+    await this.query().whereKey(id).update(attributes);
+    const qb = this.query().whereKey(id);
     if (relations && relations.length) qb.with(...relations);
     return qb.first();
   }
@@ -155,7 +469,7 @@ class Model {
    * @returns {Promise<any>}
    */
   static async updateById(id, attributes) {
-    return this.query().where(this.primaryKey, id).update(attributes);
+    return this.query().whereKey(id).update(attributes);
   }
 
   /**
@@ -212,10 +526,60 @@ class Model {
     return this.query().paginate(page, perPage);
   }
 
+  /**
+   * Process all records in chunks (see QueryBuilder.chunk)
+   * @param {number} size
+   * @param {(models: Array<Model>, page: number) => any} callback
+   * @returns {Promise<boolean>}
+   */
+  static chunk(size, callback) {
+    return this.query().chunk(size, callback);
+  }
+
+  /**
+   * Process all records in keyset-paginated chunks (see QueryBuilder.chunkById)
+   * @param {number} size
+   * @param {(models: Array<Model>, page: number) => any} callback
+   * @param {string} [column]
+   * @returns {Promise<boolean>}
+   */
+  static chunkById(size, callback, column) {
+    return this.query().chunkById(size, callback, column);
+  }
+
+  /**
+   * Stream all records one model at a time
+   * @param {{batchSize?: number}} [options]
+   * @returns {AsyncGenerator<Model>}
+   */
+  static cursor(options) {
+    return this.query().cursor(options);
+  }
+
+  /**
+   * Paginate without counting the total
+   * @param {number} page
+   * @param {number} perPage
+   * @returns {Promise<Object>}
+   */
+  static simplePaginate(page = 1, perPage = 15) {
+    return this.query().simplePaginate(page, perPage);
+  }
+
+  /**
+   * Keyset (cursor) pagination ordered by primary key
+   * @param {number} [perPage]
+   * @param {string|null} [cursor]
+   * @returns {Promise<Object>}
+   */
+  static cursorPaginate(perPage, cursor) {
+    return this.query().cursorPaginate(perPage, cursor);
+  }
+
   /**
    * Add a where in clause
    * @param {string} column
-   * @param {Array} values
+   * @param {Array|QueryBuilder} values - Values, or a subquery selecting one column
    * @returns {QueryBuilder}
    */
   static whereIn(column, values) {
@@ -240,6 +604,24 @@ class Model {
     return this.query().whereNotNull(column);
   }
 
+  /**
+   * Keep rows for which a subquery returns at least one row: WHERE EXISTS (...)
+   * @param {QueryBuilder} query
+   * @returns {QueryBuilder}
+   */
+  static whereExists(query) {
+    return this.query().whereExists(query);
+  }
+
+  /**
+   * Add a negated group of where clauses: WHERE NOT (...)
+   * @param {function(QueryBuilder): void} callback
+   * @returns {QueryBuilder}
+   */
+  static whereNot(callback) {
+    return this.query().whereNot(callback);
+  }
+
   /**
    * Count records
    * @returns {Promise<number>}
@@ -278,35 +660,165 @@ class Model {
     return query;
   }
 
+  /**
+   * Register a global scope applied to every query of this model (and its subclasses).
+   * A scope is a function (qb, modelClass) => void or an object with apply(qb, modelClass).
+   * Scopes may also be declared with `static globalScopes = { name: scope }`.
+   * @param {string} name
+   * @param {Function|{apply: Function}} scope
+   * @returns {typeof Model}
+   */
+  static addGlobalScope(name, scope) {
+    if (!Object.prototype.hasOwnProperty.call(this, 'globalScopes')) {
+      this.globalScopes = {};
+    }
+    this.globalScopes[name] = scope;
+    return this;
+  }
+
+  /**
+   * Get the global scopes of this model, including those inherited from parent models
+   * @returns {Object<string, Function|{apply: Function}>}
+   */
+  static getGlobalScopes() {
+    const parent = Object.getPrototypeOf(this);
+    const inherited = typeof parent.getGlobalScopes === 'function' ? parent.getGlobalScopes() : {};
+    const own = Object.prototype.hasOwnProperty.call(this, 'globalScopes') ? this.globalScopes : {};
+    return { ...inherited, ...own };
+  }
+
+  /**
+   * Begin a query without the given global scope
+   * @param {string} name
+   * @returns {QueryBuilder}
+   */
+  static withoutGlobalScope(name) {
+    return this.query().withoutGlobalScope(name);
+  }
+
+  /**
+   * Begin a query without the given (or all) global scopes
+   * @param {string[]} [names]
+   * @returns {QueryBuilder}
+   */
+  static withoutGlobalScopes(names) {
+    return this.query().withoutGlobalScopes(names);
+  }
+
+  /**
+   * Include soft deleted records in the query
+   * @returns {QueryBuilder}
+   */
+  static withTrashed() {
+    return this.query().withTrashed();
+  }
+
+  /**
+   * Only query soft deleted records
+   * @returns {QueryBuilder}
+   */
+  static onlyTrashed() {
+    return this.query().onlyTrashed();
+  }
+
+  /**
+   * Query with the selected rows locked for update
+   * @returns {QueryBuilder}
+   */
+  static lockForUpdate() {
+    return this.query().lockForUpdate();
+  }
+
+  /**
+   * Query with a shared lock on the selected rows
+   * @returns {QueryBuilder}
+   */
+  static sharedLock() {
+    return this.query().sharedLock();
+  }
+
   // ==================== Instance Methods ====================
 
   /**
-   * Fill the model with attributes
+   * Fill the model with mass assignable attributes
+   * Other keys are discarded, or rejected with a MassAssignmentError when
+   * `static strictMassAssignment` is enabled (nothing is assigned in that case).
    * @param {Object} attributes
    * @returns {this}
+   * @throws {MassAssignmentError}
    */
   fill(attributes) {
-    for (const [key, value] of Object.entries(attributes)) {
-      if (this.constructor.fillable.length === 0 || this.constructor.fillable.includes(key)) {
+    const entries = Object.entries(attributes);
+    const rejected = entries.filter(([key]) => !this.isFillable(key)).map(([key]) => key);
+
+    if (rejected.length > 0 && this.constructor.strictMassAssignment) {
+      throw new MassAssignmentError(this.constructor.name, rejected);
+    }
+
+    for (const [key, value] of entries) {
+      if (!rejected.includes(key)) {
         this.setAttribute(key, value);
       }
     }
     return this;
   }
 
+  /**
+   * Fill the model with attributes, bypassing fillable and guarded
+   * @param {Object} attributes
+   * @returns {this}
+   */
+  forceFill(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Determine if an attribute can be mass assigned
+   * A key listed in fillable always can; otherwise it must not be guarded and
+   * fillable must be empty.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isFillable(key) {
+    const { fillable } = this.constructor;
+    if (fillable.includes(key)) return true;
+    if (this.isGuarded(key)) return false;
+    return fillable.length === 0;
+  }
+
+  /**
+   * Determine if an attribute is guarded ('*' guards every attribute)
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isGuarded(key) {
+    const { guarded } = this.constructor;
+    return guarded.includes('*') || guarded.includes(key);
+  }
+
   /**
    * Set an attribute
+   * A mutator defined as set<StudlyName>Attribute(value) returns the value to store,
+   * which is then converted to its database form by the attribute's cast.
    * @param {string} key
    * @param {any} value
    * @returns {this}
    */
   setAttribute(key, value) {
-    this.attributes[key] = this.castAttribute(key, value);
+    if (this.hasSetMutator(key)) {
+      value = this[`set${studly(key)}Attribute`](value);
+    }
+    this.attributes[key] = this.castAttributeForStorage(key, value);
     return this;
   }
 
   /**
    * Get an attribute
+   * An accessor defined as get<StudlyName>Attribute(value) receives the cast value
+   * and may compute attributes that are not stored (see static appends).
    * @param {string} key
    * @returns {any}
    */
@@ -314,102 +826,231 @@ class Model {
     if (this.relations[key]) {
       return this.relations[key];
     }
-    return this.castAttribute(key, this.attributes[key]);
+    const value = this.castAttribute(key, this.attributes[key]);
+    if (this.hasGetMutator(key)) {
+      return this[`get${studly(key)}Attribute`](value);
+    }
+    return value;
+  }
+
+  /**
+   * Determine if an accessor exists for an attribute
+   * @param {string} key
+   * @returns {boolean}
+   */
+  hasGetMutator(key) {
+    return Boolean(key) && typeof this[`get${studly(key)}Attribute`] === 'function';
   }
 
   /**
-   * Cast an attribute to the proper type
+   * Determine if a mutator exists for an attribute
+   * @param {string} key
+   * @returns {boolean}
+   */
+  hasSetMutator(key) {
+    return Boolean(key) && typeof this[`set${studly(key)}Attribute`] === 'function';
+  }
+
+  /**
+   * Replace the attributes without running mutators or casts (used when hydrating rows)
+   * @param {Object} attributes
+   * @param {boolean} [sync=false] - Also mark them as the original (persisted) state
+   * @returns {this}
+   */
+  setRawAttributes(attributes, sync = false) {
+    this.attributes = attributes;
+    if (sync) {
+      this.original = { ...attributes };
+    }
+    return this;
+  }
+
+  /**
+   * Cast an attribute from its database form to its JavaScript form
    * @param {string} key
    * @param {any} value
    * @returns {any}
    */
   castAttribute(key, value) {
-    const cast = this.constructor.casts[key];
+    const cast = this.constructor.getCast(key);
     if (!cast || value === null || value === undefined) return value;
+    return cast.get(value, key, this);
+  }
 
-    switch (cast) {
-    case 'int':
-    case 'integer':
-      return parseInt(value, 10);
-    case 'float':
-    case 'double':
-      return parseFloat(value);
-    case 'string':
-      return String(value);
-    case 'bool':
-    case 'boolean':
-      return Boolean(value);
-    case 'array':
-    case 'json':
-      return typeof value === 'string' ? JSON.parse(value) : value;
-    case 'date':
-      return value instanceof Date ? value : new Date(value);
-    default:
-      return value;
+  /**
+   * Cast an attribute from its JavaScript form to its database form
+   * @param {string} key
+   * @param {any} value
+   * @returns {any}
+   */
+  castAttributeForStorage(key, value) {
+    const cast = this.constructor.getCast(key);
+    if (!cast || value === null || value === undefined) return value;
+    return cast.set(value, key, this);
+  }
+
+  /**
+   * Validate the attributes against the model's static rules without saving
+   * @param {string[]} [keys] - Only validate these attributes
+   * @returns {Promise<true>}
+   * @throws {ValidationError} Listing every failing attribute
+   */
+  async validate(keys) {
+    const errors = await validate(this, keys);
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(this.constructor.name, errors);
     }
+    return true;
   }
 
   /**
    * Save the model
-   * @returns {Promise<this>}
+   * Resolves to false when a saving/creating/updating listener cancels the operation.
+   * Rules are checked after the saving listeners ran: every attribute on insert,
+   * only the dirty ones on update.
+   * @param {{validate?: boolean}} [options] - Pass validate: false to skip the rules
+   * @returns {Promise<this|false>}
+   * @throws {ValidationError}
    */
-  async save() {
-    if (this.exists) {
-      return this.performUpdate();
+  async save(options = {}) {
+    if (await this.fireModelEvent('saving') === false) {
+      return false;
+    }
+
+    if (options.validate !== false) {
+      await this.validate(this.exists ? Object.keys(this.getDirty()) : undefined);
     }
-    return this.performInsert();
+
+    const saved = this.exists
+      ? await this.performUpdate()
+      : await this.performInsert();
+    if (saved === false) {
+      return false;
+    }
+
+    await this.fireModelEvent('saved', false);
+    return this;
   }
 
   /**
    * Perform an insert operation
-   * @returns {Promise<this>}
+   * @returns {Promise<this|false>}
    */
   async performInsert() {
+    if (await this.fireModelEvent('creating') === false) {
+      return false;
+    }
+
     if (this.constructor.timestamps) {
       const now = new Date();
       this.setAttribute('created_at', now);
       this.setAttribute('updated_at', now);
     }
 
+    const versionColumn = this.constructor.versionColumn;
+    if (versionColumn && (this.attributes[versionColumn] === undefined || this.attributes[versionColumn] === null)) {
+      this.attributes[versionColumn] = 0;
+    }
+
+    const modelClass = this.constructor;
+    const key = modelClass.primaryKey;
+    const composite = Array.isArray(key);
+    if (!composite && modelClass.keyGenerator && isMissing(this.attributes[key])) {
+      this.attributes[key] = resolveKeyGenerator(modelClass.keyGenerator, modelClass.name)(this);
+    }
+
     const data = this.attributes;
-    const result = await this.constructor.connection.insert(this.constructor.table, data);
+    const result = await this.getConnection().insert(modelClass.table, data, composite ? undefined : key);
 
-    this.setAttribute(this.constructor.primaryKey, result.insertId);
+    // A key still unset was generated by the database: auto-increment, or a column
+    // default returned by RETURNING (e.g. gen_random_uuid() on PostgreSQL)
+    if (!composite && isMissing(this.attributes[key]) && !isMissing(result.insertId)) {
+      this.setAttribute(key, modelClass.castKey(result.insertId));
+    }
     this.exists = true;
+    this.wasRecentlyCreated = true;
     this.original = { ...this.attributes };
+    this.changes = {};
+    UnitOfWork.current()?.add(this.getConnection(), this);
 
     await this.touchParents();
+    await this.fireModelEvent('created', false);
 
     return this;
   }
 
   /**
    * Perform an update operation
-   * @returns {Promise<this>}
+   * Nothing is written (and no updating/updated events fire) when the model is clean.
+   * With a versionColumn, the row is only updated if its version still matches the
+   * loaded one, and the version is incremented.
+   * @returns {Promise<this|false>}
+   * @throws {StaleModelError} When another process changed the row first
    */
   async performUpdate() {
+    if (!this.isDirty()) {
+      this.changes = {};
+      return this;
+    }
+
+    if (await this.fireModelEvent('updating') === false) {
+      return false;
+    }
+
     if (this.constructor.timestamps) {
       this.setAttribute('updated_at', new Date());
     }
 
     const dirty = this.getDirty();
-    if (Object.keys(dirty).length === 0) {
-      return this;
+    const query = this.getKeyQuery();
+
+    const versionColumn = this.constructor.versionColumn;
+    const version = versionColumn ? this.original[versionColumn] : undefined;
+    if (versionColumn) {
+      query.wheres.push(version === null || version === undefined
+        ? { column: versionColumn, type: 'null', boolean: 'and' }
+        : { column: versionColumn, operator: '=', value: version, type: 'basic', boolean: 'and' });
+      dirty[versionColumn] = Number(version || 0) + 1;
     }
 
-    await this.constructor.connection.update(
+    const result = await this.getConnection().update(
       this.constructor.table,
       dirty,
-      { [this.constructor.primaryKey]: this.getAttribute(this.constructor.primaryKey) }
+      query
     );
 
+    if (versionColumn) {
+      if (result.affectedRows === 0) {
+        throw new StaleModelError(this.constructor.name, this.getKey(), version);
+      }
+      this.attributes[versionColumn] = dirty[versionColumn];
+    }
+
+    this.changes = dirty;
     this.original = { ...this.attributes };
 
     await this.touchParents();
+    await this.fireModelEvent('updated', false);
 
     return this;
   }
 
+  /**
+   * Fire a model event, awaiting each listener in registration order
+   * @param {string} event
+   * @param {boolean} [halt=true] - Stop and resolve to false when a listener returns false
+   * @returns {Promise<boolean>}
+   */
+  async fireModelEvent(event, halt = true) {
+    if (eventsMuted.getStore()) return true;
+
+    for (const listener of this.constructor.getEventListeners(event)) {
+      const result = await listener(this);
+      if (halt && result === false) return false;
+    }
+    return true;
+  }
+
   /**
    * Touch parent models for belongsTo relations with touches enabled
    * @returns {Promise<void>}
@@ -417,12 +1058,12 @@ class Model {
   async touchParents() {
     for (const relation of this.touches) {
       if (relation.touchesParent) {
-        const foreignKeyValue = this.getAttribute(relation.foreignKey);
+        const foreignKeyValue = relation.getKeyValue(this, relation.foreignKey);
         if (foreignKeyValue) {
-          await this.constructor.connection.update(
+          await this.getConnection().update(
             relation.related.table,
             { updated_at: new Date() },
-            { [relation.ownerKey]: foreignKeyValue }
+            { wheres: relation.whereKeyValue(relation.ownerKey, foreignKeyValue, new QueryBuilder(relation.related)).wheres }
           );
         }
       }
@@ -431,6 +1072,8 @@ class Model {
 
   /**
    * Delete the model
+   * Soft-deleting models only get their deleted_at column set.
+   * Resolves to false when a deleting listener cancels the operation.
    * @returns {Promise<boolean>}
    */
   async destroy() {
@@ -438,13 +1081,129 @@ class Model {
       return false;
     }
 
-    await this.constructor.connection.delete(
+    if (await this.fireModelEvent('deleting') === false) {
+      return false;
+    }
+
+    if (this.constructor.softDeletes) {
+      await this.performSoftDelete();
+    } else {
+      await this.performDelete();
+    }
+
+    await this.fireModelEvent('deleted', false);
+    return true;
+  }
+
+  /**
+   * Permanently delete the model, bypassing soft deletes
+   * @returns {Promise<boolean>}
+   */
+  async forceDelete() {
+    if (!this.exists) {
+      return false;
+    }
+
+    if (await this.fireModelEvent('deleting') === false) {
+      return false;
+    }
+
+    await this.performDelete();
+
+    await this.fireModelEvent('deleted', false);
+    return true;
+  }
+
+  /**
+   * Delete the model's row
+   * @returns {Promise<void>}
+   */
+  async performDelete() {
+    await this.getConnection().delete(
       this.constructor.table,
-      { [this.constructor.primaryKey]: this.getAttribute(this.constructor.primaryKey) }
+      this.getKeyQuery()
     );
 
     this.exists = false;
-    return true;
+    UnitOfWork.current()?.remove(this);
+  }
+
+  /**
+   * Mark the model's row as deleted
+   * @returns {Promise<void>}
+   */
+  async performSoftDelete() {
+    const column = this.constructor.deletedAt;
+    const data = { [column]: new Date() };
+    if (this.constructor.timestamps) {
+      data.updated_at = data[column];
+    }
+
+    await this.getConnection().update(
+      this.constructor.table,
+      data,
+      this.getKeyQuery()
+    );
+
+    this.changes = {};
+    for (const [key, value] of Object.entries(data)) {
+      this.setAttribute(key, value);
+      this.original[key] = this.attributes[key];
+      this.changes[key] = this.attributes[key];
+    }
+  }
+
+  /**
+   * Restore a soft deleted model
+   * @returns {Promise<this|false>}
+   */
+  async restore() {
+    if (await this.fireModelEvent('restoring') === false) {
+      return false;
+    }
+
+    this.setAttribute(this.constructor.deletedAt, null);
+    if (await this.save() === false) {
+      return false;
+    }
+
+    await this.fireModelEvent('restored', false);
+    return this;
+  }
+
+  /**
+   * Determine if the model has been soft deleted
+   * @returns {boolean}
+   */
+  trashed() {
+    const value = this.attributes[this.constructor.deletedAt];
+    return value !== null && value !== undefined;
+  }
+
+  /**
+   * Get the primary key value (an array of values for a composite key)
+   * @returns {any|Array<any>}
+   */
+  getKey() {
+    const key = this.constructor.primaryKey;
+    return Array.isArray(key) ? key.map(column => this.getAttribute(column)) : this.getAttribute(key);
+  }
+
+  /**
+   * Build the query object targeting this model's row by primary key
+   * (every column of a composite key). The persisted key is used, so a key
+   * changed on the instance still targets the row it was loaded from.
+   * @returns {Object}
+   */
+  getKeyQuery() {
+    const wheres = [].concat(this.constructor.primaryKey).map(column => ({
+      column,
+      operator: '=',
+      value: this.original[column] ?? this.attributes[column],
+      type: 'basic',
+      boolean: 'and'
+    }));
+    return { wheres };
   }
 
   /**
@@ -454,7 +1213,7 @@ class Model {
   getDirty() {
     const dirty = {};
     for (const [key, value] of Object.entries(this.attributes)) {
-      if (JSON.stringify(value) !== JSON.stringify(this.original[key])) {
+      if (!this.originalIsEquivalent(key, value)) {
         dirty[key] = value;
       }
     }
@@ -462,11 +1221,146 @@ class Model {
   }
 
   /**
-   * Check if the model has been modified
+   * Compare an attribute with its original value, through its cast when it has one
+   * (so '1' and 1 for an int column, or equal JSON documents, are not dirty)
+   * @param {string} key
+   * @param {any} value
+   * @returns {boolean}
+   */
+  originalIsEquivalent(key, value) {
+    const original = this.original[key];
+    if (JSON.stringify(value) === JSON.stringify(original)) return true;
+    if (!(key in this.original) || !this.constructor.getCast(key)) return false;
+    return JSON.stringify(this.castAttribute(key, value)) === JSON.stringify(this.castAttribute(key, original));
+  }
+
+  /**
+   * Check if the model (or one of the given attributes) has been modified
+   * @param {string|string[]} [keys]
+   * @returns {boolean}
+   */
+  isDirty(keys) {
+    return hasAnyKey(this.getDirty(), keys);
+  }
+
+  /**
+   * Check if the model (or every given attribute) is unchanged since it was loaded or saved
+   * @param {string|string[]} [keys]
+   * @returns {boolean}
+   */
+  isClean(keys) {
+    return !this.isDirty(keys);
+  }
+
+  /**
+   * Get an original (last loaded or saved) value, cast like getAttribute() without accessors.
+   * Without a key, every original attribute is returned.
+   * @param {string} [key]
+   * @param {any} [defaultValue]
+   * @returns {any}
+   */
+  getOriginal(key, defaultValue) {
+    if (key === undefined) {
+      const original = {};
+      for (const [name, value] of Object.entries(this.original)) {
+        original[name] = this.castAttribute(name, value);
+      }
+      return original;
+    }
+    if (!(key in this.original)) return defaultValue;
+    return this.castAttribute(key, this.original[key]);
+  }
+
+  /**
+   * Get the attributes written by the last save (in database form, like getDirty()).
+   * Empty after an insert or a save that had nothing to write.
+   * @returns {Object}
+   */
+  getChanges() {
+    return { ...this.changes };
+  }
+
+  /**
+   * Check if the last save changed the model (or one of the given attributes)
+   * @param {string|string[]} [keys]
    * @returns {boolean}
    */
-  isDirty() {
-    return Object.keys(this.getDirty()).length > 0;
+  wasChanged(keys) {
+    return hasAnyKey(this.changes, keys);
+  }
+
+  /**
+   * Reload the attributes from the database, along with the relations already loaded
+   * (nested ones included). Global scopes and soft deletes are ignored.
+   * @returns {Promise<this>}
+   * @throws {Error} When the row no longer exists
+   */
+  async refresh() {
+    if (!this.exists) return this;
+
+    const fresh = await this.newKeyQuery().firstOrFail();
+    const paths = loadedRelationPaths(this.relations);
+
+    this.setRawAttributes(fresh.attributes, true);
+    this.changes = {};
+    this.relations = {};
+    if (paths.length > 0) {
+      await Collection.make([this]).loadMissing(paths);
+    }
+    return this;
+  }
+
+  /**
+   * Get a new instance of this model from the database, or null when the row is gone
+   * @param {...string|Array<string>} relations - Relations to eager load on the new instance
+   * @returns {Promise<this|null>}
+   */
+  async fresh(...relations) {
+    if (!this.exists) return null;
+
+    const query = this.newKeyQuery();
+    if (relations.length > 0) query.with(...relations);
+    return query.first();
+  }
+
+  /**
+   * Query targeting this model's row regardless of global scopes and soft deletes
+   * @returns {QueryBuilder}
+   * @private
+   */
+  newKeyQuery() {
+    const query = this.newQuery().withoutGlobalScopes().withTrashed();
+    query._showHidden = this._showHidden;
+    // Reload the row itself, not the instance of the unit of work's identity map
+    query.identityMap = false;
+    query.wheres.push(...this.getKeyQuery().wheres);
+    return query;
+  }
+
+  /**
+   * Clone the model into a new, unsaved instance without its primary key, timestamps
+   * and version.
+   * Loaded relations are shared with the copy.
+   * @param {string[]} [except] - Other attributes to leave out
+   * @returns {Model}
+   */
+  replicate(except = []) {
+    const modelClass = this.constructor;
+    const omitted = [...[].concat(modelClass.primaryKey), ...except];
+    if (modelClass.timestamps) omitted.push('created_at', 'updated_at');
+    if (modelClass.softDeletes) omitted.push(modelClass.deletedAt);
+    if (modelClass.versionColumn) omitted.push(modelClass.versionColumn);
+
+    const attributes = {};
+    for (const [key, value] of Object.entries(this.attributes)) {
+      if (!omitted.includes(key)) attributes[key] = value;
+    }
+
+    const copy = new modelClass();
+    copy.connectionName = this.connectionName;
+    copy.setRawAttributes(attributes);
+    copy.relations = { ...this.relations };
+    return copy;
   }
 
   /**
@@ -474,7 +1368,17 @@ class Model {
    * @returns {Object}
    */
   toJSON() {
-    const json = { ...this.attributes };
+    const json = {};
+    for (const key of Object.keys(this.attributes)) {
+      json[key] = this.hasGetMutator(key) || this.constructor.casts[key]
+        ? this.getAttribute(key)
+        : this.attributes[key];
+    }
+
+    // Computed attributes
+    for (const key of this.constructor.appends) {
+      json[key] = this.getAttribute(key);
+    }
 
     // Hide specified attributes unless _showHidden is true
     if (!this._showHidden) {
@@ -483,8 +1387,14 @@ class Model {
       });
     }
 
-    // Add relations
-    Object.assign(json, this.relations);
+    // Add relations, serialized through their own toJSON()
+    for (const [name, value] of Object.entries(this.relations)) {
+      if (Array.isArray(value)) {
+        json[name] = Array.from(value, item => (item instanceof Model ? item.toJSON() : item));
+      } else {
+        json[name] = value instanceof Model ? value.toJSON() : value;
+      }
+    }
 
     return json;
   }
@@ -542,8 +1452,8 @@ class Model {
   /**
    * Define a one-to-one relationship
    * @param {typeof Model} related
-   * @param {string} foreignKey
-   * @param {string} localKey
+   * @param {string|string[]} foreignKey - Array of columns for a composite key
+   * @param {string|string[]} localKey
    * @returns {HasOneRelation}
    */
   hasOne(related, foreignKey, localKey) {
@@ -557,8 +1467,8 @@ class Model {
   /**
    * Define a one-to-many relationship
    * @param {typeof Model} related
-   * @param {string} foreignKey
-   * @param {string} localKey
+   * @param {string|string[]} foreignKey - Array of columns for a composite key
+   * @param {string|string[]} localKey
    * @returns {HasManyRelation}
    */
   hasMany(related, foreignKey, localKey) {
@@ -572,8 +1482,8 @@ class Model {
   /**
    * Define an inverse one-to-one or many relationship
    * @param {typeof Model} related
-   * @param {string} foreignKey
-   * @param {string} ownerKey
+   * @param {string|string[]} foreignKey - Array of columns for a composite key
+   * @param {string|string[]} ownerKey
    * @returns {BelongsToRelation}
    */
   belongsTo(related, foreignKey, ownerKey) {
@@ -680,4 +1590,11 @@ class Model {
   }
 }
 
+// Shortcut registration methods: User.creating(fn), User.saved(fn), ...
+for (const event of MODEL_EVENTS) {
+  Model[event] = function(listener) {
+    return this.listen(event, listener);
+  };
+}
+
 module.exports = Model;
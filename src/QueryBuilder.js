@@ -1,3 +1,131 @@
+const Collection = require('./Collection');
+const crypto = require('crypto');
+const { DB, currentConnection } = require('./ConnectionManager');
+const { getCacheStore, tableTag } = require('./Cache');
+const UnitOfWork = require('./UnitOfWork');
+
+/**
+ * Wrap a list of where clauses in a nested group when it contains OR clauses,
+ * so that it can be safely ANDed with other constraints.
+ * @param {Array<Object>} wheres
+ * @returns {Array<Object>}
+ */
+function groupWheres(wheres) {
+  if (!wheres.some(w => w.boolean === 'or')) return wheres;
+  return [{ type: 'nested', wheres, boolean: 'and' }];
+}
+
+/**
+ * Prefix unqualified where columns (including nested groups) with a table name
+ * @param {Array<Object>} wheres
+ * @param {string} table
+ * @returns {Array<Object>}
+ */
+function qualifyWheres(wheres, table) {
+  return wheres.map(w => {
+    const clone = { ...w };
+    if (clone.type === 'nested') {
+      clone.wheres = qualifyWheres(clone.wheres, table);
+    } else if (clone.column && !/\./.test(clone.column)) {
+      clone.column = `${table}.${clone.column}`;
+    }
+    return clone;
+  });
+}
+
+/**
+ * Pair the qualified columns of two (possibly composite) keys
+ * @param {string|string[]} left - Columns on the left table
+ * @param {string} leftTable
+ * @param {string|string[]} right - Columns on the right table, in the same order
+ * @param {string} rightTable
+ * @returns {Array<[string, string]>} e.g. [['lines.order_id', 'orders.id']]
+ */
+function keyPairs(left, leftTable, right, rightTable) {
+  const rights = [].concat(right);
+  return [].concat(left).map((column, i) => [`${leftTable}.${column}`, `${rightTable}.${rights[i]}`]);
+}
+
+/**
+ * Snapshot a query used as a subquery: its table and clauses (global scopes and
+ * soft deletes applied), without eager loads or row locks
+ * @param {QueryBuilder} query
+ * @returns {{table: string, query: Object}}
+ * @throws {TypeError} When the subquery is not a QueryBuilder
+ */
+function toSub(query) {
+  if (!(query instanceof QueryBuilder)) {
+    throw new TypeError('Subqueries must be QueryBuilder instances, e.g. Post.query().select(\'user_id\')');
+  }
+  return { table: query.model.table, query: { ...query.buildQuery(), lock: null, useWriteConnection: false } };
+}
+
+/**
+ * Tables read by a built query, subqueries included (cache tags)
+ * @param {string} table
+ * @param {Object} query
+ * @returns {string[]}
+ */
+function queryTables(table, query) {
+  const tables = [table];
+  const addSub = sub => tables.push(...queryTables(sub.table, sub.query));
+  const addWheres = wheres => {
+    for (const where of wheres || []) {
+      if (where.type === 'nested') addWheres(where.wheres);
+      else if (where.sub) addSub(where.sub);
+    }
+  };
+
+  if (query.from) addSub(query.from.sub);
+  for (const column of query.columns || []) {
+    if (typeof column !== 'string') addSub(column.sub);
+  }
+  for (const join of query.joins || []) {
+    if (join.sub) addSub(join.sub);
+    else tables.push(join.table);
+  }
+  addWheres(query.wheres);
+  return tables;
+}
+
+/**
+ * Encode keyset pagination parameters into an opaque cursor token
+ * @param {Object} params - Order column values of the boundary row
+ * @param {boolean} pointsToNext
+ * @returns {string}
+ */
+function encodeCursor(params, pointsToNext) {
+  const values = {};
+  for (const [column, value] of Object.entries(params)) {
+    values[column] = value instanceof Date ? { $date: value.toISOString() } : value;
+  }
+  return Buffer.from(JSON.stringify({ ...values, _pointsToNext: pointsToNext })).toString('base64url');
+}
+
+/**
+ * Decode a cursor token produced by encodeCursor()
+ * @param {string} token
+ * @returns {{params: Object, pointsToNext: boolean}}
+ */
+function decodeCursor(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (!payload || typeof payload !== 'object' || typeof payload._pointsToNext !== 'boolean') {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  const { _pointsToNext: pointsToNext, ...values } = payload;
+  const params = {};
+  for (const [column, value] of Object.entries(values)) {
+    params[column] = value && typeof value === 'object' && '$date' in value ? new Date(value.$date) : value;
+  }
+  return { params, pointsToNext };
+}
+
 /**
  * Query Builder for constructing and executing database queries
  */
@@ -16,6 +144,129 @@ class QueryBuilder {
     this.groupBys = [];
     this.havings = [];
     this._showHidden = false;
+    this.trashedMode = 'exclude';
+    this.removedScopes = [];
+    this.scopesApplied = false;
+    this.modelFactory = null;
+    this.lock = null;
+    this.connectionName = null;
+    this.forceWriteConnection = false;
+    this.cacheOptions = null;
+    this.identityMap = true;
+    this.fromQuery = null;
+
+    // Expose the model's local scopes as builder methods: scopeActive -> qb.active()
+    return new Proxy(this, {
+      get(target, prop, receiver) {
+        if (typeof prop === 'string' && !(prop in target) && typeof target.model?.[QueryBuilder.scopeMethodName(prop)] === 'function') {
+          return (...args) => receiver.scope(prop, ...args);
+        }
+        return Reflect.get(target, prop, receiver);
+      }
+    });
+  }
+
+  /**
+   * Run this query on a named connection of the registry instead of the model's
+   * @param {string} connectionName
+   * @returns {this}
+   */
+  useConnection(connectionName) {
+    this.connectionName = connectionName;
+    return this;
+  }
+
+  /**
+   * Read from the writer even when the connection has read replicas
+   * (e.g. right after a write that replicas may not have received yet)
+   * @returns {this}
+   */
+  useWriteConnection() {
+    this.forceWriteConnection = true;
+    return this;
+  }
+
+  /**
+   * Connection the query runs on (inside an open transaction, its connection)
+   * @returns {DatabaseConnection}
+   */
+  getConnection() {
+    if (!this.connectionName) return this.model.getConnection();
+    return currentConnection(DB.connection(this.connectionName));
+  }
+
+  /**
+   * Name of the static model method implementing a local scope
+   * @param {string} name
+   * @returns {string}
+   */
+  static scopeMethodName(name) {
+    return `scope${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
+
+  /**
+   * Apply a local scope defined on the model as static scope<Name>(qb, ...args)
+   * @param {string} name
+   * @param {...any} args
+   * @returns {this}
+   */
+  scope(name, ...args) {
+    const fn = this.model[QueryBuilder.scopeMethodName(name)];
+    if (typeof fn !== 'function') {
+      throw new Error(`Scope '${name}' is not defined on ${this.model.name}`);
+    }
+    fn.call(this.model, this, ...args);
+    return this;
+  }
+
+  /**
+   * Disable a global scope for this query
+   * @param {string} name
+   * @returns {this}
+   */
+  withoutGlobalScope(name) {
+    this.removedScopes.push(name);
+    return this;
+  }
+
+  /**
+   * Disable several (or, without argument, all) global scopes for this query
+   * @param {string[]} [names]
+   * @returns {this}
+   */
+  withoutGlobalScopes(names) {
+    const list = Array.isArray(names) ? names : Object.keys(this.model.getGlobalScopes());
+    this.removedScopes.push(...list);
+    return this;
+  }
+
+  /**
+   * Get a copy of this builder with the model's global scopes applied.
+   * Each scope's clauses are grouped so OR conditions cannot leak across scopes.
+   * @returns {QueryBuilder}
+   */
+  applyScopes() {
+    if (this.scopesApplied) return this;
+
+    const scopes = Object.entries(this.model.getGlobalScopes())
+      .filter(([name]) => !this.removedScopes.includes(name));
+    if (scopes.length === 0) return this;
+
+    const scoped = this.clone();
+    scoped.scopesApplied = true;
+
+    const wheres = [...groupWheres(this.wheres)];
+    for (const [, scope] of scopes) {
+      scoped.wheres = [];
+      if (typeof scope === 'function') {
+        scope.call(this.model, scoped, this.model);
+      } else {
+        scope.apply(scoped, this.model);
+      }
+      wheres.push(...groupWheres(scoped.wheres));
+    }
+    scoped.wheres = wheres;
+    return scoped;
   }
 
   /**
@@ -28,6 +279,29 @@ class QueryBuilder {
     return this;
   }
 
+  /**
+   * Add a subquery column: (SELECT ...) AS alias. The other selected columns are kept.
+   * @example selectSub(Post.query().select('COUNT(*)').whereColumn('posts.user_id', 'users.id'), 'posts_count')
+   * @param {QueryBuilder} query - Subquery returning a single value
+   * @param {string} alias
+   * @returns {this}
+   */
+  selectSub(query, alias) {
+    this.selectedColumns.push({ sub: toSub(query), alias });
+    return this;
+  }
+
+  /**
+   * Select from a subquery instead of the model's table: FROM (SELECT ...) AS alias
+   * @param {QueryBuilder} query
+   * @param {string} alias - Name of the derived table in the outer query
+   * @returns {this}
+   */
+  fromSub(query, alias) {
+    this.fromQuery = { sub: toSub(query), alias };
+    return this;
+  }
+
   /**
    * Convenience alias to pass an array of columns
    * @param {string[]} cols
@@ -50,13 +324,17 @@ class QueryBuilder {
   }
 
   /**
-   * Add a basic where clause
-   * @param {string} column
+   * Add a basic where clause, or a parenthesized group built by a callback
+   * @example where('active', true).where(q => q.where('role', 'admin').orWhere('votes', '>', 100))
+   * @param {string|function(QueryBuilder): void} column
    * @param {string|any} operator
    * @param {any} value
    * @returns {this}
    */
   where(column, operator, value) {
+    if (typeof column === 'function') {
+      return this.whereNested(column, 'and');
+    }
     if (arguments.length === 2) {
       value = operator;
       operator = '=';
@@ -67,11 +345,16 @@ class QueryBuilder {
 
   /**
    * Add a where in clause
+   * @example whereIn('id', Post.query().select('user_id'))
    * @param {string} column
-   * @param {Array} values
+   * @param {Array|QueryBuilder} values - Values, or a subquery selecting one column
    * @returns {this}
    */
   whereIn(column, values) {
+    if (values instanceof QueryBuilder) {
+      this.wheres.push({ column, sub: toSub(values), type: 'inSub', boolean: 'and' });
+      return this;
+    }
     this.wheres.push({ column, values, type: 'in', boolean: 'and' });
     return this;
   }
@@ -79,14 +362,132 @@ class QueryBuilder {
   /**
    * Add a where not in clause
    * @param {string} column
-   * @param {Array} values
+   * @param {Array|QueryBuilder} values - Values, or a subquery selecting one column
    * @returns {this}
    */
   whereNotIn(column, values) {
+    if (values instanceof QueryBuilder) {
+      this.wheres.push({ column, sub: toSub(values), type: 'notInSub', boolean: 'and' });
+      return this;
+    }
     this.wheres.push({ column, values, type: 'notIn', boolean: 'and' });
     return this;
   }
 
+  /**
+   * Compare two columns: where('posts.user_id', '=', 'users.id') without bindings
+   * (used to correlate subqueries with the outer query)
+   * @param {string} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {this}
+   */
+  whereColumn(first, operator, second) {
+    if (arguments.length === 2) {
+      second = operator;
+      operator = '=';
+    }
+    this.wheres.push({ first, operator, second, type: 'column', boolean: 'and' });
+    return this;
+  }
+
+  /**
+   * Compare two columns with OR
+   * @param {string} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {this}
+   */
+  orWhereColumn(first, operator, second) {
+    if (arguments.length === 2) {
+      second = operator;
+      operator = '=';
+    }
+    this.wheres.push({ first, operator, second, type: 'column', boolean: 'or' });
+    return this;
+  }
+
+  /**
+   * Keep rows for which a subquery returns at least one row: WHERE EXISTS (...)
+   * @example whereExists(Post.query().whereColumn('posts.user_id', 'users.id'))
+   * @param {QueryBuilder} query
+   * @returns {this}
+   */
+  whereExists(query) {
+    this.wheres.push({ sub: toSub(query), type: 'exists', boolean: 'and' });
+    return this;
+  }
+
+  /**
+   * OR EXISTS (...)
+   * @param {QueryBuilder} query
+   * @returns {this}
+   */
+  orWhereExists(query) {
+    this.wheres.push({ sub: toSub(query), type: 'exists', boolean: 'or' });
+    return this;
+  }
+
+  /**
+   * WHERE NOT EXISTS (...)
+   * @param {QueryBuilder} query
+   * @returns {this}
+   */
+  whereNotExists(query) {
+    this.wheres.push({ sub: toSub(query), type: 'exists', boolean: 'and', not: true });
+    return this;
+  }
+
+  /**
+   * OR NOT EXISTS (...)
+   * @param {QueryBuilder} query
+   * @returns {this}
+   */
+  orWhereNotExists(query) {
+    this.wheres.push({ sub: toSub(query), type: 'exists', boolean: 'or', not: true });
+    return this;
+  }
+
+  /**
+   * Constrain the query to the row with the given primary key. Composite keys
+   * take an array of values in primaryKey order, or an object keyed by column.
+   * @param {any|Array<any>|Object} id
+   * @returns {this}
+   */
+  whereKey(id) {
+    const key = this.model.primaryKey;
+    if (!Array.isArray(key)) return this.where(key, id);
+
+    const values = this.model.keyValues(id);
+    key.forEach((column, i) => {
+      this.wheres.push({ column, operator: '=', value: values[i], type: 'basic', boolean: 'and' });
+    });
+    return this;
+  }
+
+  /**
+   * Match rows whose columns equal one of the tuples: (a = ? AND b = ?) OR (a = ? AND b = ?).
+   * A single column compiles to a plain WHERE IN.
+   * @param {string|string[]} columns
+   * @param {Array<any>|Array<Array<any>>} tuples - Values in column order
+   * @returns {this}
+   */
+  whereTuplesIn(columns, tuples) {
+    if (!Array.isArray(columns)) return this.whereIn(columns, tuples);
+    if (tuples.length === 0) return this.whereIn(columns[0], []);
+
+    this.wheres.push({
+      type: 'nested',
+      boolean: 'and',
+      wheres: tuples.map(tuple => ({
+        type: 'nested',
+        boolean: 'or',
+        wheres: columns.map((column, i) => ({ column, operator: '=', value: tuple[i], type: 'basic', boolean: 'and' }))
+      }))
+    });
+    return this;
+  }
+
   /**
    * Add a where null clause
    * @param {string} column
@@ -108,13 +509,16 @@ class QueryBuilder {
   }
 
   /**
-   * Add an or where clause
-   * @param {string} column
+   * Add an or where clause, or an OR-ed group built by a callback
+   * @param {string|function(QueryBuilder): void} column
    * @param {string|any} operator
    * @param {any} value
    * @returns {this}
    */
   orWhere(column, operator, value) {
+    if (typeof column === 'function') {
+      return this.whereNested(column, 'or');
+    }
     if (arguments.length === 2) {
       value = operator;
       operator = '=';
@@ -123,6 +527,49 @@ class QueryBuilder {
     return this;
   }
 
+  /**
+   * Add a negated group: WHERE NOT (...)
+   * @param {function(QueryBuilder): void} callback
+   * @returns {this}
+   */
+  whereNot(callback) {
+    return this.whereNested(callback, 'and', true);
+  }
+
+  /**
+   * Add an OR-ed negated group: OR NOT (...)
+   * @param {function(QueryBuilder): void} callback
+   * @returns {this}
+   */
+  orWhereNot(callback) {
+    return this.whereNested(callback, 'or', true);
+  }
+
+  /**
+   * Add a parenthesized group of the where clauses added by a callback.
+   * The callback receives a new query on the same model (local scopes included);
+   * only its where clauses are kept, and an empty group adds nothing.
+   * whereHas() / has() work inside groups; joins cannot be scoped to one.
+   * @param {function(QueryBuilder): void} callback
+   * @param {'and'|'or'} [boolean='and']
+   * @param {boolean} [not=false] - Negate the group
+   * @returns {this}
+   * @throws {Error} When the callback adds a join
+   */
+  whereNested(callback, boolean = 'and', not = false) {
+    const query = new QueryBuilder(this.model);
+    callback(query);
+    if (query.joins.length > 0) {
+      throw new Error('Joins cannot be added inside a where group: call join() on the outer query');
+    }
+    if (query.wheres.length === 0) return this;
+
+    const where = { type: 'nested', wheres: query.wheres, boolean };
+    if (not) where.not = true;
+    this.wheres.push(where);
+    return this;
+  }
+
   /**
    * Add a where between clause
    * @param {string} column
@@ -146,13 +593,16 @@ class QueryBuilder {
   }
 
   /**
-   * Filter parents where the given relation has at least one matching record.
-   * Implements via INNER JOIN and applying the related where clauses.
+   * Query on the related model of a relation, correlated with the rows of this
+   * query through whereColumn(), for WHERE EXISTS / COUNT subqueries.
+   * The callback clauses are prefixed with the related table name; the related
+   * model's global scopes and soft delete constraint apply when it is compiled.
    * @param {string} relationName
    * @param {(qb: QueryBuilder) => void} [callback]
-   * @returns {this}
+   * @returns {QueryBuilder}
+   * @private
    */
-  whereHas(relationName, callback) {
+  relationExistenceQuery(relationName, callback) {
     // Create a dummy parent instance to construct the relation
     const parent = new this.model();
     const fn = parent[relationName];
@@ -170,41 +620,39 @@ class QueryBuilder {
 
     // Heuristic to detect relation direction
     const relatedDerivedFK = `${relatedTable.replace(/s$/, '')}_id`;
+    const pairs = relation.child || relation.foreignKey === relatedDerivedFK
+      // belongsTo: parent has FK to related (related.ownerKey = parent.foreignKey)
+      ? keyPairs(relation.localKey, relatedTable, relation.foreignKey, parentTable)
+      // hasOne/hasMany: related has FK to parent (related.foreignKey = parent.localKey)
+      : keyPairs(relation.foreignKey, relatedTable, relation.localKey, parentTable);
 
-    // Build ON condition depending on relation type
-    let onLeft, onRight;
-    if (relation.foreignKey === relatedDerivedFK) {
-      // belongsTo: parent has FK to related
-      onLeft = `${relatedTable}.${relation.localKey}`; // related.ownerKey
-      onRight = `${parentTable}.${relation.foreignKey}`; // parent.foreignKey
-    } else {
-      // hasOne/hasMany: related has FK to parent
-      onLeft = `${relatedTable}.${relation.foreignKey}`; // related.foreignKey -> parent
-      onRight = `${parentTable}.${relation.localKey}`; // parent.localKey (usually PK)
-    }
-
-    // Ensure the join exists
-    this.join(relatedTable, onLeft, '=', onRight);
-
+    const query = new QueryBuilder(relatedClass);
     if (typeof callback === 'function') {
-      const relatedQB = new QueryBuilder(relatedClass);
-      callback(relatedQB);
-
-      // Prefix related wheres with table name when necessary
-      for (const w of relatedQB.wheres) {
-        const clone = { ...w };
-        if (clone.column && !/\./.test(clone.column)) {
-          clone.column = `${relatedTable}.${clone.column}`;
-        }
-        this.wheres.push(clone);
-      }
+      callback(query);
     }
+    const constraints = groupWheres(qualifyWheres(query.wheres, relatedTable));
+    query.wheres = [];
+    // Composite keys correlate on every column
+    pairs.forEach(([first, second]) => query.whereColumn(first, second));
+    query.wheres.push(...constraints);
+    return query;
+  }
 
-    return this;
+  /**
+   * Filter parents where the given relation has at least one matching record,
+   * through a correlated WHERE EXISTS subquery (so it also works in where groups,
+   * count() and paginate()).
+   * @param {string} relationName
+   * @param {(qb: QueryBuilder) => void} [callback]
+   * @returns {this}
+   */
+  whereHas(relationName, callback) {
+    return this.whereExists(this.relationExistenceQuery(relationName, callback));
   }
 
   /**
    * Filter parents that have related rows count matching operator and count
+   * (WHERE EXISTS for at least one row, a correlated COUNT(*) subquery otherwise)
    * @param {string} relationName
    * @param {string|number} operatorOrCount
    * @param {number} [count]
@@ -217,52 +665,21 @@ class QueryBuilder {
       count = operatorOrCount;
     }
 
-    // Reuse whereHas join logic without extra wheres
-    this.whereHas(relationName);
-
-    const parentTable = this.model.table;
-    const parentPk = this.model.primaryKey || 'id';
-
-    // Group by parent primary key and having count
-    if (!this.groupBys.includes(`${parentTable}.${parentPk}`)) {
-      this.groupBys.push(`${parentTable}.${parentPk}`);
+    const query = this.relationExistenceQuery(relationName);
+    if (operator === '>=' && count === 1) {
+      return this.whereExists(query);
     }
-    this.havings.push({ type: 'count', column: '*', operator, value: count });
+    this.wheres.push({ sub: toSub(query.select('COUNT(*)')), operator, value: count, type: 'sub', boolean: 'and' });
     return this;
   }
 
   /**
-   * Filter parents that do not have related rows (no callback support for now)
+   * Filter parents that do not have related rows (WHERE NOT EXISTS)
    * @param {string} relationName
    * @returns {this}
    */
   whereDoesntHave(relationName) {
-    const parent = new this.model();
-    const fn = parent[relationName];
-    if (typeof fn !== 'function') {
-      throw new Error(`Relation '${relationName}' is not defined on ${this.model.name}`);
-    }
-    const relation = fn.call(parent);
-    const relatedClass = relation.related;
-    const relatedTable = relatedClass.table;
-    const parentTable = this.model.table;
-
-    // Heuristic to detect direction as above
-    const relatedDerivedFK = `${relatedTable.replace(/s$/, '')}_id`;
-    let onLeft, onRight;
-    if (relation.foreignKey === relatedDerivedFK) {
-      onLeft = `${relatedTable}.${relation.localKey}`;
-      onRight = `${parentTable}.${relation.foreignKey}`;
-    } else {
-      onLeft = `${relatedTable}.${relation.foreignKey}`;
-      onRight = `${parentTable}.${relation.localKey}`;
-    }
-
-    // LEFT JOIN and ensure null on related PK
-    this.leftJoin(relatedTable, onLeft, '=', onRight);
-    const relatedPk = relatedClass.primaryKey || 'id';
-    this.whereNull(`${relatedTable}.${relatedPk}`);
-    return this;
+    return this.whereNotExists(this.relationExistenceQuery(relationName));
   }
 
   /**
@@ -369,12 +786,15 @@ class QueryBuilder {
 
   /**
    * withCount helper: adds subquery count columns
-   * Supports: withCount('rel') or withCount(['a','b'])
-   * @param {string|string[]} rels
+   * Supports: withCount('rel'), withCount(['a','b']) or withCount({ rel: qb => ... })
+   * The related model's global scopes and soft deletes apply, as for whereHas() and
+   * eager loads; the callback constrains the count (e.g. qb.withoutGlobalScopes()).
+   * @param {string|string[]|Object<string, Function>} rels
    * @returns {this}
    */
   withCount(rels) {
-    const list = Array.isArray(rels) ? rels : [rels];
+    const constraints = typeof rels === 'object' && !Array.isArray(rels) ? rels : {};
+    const list = Array.isArray(rels) ? rels : (typeof rels === 'string' ? [rels] : Object.keys(rels));
     for (const name of list) {
       // Build simple subquery for hasOne/hasMany/belongsTo/belongsToMany
       const parent = new this.model();
@@ -385,23 +805,88 @@ class QueryBuilder {
       const relatedClass = relation.related;
       const relatedTable = relatedClass.table;
 
-      let sub = '';
+      const sub = relatedClass.query().select('COUNT(*)');
+      let pairs;
       if (relation instanceof require('./Relations/BelongsToManyRelation')) {
-        // belongsToMany: count from pivot
-        sub = `(SELECT COUNT(*) FROM ${relation.pivot} WHERE ${relation.pivot}.${relation.foreignPivotKey} = ${parentTable}.${relation.parentKey}) AS ${name}_count`;
-      } else if (relation.child) {
-        // belongsTo
-        const ownerKey = relation.ownerKey || relatedClass.primaryKey || 'id';
-        sub = `(SELECT COUNT(*) FROM ${relatedTable} WHERE ${relatedTable}.${ownerKey} = ${parentTable}.${relation.foreignKey}) AS ${name}_count`;
+        // belongsToMany: count the related rows attached through the pivot
+        sub.join(relation.pivot, `${relation.pivot}.${relation.relatedPivotKey}`, '=', `${relatedTable}.${relation.relatedKey}`);
+        pairs = [[`${relation.pivot}.${relation.foreignPivotKey}`, `${parentTable}.${relation.parentKey}`]];
       } else {
-        // hasOne/hasMany
-        sub = `(SELECT COUNT(*) FROM ${relatedTable} WHERE ${relatedTable}.${relation.foreignKey} = ${parentTable}.${relation.localKey}) AS ${name}_count`;
+        pairs = relation.child
+          // belongsTo
+          ? keyPairs(relation.ownerKey || relatedClass.primaryKey || 'id', relatedTable, relation.foreignKey, parentTable)
+          // hasOne/hasMany
+          : keyPairs(relation.foreignKey, relatedTable, relation.localKey, parentTable);
       }
-      this.selectedColumns.push(sub);
+
+      if (typeof constraints[name] === 'function') constraints[name](sub);
+      const wheres = groupWheres(qualifyWheres(sub.wheres, relatedTable));
+      sub.wheres = [];
+      pairs.forEach(([first, second]) => sub.whereColumn(first, second));
+      sub.wheres.push(...wheres);
+      this.selectSub(sub, `${name}_count`);
     }
     return this;
   }
 
+  /**
+   * Include soft deleted rows in the results
+   * @returns {this}
+   */
+  withTrashed() {
+    this.trashedMode = 'include';
+    return this;
+  }
+
+  /**
+   * Only return soft deleted rows
+   * @returns {this}
+   */
+  onlyTrashed() {
+    this.trashedMode = 'only';
+    return this;
+  }
+
+  /**
+   * Lock the selected rows for update (SELECT ... FOR UPDATE) until the transaction ends.
+   * SQLite has no row locks and ignores it: its write transactions lock the whole database.
+   * @returns {this}
+   */
+  lockForUpdate() {
+    this.lock = { mode: 'update', wait: this.lock ? this.lock.wait : null };
+    return this;
+  }
+
+  /**
+   * Lock the selected rows against concurrent updates while still allowing reads
+   * (FOR SHARE / LOCK IN SHARE MODE). Ignored by SQLite.
+   * @returns {this}
+   */
+  sharedLock() {
+    this.lock = { mode: 'share', wait: this.lock ? this.lock.wait : null };
+    return this;
+  }
+
+  /**
+   * Skip the rows already locked by another transaction instead of waiting
+   * (MySQL 8+, PostgreSQL). Implies lockForUpdate() when no lock was requested.
+   * @returns {this}
+   */
+  skipLocked() {
+    this.lock = { mode: this.lock ? this.lock.mode : 'update', wait: 'skip' };
+    return this;
+  }
+
+  /**
+   * Fail immediately when a selected row is already locked instead of waiting
+   * (MySQL 8+, PostgreSQL). Implies lockForUpdate() when no lock was requested.
+   * @returns {this}
+   */
+  noWait() {
+    this.lock = { mode: this.lock ? this.lock.mode : 'update', wait: 'nowait' };
+    return this;
+  }
+
   /**
    * Add a join clause
    * @param {string} table
@@ -436,17 +921,51 @@ class QueryBuilder {
     return this;
   }
 
+  /**
+   * Join a subquery: INNER JOIN (SELECT ...) AS alias ON first = second
+   * @param {QueryBuilder} query
+   * @param {string} alias
+   * @param {string} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {this}
+   */
+  joinSub(query, alias, first, operator, second) {
+    if (arguments.length === 4) {
+      second = operator;
+      operator = '=';
+    }
+    this.joins.push({ table: alias, sub: toSub(query), first, operator, second, type: 'inner' });
+    return this;
+  }
+
+  /**
+   * Left join a subquery: LEFT JOIN (SELECT ...) AS alias ON first = second
+   * @param {QueryBuilder} query
+   * @param {string} alias
+   * @param {string} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {this}
+   */
+  leftJoinSub(query, alias, first, operator, second) {
+    if (arguments.length === 4) {
+      second = operator;
+      operator = '=';
+    }
+    this.joins.push({ table: alias, sub: toSub(query), first, operator, second, type: 'left' });
+    return this;
+  }
+
   /**
    * Execute the query and get all results
-   * @returns {Promise<Array>}
+   * @returns {Promise<Collection>}
    */
   async get() {
-    const rows = await this.model.connection.select(
-      this.model.table,
-      this.buildQuery()
-    );
+    const query = this.buildQuery();
+    const rows = await this.remembered('rows', query, () => this.getConnection().select(this.model.table, query));
 
-    const instances = rows.map(row => this.hydrate(row));
+    const instances = Collection.from(rows, row => this.hydrate(row));
 
     if (this.withRelations.length > 0) {
       await this.eagerLoadRelations(instances);
@@ -455,6 +974,57 @@ class QueryBuilder {
     return instances;
   }
 
+  /**
+   * Cache the rows of get() (and first(), paginate()...) and the result of count()
+   * in the cache store. Entries are tagged with the model's table, joined tables and
+   * subquery tables, and dropped whenever the ORM writes to one of them. Eager loaded relations are
+   * queried as usual, and queries inside a transaction skip the cache.
+   * @param {number|null} ttl - Seconds, null to keep the entry until invalidated
+   * @param {string} [key] - Cache key, derived from the SQL and bindings by default
+   * @returns {this}
+   */
+  remember(ttl, key = null) {
+    this.cacheOptions = { ttl, key };
+    return this;
+  }
+
+  /**
+   * Run a read through the cache when remember() was called
+   * @param {'rows'|'count'} kind
+   * @param {Object} query - Result of buildQuery()
+   * @param {() => Promise<any>} run
+   * @returns {Promise<any>}
+   * @private
+   */
+  async remembered(kind, query, run) {
+    const connection = this.getConnection();
+    if (!this.cacheOptions || connection.inTransaction?.()) return run();
+
+    const store = getCacheStore();
+    const key = this.cacheKey(kind, query, connection);
+    const cached = await store.get(key);
+    if (cached !== undefined) return cached;
+
+    const result = await run();
+    const tags = [...new Set(queryTables(this.model.table, query).map(tableTag))];
+    await store.put(key, result, this.cacheOptions.ttl, tags);
+    return result;
+  }
+
+  /**
+   * Cache key of a read: the remember() key, or a hash of the connection, SQL and bindings
+   * @private
+   */
+  cacheKey(kind, query, connection) {
+    const { key } = this.cacheOptions;
+    if (key) return kind === 'rows' ? key : `${key}:${kind}`;
+
+    const { sql, params } = connection.buildSelectQuery(this.model.table, query);
+    const source = connection.name || `${connection.driver}:${connection.config?.host}/${connection.config?.database}`;
+    const hash = crypto.createHash('sha1').update(JSON.stringify([kind, source, sql, params])).digest('hex');
+    return `outlet:query:${hash}`;
+  }
+
   /**
    * Get the first result
    * @returns {Promise<Model|null>}
@@ -477,6 +1047,183 @@ class QueryBuilder {
     return result;
   }
 
+  /**
+   * Add an equality constraint per attribute (IS NULL for null values).
+   * Values are converted to their database form through the model's casts.
+   * @param {Object} attributes
+   * @param {string} [table] - Qualify the columns with this table
+   * @returns {this}
+   */
+  whereAttributes(attributes, table) {
+    for (const [key, value] of Object.entries(this.model.castAttributesForStorage(attributes))) {
+      const column = table && !key.includes('.') ? `${table}.${key}` : key;
+      if (value === null || value === undefined) this.whereNull(column);
+      else this.where(column, '=', value);
+    }
+    return this;
+  }
+
+  /**
+   * Create a new (unsaved) model instance for this query
+   * Relations set modelFactory so instances are associated with their parent.
+   * @param {Object} attributes
+   * @returns {Model}
+   */
+  newModelInstance(attributes = {}) {
+    const instance = this.modelFactory ? this.modelFactory(attributes) : new this.model(attributes);
+    // Saved on the connection of the query (Model.on() / useConnection())
+    if (this.connectionName) instance.connectionName = this.connectionName;
+    return instance;
+  }
+
+  /**
+   * Get the first record matching the attributes or a new unsaved instance
+   * @param {Object} attributes - Lookup attributes
+   * @param {Object} [values] - Extra attributes for the new instance
+   * @returns {Promise<Model>}
+   */
+  async firstOrNew(attributes = {}, values = {}) {
+    const instance = await this.clone().whereAttributes(attributes).first();
+    return instance || this.newModelInstance({ ...attributes, ...values });
+  }
+
+  /**
+   * Get the first record matching the attributes or create it (see createOrFirst)
+   * @param {Object} attributes - Lookup attributes
+   * @param {Object} [values] - Extra attributes used only when creating
+   * @returns {Promise<Model>}
+   */
+  async firstOrCreate(attributes = {}, values = {}) {
+    const instance = await this.clone().whereAttributes(attributes).first();
+    return instance || this.createOrFirst(attributes, values);
+  }
+
+  /**
+   * Insert a record, or fetch the existing one when the insert violates a unique
+   * constraint (a concurrent request created it first). Requires a unique index
+   * covering the lookup attributes to be race free.
+   * @param {Object} attributes - Lookup attributes
+   * @param {Object} [values] - Extra attributes used only when creating
+   * @returns {Promise<Model>}
+   */
+  async createOrFirst(attributes = {}, values = {}) {
+    const connection = this.getConnection();
+    try {
+      return await connection.withSavepointIfNeeded(
+        () => this.newModelInstance({ ...attributes, ...values }).save()
+      );
+    } catch (error) {
+      if (!connection.isUniqueConstraintError(error)) throw error;
+      // The conflicting row may not have reached the read replicas yet
+      const instance = await this.clone().useWriteConnection().whereAttributes(attributes).first();
+      if (!instance) throw error;
+      return instance;
+    }
+  }
+
+  /**
+   * Update the first record matching the attributes with values, or create it
+   * @param {Object} attributes - Lookup attributes
+   * @param {Object} [values] - Attributes to update or create with
+   * @returns {Promise<Model>}
+   */
+  async updateOrCreate(attributes = {}, values = {}) {
+    const instance = await this.firstOrCreate(attributes, values);
+    if (instance && !instance.wasRecentlyCreated) {
+      instance.fill(values);
+      await instance.save();
+    }
+    return instance;
+  }
+
+  /**
+   * Process the results in chunks of `size` models (LIMIT/OFFSET pages).
+   * The query is ordered by primary key unless it has an order already.
+   * Prefer chunkById() when the callback updates the rows being iterated.
+   * @param {number} size
+   * @param {(models: Array<Model>, page: number) => any} callback - Return false to stop
+   * @returns {Promise<boolean>} false when the callback stopped the iteration
+   */
+  async chunk(size, callback) {
+    for (let page = 1; ; page++) {
+      const qb = this.clone();
+      if (qb.orders.length === 0) {
+        [].concat(this.model.primaryKey).forEach(column => qb.orderBy(`${this.model.table}.${column}`));
+      }
+      const models = await qb.offset((page - 1) * size).limit(size).get();
+
+      if (models.length === 0) break;
+      if (await callback(models, page) === false) return false;
+      if (models.length < size) break;
+    }
+    return true;
+  }
+
+  /**
+   * Process the results in chunks of `size` models using keyset pagination
+   * (WHERE column > last seen value ORDER BY column), so rows updated or deleted
+   * by the callback are neither skipped nor repeated.
+   * @param {number} size
+   * @param {(models: Array<Model>, page: number) => any} callback - Return false to stop
+   * @param {string} [column] - Unique, sortable column (defaults to the primary key)
+   * @returns {Promise<boolean>} false when the callback stopped the iteration
+   */
+  async chunkById(size, callback, column = this.model.primaryKey) {
+    if (Array.isArray(column)) {
+      throw new Error(`chunkById() needs a single unique column: ${this.model.name} has a composite key, pass one explicitly or use cursorPaginate()`);
+    }
+    const key = column.split('.').pop();
+    let last = null;
+
+    for (let page = 1; ; page++) {
+      const qb = this.clone();
+      qb.orders = [];
+      if (last !== null) {
+        qb.wheres = [...groupWheres(qb.wheres), { column, operator: '>', value: last, type: 'basic', boolean: 'and' }];
+      }
+      const models = await qb.orderBy(column, 'asc').limit(size).get();
+
+      if (models.length === 0) break;
+      if (await callback(models, page) === false) return false;
+      if (models.length < size) break;
+      last = models[models.length - 1].attributes[key];
+    }
+    return true;
+  }
+
+  /**
+   * Iterate over the results one model at a time, streaming rows from the driver.
+   * Eager loads run once per batch of `batchSize` models.
+   * @example for await (const user of User.where('active', true).cursor()) { ... }
+   * @param {{batchSize?: number}} [options]
+   * @returns {AsyncGenerator<Model>}
+   */
+  async *cursor(options = {}) {
+    const batchSize = options.batchSize || 100;
+    const rows = this.getConnection().cursor(this.model.table, this.buildQuery(), { batchSize });
+
+    let batch = [];
+    for await (const row of rows) {
+      const instance = this.hydrate(row);
+      if (this.withRelations.length === 0) {
+        yield instance;
+        continue;
+      }
+
+      batch.push(instance);
+      if (batch.length >= batchSize) {
+        await this.eagerLoadRelations(batch);
+        yield* batch;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.eagerLoadRelations(batch);
+      yield* batch;
+    }
+  }
+
   /**
    * Paginate the results
    * @param {number} page
@@ -500,16 +1247,111 @@ class QueryBuilder {
     };
   }
 
+  /**
+   * Paginate without counting: fetches one extra row to know whether a next page exists
+   * @param {number} page
+   * @param {number} perPage
+   * @returns {Promise<Object>}
+   */
+  async simplePaginate(page = 1, perPage = 15) {
+    const offset = (page - 1) * perPage;
+    const rows = await this.offset(offset).limit(perPage + 1).get();
+    const hasMore = rows.length > perPage;
+    const data = hasMore ? rows.slice(0, perPage) : rows;
+
+    return {
+      data,
+      per_page: perPage,
+      current_page: page,
+      has_more: hasMore,
+      from: data.length > 0 ? offset + 1 : null,
+      to: offset + data.length
+    };
+  }
+
+  /**
+   * Keyset pagination: the cursor encodes the orderBy column values of the last
+   * (or first) row seen, so pages stay consistent while rows are written and
+   * no count or OFFSET is needed. Multi-column and mixed-direction orders are
+   * supported; the primary key is appended as a tie breaker when missing.
+   * Order columns must not contain NULL values.
+   * @param {number} [perPage=15]
+   * @param {string|null} [cursor] - next_cursor / prev_cursor of a previous page
+   * @returns {Promise<{data: Array<Model>, per_page: number, next_cursor: string|null, prev_cursor: string|null}>}
+   */
+  async cursorPaginate(perPage = 15, cursor = null) {
+    const orders = [...this.orders];
+    for (const column of [].concat(this.model.primaryKey)) {
+      const key = `${this.model.table}.${column}`;
+      if (!orders.some(order => order.column === column || order.column === key)) {
+        orders.push({ column: key, direction: orders.length ? orders[orders.length - 1].direction : 'asc' });
+      }
+    }
+    const attributeOf = column => column.split('.').pop();
+
+    const decoded = cursor ? decodeCursor(cursor) : null;
+    const pointsToNext = decoded ? decoded.pointsToNext : true;
+
+    const qb = this.clone();
+    // Going backwards reads the rows before the cursor in reverse order
+    qb.orders = orders.map(order => ({
+      column: order.column,
+      direction: pointsToNext ? order.direction : (order.direction === 'asc' ? 'desc' : 'asc')
+    }));
+
+    if (decoded) {
+      const missing = orders.filter(order => !(attributeOf(order.column) in decoded.params));
+      if (missing.length > 0) {
+        throw new Error('Invalid pagination cursor: it does not match the query order');
+      }
+
+      // (c1 > v1) OR (c1 = v1 AND c2 > v2) OR ... with > / < following each direction
+      const branches = qb.orders.map((order, i) => ({
+        type: 'nested',
+        boolean: 'or',
+        wheres: [
+          ...qb.orders.slice(0, i).map(previous => ({
+            column: previous.column, operator: '=', value: decoded.params[attributeOf(previous.column)], type: 'basic', boolean: 'and'
+          })),
+          { column: order.column, operator: order.direction === 'asc' ? '>' : '<', value: decoded.params[attributeOf(order.column)], type: 'basic', boolean: 'and' }
+        ]
+      }));
+      qb.wheres = [...groupWheres(qb.wheres), { type: 'nested', wheres: branches, boolean: 'and' }];
+    }
+
+    const rows = await qb.offset(null).limit(perPage + 1).get();
+    const hasMore = rows.length > perPage;
+    const data = hasMore ? rows.slice(0, perPage) : rows;
+    if (!pointsToNext) data.reverse();
+
+    const boundary = model => Object.fromEntries(
+      orders.map(order => [attributeOf(order.column), model.attributes[attributeOf(order.column)]])
+    );
+    const first = data[0];
+    const last = data[data.length - 1];
+
+    let nextCursor = null;
+    let prevCursor = null;
+    if (data.length > 0) {
+      if (!pointsToNext || hasMore) nextCursor = encodeCursor(boundary(last), true);
+      if (decoded && (pointsToNext || hasMore)) prevCursor = encodeCursor(boundary(first), false);
+    }
+
+    return {
+      data,
+      per_page: perPage,
+      next_cursor: nextCursor,
+      prev_cursor: prevCursor
+    };
+  }
+
   /**
    * Get the count of records
    * @returns {Promise<number>}
    */
   async count() {
-    const result = await this.model.connection.count(
-      this.model.table,
-      this.buildQuery()
-    );
-    return result;
+    const query = this.buildQuery();
+    return this.remembered('count', query, () => this.getConnection().count(this.model.table, query));
   }
 
   /**
@@ -528,9 +1370,41 @@ class QueryBuilder {
    */
   async insert(data) {
     if (Array.isArray(data)) {
-      return this.model.connection.insertMany(this.model.table, data);
+      const rows = data.map(row => this.model.castAttributesForStorage(row));
+      return this.getConnection().insertMany(this.model.table, rows);
     }
-    return this.model.connection.insert(this.model.table, data);
+    return this.getConnection().insert(
+      this.model.table,
+      this.model.castAttributesForStorage(data),
+      this.model.primaryKey
+    );
+  }
+
+  /**
+   * Insert rows or update them when they conflict on the uniqueBy columns
+   * With model timestamps, created_at / updated_at are set on inserted rows and
+   * updated_at is refreshed on updated ones.
+   * @param {Object|Array<Object>} rows
+   * @param {string|Array<string>} uniqueBy
+   * @param {Array<string>} [updateColumns] - Defaults to every column except uniqueBy (and created_at)
+   * @returns {Promise<{affectedRows: number}>}
+   */
+  async upsert(rows, uniqueBy, updateColumns) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    if (list.length === 0) return { affectedRows: 0 };
+
+    const uniqueColumns = Array.isArray(uniqueBy) ? uniqueBy : [uniqueBy];
+    let data = list.map(row => this.model.castAttributesForStorage(row));
+    let updates = updateColumns || Object.keys(data[0]).filter(column => !uniqueColumns.includes(column));
+
+    if (this.model.timestamps) {
+      const now = new Date();
+      data = data.map(row => ({ created_at: now, updated_at: now, ...row }));
+      updates = updates.filter(column => column !== 'created_at');
+      if (!updates.includes('updated_at')) updates = [...updates, 'updated_at'];
+    }
+
+    return this.getConnection().upsert(this.model.table, data, uniqueColumns, updates);
   }
 
   /**
@@ -543,9 +1417,9 @@ class QueryBuilder {
       attributes.updated_at = new Date();
     }
 
-    return this.model.connection.update(
+    return this.getConnection().update(
       this.model.table,
-      attributes,
+      this.model.castAttributesForStorage(attributes),
       this.buildQuery()
     );
   }
@@ -567,15 +1441,36 @@ class QueryBuilder {
 
   /**
    * Delete records
+   * Soft-deleting models get their deleted_at column set instead.
    * @returns {Promise<any>}
    */
   async delete() {
-    return this.model.connection.delete(
+    if (this.model.softDeletes) {
+      return this.update({ [this.model.deletedAt]: new Date() });
+    }
+    return this.forceDelete();
+  }
+
+  /**
+   * Permanently delete records, bypassing soft deletes
+   * @returns {Promise<any>}
+   */
+  async forceDelete() {
+    return this.getConnection().delete(
       this.model.table,
       this.buildQuery()
     );
   }
 
+  /**
+   * Restore soft deleted records
+   * @returns {Promise<any>}
+   */
+  async restore() {
+    this.withTrashed();
+    return this.update({ [this.model.deletedAt]: null });
+  }
+
   /**
    * Increment a column's value
    * @param {string} column
@@ -583,7 +1478,7 @@ class QueryBuilder {
    * @returns {Promise<any>}
    */
   async increment(column, amount = 1) {
-    return this.model.connection.increment(
+    return this.getConnection().increment(
       this.model.table,
       column,
       this.buildQuery(),
@@ -598,7 +1493,7 @@ class QueryBuilder {
    * @returns {Promise<any>}
    */
   async decrement(column, amount = 1) {
-    return this.model.connection.decrement(
+    return this.getConnection().decrement(
       this.model.table,
       column,
       this.buildQuery(),
@@ -607,16 +1502,32 @@ class QueryBuilder {
   }
 
   /**
-   * Create a model instance from a database row
+   * Create a model instance from a database row. Inside DB.unitOfWork() the
+   * instance already loaded for the row is returned instead, its values and
+   * pending changes kept (columns it lacks are added, subquery columns such as
+   * withCount() counts take the values just read).
    * @param {Object} row
    * @returns {Model}
    */
   hydrate(row) {
+    const unit = this.identityMap ? UnitOfWork.current() : null;
+    const loaded = unit && unit.get(this.getConnection(), this.model, row);
+    if (loaded) {
+      const computed = new Set(this.selectedColumns.filter(column => typeof column !== 'string').map(column => column.alias));
+      for (const [key, value] of Object.entries(row)) {
+        if (key in loaded.attributes && !computed.has(key)) continue;
+        loaded.attributes[key] = value;
+        loaded.original[key] = value;
+      }
+      return loaded;
+    }
+
     const instance = new this.model();
-    instance.attributes = row;
-    instance.original = { ...row };
+    instance.setRawAttributes(row, true);
     instance.exists = true;
     instance._showHidden = this._showHidden;
+    instance.connectionName = this.connectionName;
+    if (unit) unit.add(this.getConnection(), instance);
     return instance;
   }
 
@@ -675,19 +1586,39 @@ class QueryBuilder {
    * @returns {Object}
    */
   buildQuery() {
+    const qb = this.applyScopes();
     return {
-      columns: this.selectedColumns,
-      wheres: this.wheres,
-      orders: this.orders,
-      joins: this.joins,
-      distinct: this.distinctFlag,
-      groupBys: this.groupBys,
-      havings: this.havings,
-      limit: this.limitValue,
-      offset: this.offsetValue
+      columns: qb.selectedColumns,
+      wheres: qb.getWheres(),
+      orders: qb.orders,
+      joins: qb.joins,
+      distinct: qb.distinctFlag,
+      groupBys: qb.groupBys,
+      havings: qb.havings,
+      limit: qb.limitValue,
+      offset: qb.offsetValue,
+      lock: qb.lock,
+      useWriteConnection: qb.forceWriteConnection,
+      from: qb.fromQuery
     };
   }
 
+  /**
+   * Get the where clauses with the model's soft delete constraint applied.
+   * User clauses containing OR are grouped so the constraint applies to all of them.
+   * @returns {Array<Object>}
+   */
+  getWheres() {
+    const constraints = [];
+    if (this.model.softDeletes && this.trashedMode !== 'include') {
+      const column = `${this.model.table}.${this.model.deletedAt}`;
+      constraints.push({ column, type: this.trashedMode === 'only' ? 'notNull' : 'null', boolean: 'and' });
+    }
+
+    if (constraints.length === 0) return this.wheres;
+    return [...groupWheres(this.wheres), ...constraints];
+  }
+
   /**
    * Clone the query builder
    * @returns {QueryBuilder}
@@ -705,6 +1636,17 @@ class QueryBuilder {
     cloned.distinctFlag = this.distinctFlag;
     cloned.groupBys = [...this.groupBys];
     cloned.havings = [...this.havings];
+    cloned.trashedMode = this.trashedMode;
+    cloned.removedScopes = [...this.removedScopes];
+    cloned.scopesApplied = this.scopesApplied;
+    cloned.modelFactory = this.modelFactory;
+    cloned._showHidden = this._showHidden;
+    cloned.lock = this.lock && { ...this.lock };
+    cloned.connectionName = this.connectionName;
+    cloned.forceWriteConnection = this.forceWriteConnection;
+    cloned.cacheOptions = this.cacheOptions;
+    cloned.identityMap = this.identityMap;
+    cloned.fromQuery = this.fromQuery;
     return cloned;
   }
 }
@@ -1,4 +1,5 @@
 const Relation = require('./Relation');
+const Collection = require('../Collection');
 
 /**
  * Belongs To Many Relation
@@ -32,7 +33,7 @@ class BelongsToManyRelation extends Relation {
     }
 
     // First, get the related IDs and pivot data
-    const pivotRecords = await this.parent.constructor.connection.select(
+    const pivotRecords = await this.parent.getConnection().select(
       this.pivot,
       {
         columns: pivotSelectColumns,
@@ -70,13 +71,13 @@ class BelongsToManyRelation extends Relation {
     );
 
     if (pivotRecords.length === 0) {
-      return [];
+      return new Collection();
     }
 
     const relatedIds = pivotRecords.map(record => record[this.relatedPivotKey]);
 
     // Then get the related models
-    const relatedModels = await this.related
+    const relatedModels = await this.newRelatedQuery()
       .whereIn(this.relatedKey, relatedIds)
       .get();
 
@@ -121,7 +122,7 @@ class BelongsToManyRelation extends Relation {
     }
 
     // Get all pivot records
-    const pivotRecords = await this.parent.constructor.connection.select(
+    const pivotRecords = await this.parent.getConnection().select(
       this.pivot,
       {
         columns: pivotSelectColumns,
@@ -159,7 +160,7 @@ class BelongsToManyRelation extends Relation {
 
     if (pivotRecords.length === 0) {
       models.forEach(model => {
-        model.relations[relationName] = [];
+        model.relations[relationName] = new Collection();
       });
       return;
     }
@@ -168,7 +169,7 @@ class BelongsToManyRelation extends Relation {
     const relatedIds = [...new Set(pivotRecords.map(record => record[this.relatedPivotKey]))];
 
     // Get all related models
-    const qb = this.related.whereIn(this.relatedKey, relatedIds);
+    const qb = this.newRelatedQuery().whereIn(this.relatedKey, relatedIds);
     if (typeof constraint === 'function') constraint(qb);
     const relatedModels = await qb.get();
 
@@ -186,7 +187,7 @@ class BelongsToManyRelation extends Relation {
       const relatedKeyValue = pivotRecord[this.relatedPivotKey];
 
       if (!parentToRelatedMap[parentKeyValue]) {
-        parentToRelatedMap[parentKeyValue] = [];
+        parentToRelatedMap[parentKeyValue] = new Collection();
       }
 
       if (relatedMap[relatedKeyValue]) {
@@ -208,7 +209,7 @@ class BelongsToManyRelation extends Relation {
     // Assign relations to parent models
     models.forEach(model => {
       const parentKeyValue = model.getAttribute(this.parentKey);
-      model.relations[relationName] = parentToRelatedMap[parentKeyValue] || [];
+      model.relations[relationName] = parentToRelatedMap[parentKeyValue] || new Collection();
     });
   }
 
@@ -234,7 +235,7 @@ class BelongsToManyRelation extends Relation {
       return data;
     });
 
-    await this.parent.constructor.connection.insertMany(this.pivot, pivotData);
+    await this.parent.getConnection().insertMany(this.pivot, pivotData);
   }
 
   /**
@@ -263,7 +264,7 @@ class BelongsToManyRelation extends Relation {
       });
     }
 
-    await this.parent.constructor.connection.delete(this.pivot, { wheres });
+    await this.parent.getConnection().delete(this.pivot, { wheres });
   }
 
   /**
@@ -338,7 +339,7 @@ class BelongsToManyRelation extends Relation {
     const idsArray = Array.isArray(ids) ? ids : [ids];
 
     // Get currently attached
-    const attached = await this.parent.constructor.connection.select(
+    const attached = await this.parent.getConnection().select(
       this.pivot,
       {
         columns: [this.relatedPivotKey],
@@ -373,7 +374,7 @@ class BelongsToManyRelation extends Relation {
     const parentKeyValue = this.parent.getAttribute(this.parentKey);
 
     // Get currently attached
-    const attached = await this.parent.constructor.connection.select(
+    const attached = await this.parent.getConnection().select(
       this.pivot,
       {
         columns: [this.relatedPivotKey],
@@ -422,7 +423,7 @@ class BelongsToManyRelation extends Relation {
       }
     ];
 
-    await this.parent.constructor.connection.update(this.pivot, attributes, { wheres });
+    await this.parent.getConnection().update(this.pivot, attributes, { wheres });
   }
 
   /**
@@ -432,7 +433,7 @@ class BelongsToManyRelation extends Relation {
    * @returns {Promise<Model>}
    */
   async create(attributes = {}, pivotAttributes = {}) {
-    const model = new this.related.model(attributes);
+    const model = this.newRelatedInstance(attributes);
     await model.save();
     const id = model.getAttribute(this.relatedKey);
     await this.attach(id);
@@ -443,6 +444,114 @@ class BelongsToManyRelation extends Relation {
     return model;
   }
 
+  /**
+   * Begin a query on the related models attached to the parent (joined through the pivot)
+   * @returns {QueryBuilder}
+   */
+  query() {
+    const table = this.related.table;
+    return this.newRelatedQuery()
+      .select(`${table}.*`)
+      .join(this.pivot, `${this.pivot}.${this.relatedPivotKey}`, '=', `${table}.${this.relatedKey}`)
+      .where(`${this.pivot}.${this.foreignPivotKey}`, this.parent.getAttribute(this.parentKey));
+  }
+
+  /**
+   * Get the first attached model matching the attributes
+   * @param {Object} attributes
+   * @returns {Promise<Model|null>}
+   * @private
+   */
+  firstAttached(attributes) {
+    return this.query().whereAttributes(attributes, this.related.table).first();
+  }
+
+  /**
+   * Attach an existing related model unless it already is, then set pivot attributes
+   * @param {Model} model
+   * @param {Object} pivotAttributes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async attachModel(model, pivotAttributes = {}) {
+    const id = model.getAttribute(this.relatedKey);
+    await this.syncWithoutDetaching([id]);
+    if (Object.keys(pivotAttributes).length > 0) {
+      await this.updateExistingPivot(id, pivotAttributes);
+    }
+  }
+
+  /**
+   * Get the first attached model matching the attributes or a new unsaved (unattached) instance
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  async firstOrNew(attributes = {}, values = {}) {
+    const instance = await this.firstAttached(attributes);
+    return instance || this.newRelatedInstance({ ...attributes, ...values });
+  }
+
+  /**
+   * Get the first attached model matching the attributes; otherwise attach an
+   * existing related row matching them, or create and attach a new one
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @param {Object} [pivotAttributes]
+   * @returns {Promise<Model>}
+   */
+  async firstOrCreate(attributes = {}, values = {}, pivotAttributes = {}) {
+    const attached = await this.firstAttached(attributes);
+    if (attached) return attached;
+
+    const existing = await this.newRelatedQuery().whereAttributes(attributes).first();
+    if (existing) {
+      await this.attachModel(existing, pivotAttributes);
+      return existing;
+    }
+    return this.createOrFirst(attributes, values, pivotAttributes);
+  }
+
+  /**
+   * Create and attach a related model; when the insert violates a unique
+   * constraint, attach the existing row instead
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @param {Object} [pivotAttributes]
+   * @returns {Promise<Model>}
+   */
+  async createOrFirst(attributes = {}, values = {}, pivotAttributes = {}) {
+    const connection = this.newRelatedQuery().getConnection();
+    try {
+      return await connection.withSavepointIfNeeded(
+        () => this.create({ ...attributes, ...values }, pivotAttributes)
+      );
+    } catch (error) {
+      if (!connection.isUniqueConstraintError(error)) throw error;
+      const existing = await this.newRelatedQuery().whereAttributes(attributes).first();
+      if (!existing) throw error;
+      await this.attachModel(existing, pivotAttributes);
+      return existing;
+    }
+  }
+
+  /**
+   * Update the first attached model matching the attributes with values;
+   * otherwise attach (and update) an existing related row or create a new one
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @param {Object} [pivotAttributes]
+   * @returns {Promise<Model>}
+   */
+  async updateOrCreate(attributes = {}, values = {}, pivotAttributes = {}) {
+    const instance = await this.firstOrCreate(attributes, values, pivotAttributes);
+    if (!instance.wasRecentlyCreated) {
+      instance.fill(values);
+      await instance.save();
+    }
+    return instance;
+  }
+
   /**
    * Create multiple related models and attach them
    * @param {Array<Object>} attributesArray
@@ -1,4 +1,5 @@
 const Relation = require('./Relation');
+const UnitOfWork = require('../UnitOfWork');
 
 /**
  * Belongs To Relation
@@ -18,14 +19,13 @@ class BelongsToRelation extends Relation {
    * @returns {Promise<Model|null>}
    */
   async get() {
-    const foreignKeyValue = this.child.getAttribute(this.foreignKey);
+    const foreignKeyValue = this.getKeyValue(this.child, this.foreignKey);
 
     if (!foreignKeyValue) {
       return this.getDefault();
     }
 
-    const result = await this.related
-      .where(this.ownerKey, foreignKeyValue)
+    const result = await this.whereKeyValue(this.ownerKey, foreignKeyValue)
       .first();
 
     return result || this.getDefault();
@@ -49,23 +49,23 @@ class BelongsToRelation extends Relation {
    */
   async eagerLoad(models, relationName, constraint) {
     const keys = models
-      .map(model => model.getAttribute(this.foreignKey))
+      .map(model => this.getKeyValue(model, this.foreignKey))
       .filter(key => key !== null && key !== undefined);
 
     if (keys.length === 0) return;
 
-    const qb = this.related.whereIn(this.ownerKey, keys);
+    const qb = this.newRelatedQuery().whereTuplesIn(this.ownerKey, keys);
     if (typeof constraint === 'function') constraint(qb);
     const relatedModels = await qb.get();
 
     const relatedMap = {};
     relatedModels.forEach(model => {
-      const ownerKeyValue = model.getAttribute(this.ownerKey);
+      const ownerKeyValue = this.dictionaryKey(this.getKeyValue(model, this.ownerKey));
       relatedMap[ownerKeyValue] = model;
     });
 
     models.forEach(model => {
-      const foreignKeyValue = model.getAttribute(this.foreignKey);
+      const foreignKeyValue = this.dictionaryKey(this.getKeyValue(model, this.foreignKey));
       model.relations[relationName] = relatedMap[foreignKeyValue] || this.getDefault();
     });
   }
@@ -78,8 +78,7 @@ class BelongsToRelation extends Relation {
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
-    return this.related
-      .where(this.ownerKey, this.child.getAttribute(this.foreignKey))
+    return this.whereKeyValue(this.ownerKey, this.getKeyValue(this.child, this.foreignKey))
       .where(column, operator, value);
   }
 
@@ -94,13 +93,23 @@ class BelongsToRelation extends Relation {
   }
 
   /**
-   * Associate the model with this relation
-   * @param {Model|number} modelOrId
+   * Associate the model with this relation.
+   * Inside DB.unitOfWork(), both models are tracked and flush() saves an
+   * unsaved parent before the child, copying its key.
+   * @param {Model|number|Array<any>} modelOrId - Model, key value, or values of a composite key
    * @returns {BelongsToRelation}
    */
   associate(modelOrId) {
-    const id = modelOrId instanceof this.related ? modelOrId.getAttribute(this.ownerKey) : modelOrId;
-    this.child.setAttribute(this.foreignKey, id);
+    const unit = UnitOfWork.current();
+    if (!(modelOrId instanceof this.related)) {
+      unit?.removeDependency(this.child, this.foreignKey);
+      this.setKeyValue(this.child, this.foreignKey, modelOrId);
+      return this;
+    }
+
+    const sync = () => this.setKeyValue(this.child, this.foreignKey, this.getKeyValue(modelOrId, this.ownerKey));
+    sync();
+    unit?.addDependency(this.child, modelOrId, this.foreignKey, sync);
     return this;
   }
 
@@ -109,7 +118,8 @@ class BelongsToRelation extends Relation {
    * @returns {BelongsToRelation}
    */
   dissociate() {
-    this.child.setAttribute(this.foreignKey, null);
+    UnitOfWork.current()?.removeDependency(this.child, this.foreignKey);
+    this.setKeyValue(this.child, this.foreignKey, null);
     return this;
   }
 
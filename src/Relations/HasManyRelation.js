@@ -1,4 +1,5 @@
 const Relation = require('./Relation');
+const Collection = require('../Collection');
 
 /**
  * Has Many Relation
@@ -10,8 +11,7 @@ class HasManyRelation extends Relation {
    * @returns {Promise<Array<Model>>}
    */
   async get() {
-    return this.related
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+    return this.whereKeyValue(this.foreignKey, this.getKeyValue(this.parent, this.localKey))
       .get();
   }
 
@@ -23,27 +23,27 @@ class HasManyRelation extends Relation {
    */
   async eagerLoad(models, relationName, constraint) {
     const keys = models
-      .map(model => model.getAttribute(this.localKey))
+      .map(model => this.getKeyValue(model, this.localKey))
       .filter(key => key !== null && key !== undefined);
 
     if (keys.length === 0) return;
 
-    const qb = this.related.whereIn(this.foreignKey, keys);
+    const qb = this.newRelatedQuery().whereTuplesIn(this.foreignKey, keys);
     if (typeof constraint === 'function') constraint(qb);
     const relatedModels = await qb.get();
 
     const relatedMap = {};
     relatedModels.forEach(model => {
-      const foreignKeyValue = model.getAttribute(this.foreignKey);
+      const foreignKeyValue = this.dictionaryKey(this.getKeyValue(model, this.foreignKey));
       if (!relatedMap[foreignKeyValue]) {
-        relatedMap[foreignKeyValue] = [];
+        relatedMap[foreignKeyValue] = new Collection();
       }
       relatedMap[foreignKeyValue].push(model);
     });
 
     models.forEach(model => {
-      const localKeyValue = model.getAttribute(this.localKey);
-      model.relations[relationName] = relatedMap[localKeyValue] || [];
+      const localKeyValue = this.dictionaryKey(this.getKeyValue(model, this.localKey));
+      model.relations[relationName] = relatedMap[localKeyValue] || new Collection();
     });
   }
 
@@ -55,18 +55,72 @@ class HasManyRelation extends Relation {
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
-    return this.related
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+    return this.whereKeyValue(this.foreignKey, this.getKeyValue(this.parent, this.localKey))
       .where(column, operator, value);
   }
 
+  /**
+   * Begin a query on the related models of the parent; new instances
+   * created through it are associated with the parent
+   * @returns {QueryBuilder}
+   */
+  query() {
+    const parentKey = this.getKeyValue(this.parent, this.localKey);
+    const qb = this.whereKeyValue(this.foreignKey, parentKey);
+    qb.modelFactory = attributes => {
+      const model = this.newRelatedInstance(attributes);
+      this.setKeyValue(model, this.foreignKey, parentKey);
+      return model;
+    };
+    return qb;
+  }
+
+  /**
+   * Get the first related model matching the attributes or a new associated instance
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  firstOrNew(attributes, values) {
+    return this.query().firstOrNew(attributes, values);
+  }
+
+  /**
+   * Get the first related model matching the attributes or create it
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  firstOrCreate(attributes, values) {
+    return this.query().firstOrCreate(attributes, values);
+  }
+
+  /**
+   * Create a related model, or fetch the existing one on a unique constraint violation
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  createOrFirst(attributes, values) {
+    return this.query().createOrFirst(attributes, values);
+  }
+
+  /**
+   * Update the first related model matching the attributes, or create it
+   * @param {Object} attributes
+   * @param {Object} [values]
+   * @returns {Promise<Model>}
+   */
+  updateOrCreate(attributes, values) {
+    return this.query().updateOrCreate(attributes, values);
+  }
+
   /**
    * Count the related models
    * @returns {Promise<number>}
    */
   async count() {
-    return this.related
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+    return this.whereKeyValue(this.foreignKey, this.getKeyValue(this.parent, this.localKey))
       .count();
   }
 
@@ -76,8 +130,8 @@ class HasManyRelation extends Relation {
    * @returns {Promise<Model>}
    */
   async create(attributes = {}) {
-    const model = new this.related.model(attributes);
-    model.setAttribute(this.foreignKey, this.parent.getAttribute(this.localKey));
+    const model = this.newRelatedInstance(attributes);
+    this.setKeyValue(model, this.foreignKey, this.getKeyValue(this.parent, this.localKey));
     await model.save();
     return model;
   }
@@ -88,7 +142,7 @@ class HasManyRelation extends Relation {
    * @returns {Promise<Model>}
    */
   async save(model) {
-    model.setAttribute(this.foreignKey, this.parent.getAttribute(this.localKey));
+    this.setKeyValue(model, this.foreignKey, this.getKeyValue(this.parent, this.localKey));
     await model.save();
     return model;
   }
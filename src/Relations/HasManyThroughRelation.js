@@ -1,4 +1,5 @@
 const Relation = require('./Relation');
+const Collection = require('../Collection');
 
 /**
  * Has Many Through Relation
@@ -30,17 +31,17 @@ class HasManyThroughRelation extends Relation {
    */
   async get() {
     const parentKeyValue = this.parent.getAttribute(this.localKey);
-    if (parentKeyValue === undefined || parentKeyValue === null) return [];
+    if (parentKeyValue === undefined || parentKeyValue === null) return new Collection();
 
-    const throughRows = await this.through
+    const throughRows = await this.newRelatedQuery(this.through)
       .where(this.foreignKeyOnThrough, parentKeyValue)
       .columns([this.throughLocalKey])
       .get();
 
     const throughIds = throughRows.map(r => r.getAttribute(this.throughLocalKey));
-    if (throughIds.length === 0) return [];
+    if (throughIds.length === 0) return new Collection();
 
-    const results = await this.related
+    const results = await this.newRelatedQuery()
       .whereIn(this.throughKeyOnFinal, throughIds)
       .get();
     return results;
@@ -58,17 +59,17 @@ class HasManyThroughRelation extends Relation {
       .filter(v => v !== undefined && v !== null);
 
     if (parentKeys.length === 0) {
-      models.forEach(m => { m.relations[relationName] = []; });
+      models.forEach(m => { m.relations[relationName] = new Collection(); });
       return;
     }
 
     // Fetch through rows for all parent keys
-    const throughRows = await this.through
+    const throughRows = await this.newRelatedQuery(this.through)
       .whereIn(this.foreignKeyOnThrough, parentKeys)
       .get();
 
     if (throughRows.length === 0) {
-      models.forEach(m => { m.relations[relationName] = []; });
+      models.forEach(m => { m.relations[relationName] = new Collection(); });
       return;
     }
 
@@ -84,7 +85,7 @@ class HasManyThroughRelation extends Relation {
     const allThroughIds = [...new Set(throughRows.map(r => r.getAttribute(this.throughLocalKey)))];
 
     // Fetch finals in one query (with optional constraint)
-    const qb = this.related.whereIn(this.throughKeyOnFinal, allThroughIds);
+    const qb = this.newRelatedQuery().whereIn(this.throughKeyOnFinal, allThroughIds);
     if (typeof constraint === 'function') constraint(qb);
     const finals = await qb.get();
 
@@ -100,7 +101,7 @@ class HasManyThroughRelation extends Relation {
     for (const m of models) {
       const pKey = m.getAttribute(this.localKey);
       const tIds = parentToThroughIds[pKey] || [];
-      const collected = [];
+      const collected = new Collection();
       for (const tId of tIds) {
         if (finalsByThrough[tId]) collected.push(...finalsByThrough[tId]);
       }
@@ -10,8 +10,7 @@ class HasOneRelation extends Relation {
    * @returns {Promise<Model|null>}
    */
   async get() {
-    const result = await this.related
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+    const result = await this.whereKeyValue(this.foreignKey, this.getKeyValue(this.parent, this.localKey))
       .first();
 
     return result;
@@ -25,23 +24,23 @@ class HasOneRelation extends Relation {
    */
   async eagerLoad(models, relationName, constraint) {
     const keys = models
-      .map(model => model.getAttribute(this.localKey))
+      .map(model => this.getKeyValue(model, this.localKey))
       .filter(key => key !== null && key !== undefined);
 
     if (keys.length === 0) return;
 
-    const qb = this.related.whereIn(this.foreignKey, keys);
+    const qb = this.newRelatedQuery().whereTuplesIn(this.foreignKey, keys);
     if (typeof constraint === 'function') constraint(qb);
     const relatedModels = await qb.get();
 
     const relatedMap = {};
     relatedModels.forEach(model => {
-      const foreignKeyValue = model.getAttribute(this.foreignKey);
+      const foreignKeyValue = this.dictionaryKey(this.getKeyValue(model, this.foreignKey));
       relatedMap[foreignKeyValue] = model;
     });
 
     models.forEach(model => {
-      const localKeyValue = model.getAttribute(this.localKey);
+      const localKeyValue = this.dictionaryKey(this.getKeyValue(model, this.localKey));
       model.relations[relationName] = relatedMap[localKeyValue] || null;
     });
   }
@@ -54,8 +53,7 @@ class HasOneRelation extends Relation {
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
-    return this.related
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+    return this.whereKeyValue(this.foreignKey, this.getKeyValue(this.parent, this.localKey))
       .where(column, operator, value);
   }
 
@@ -65,8 +63,8 @@ class HasOneRelation extends Relation {
    * @returns {Promise<Model>}
    */
   async create(attributes = {}) {
-    const model = new this.related.model(attributes);
-    model.setAttribute(this.foreignKey, this.parent.getAttribute(this.localKey));
+    const model = this.newRelatedInstance(attributes);
+    this.setKeyValue(model, this.foreignKey, this.getKeyValue(this.parent, this.localKey));
     await model.save();
     return model;
   }
@@ -77,7 +75,7 @@ class HasOneRelation extends Relation {
    * @returns {Promise<Model>}
    */
   async save(model) {
-    model.setAttribute(this.foreignKey, this.parent.getAttribute(this.localKey));
+    this.setKeyValue(model, this.foreignKey, this.getKeyValue(this.parent, this.localKey));
     await model.save();
     return model;
   }
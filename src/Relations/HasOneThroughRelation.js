@@ -32,14 +32,14 @@ class HasOneThroughRelation extends Relation {
     const parentKeyValue = this.parent.getAttribute(this.localKey);
     if (parentKeyValue === undefined || parentKeyValue === null) return null;
 
-    const throughRow = await this.through
+    const throughRow = await this.newRelatedQuery(this.through)
       .where(this.foreignKeyOnThrough, parentKeyValue)
       .first();
 
     if (!throughRow) return null;
 
     const throughId = throughRow.getAttribute(this.throughLocalKey);
-    const result = await this.related
+    const result = await this.newRelatedQuery()
       .where(this.throughKeyOnFinal, throughId)
       .first();
     return result;
@@ -62,7 +62,7 @@ class HasOneThroughRelation extends Relation {
     }
 
     // Fetch through rows for all parent keys
-    const throughRows = await this.through
+    const throughRows = await this.newRelatedQuery(this.through)
       .whereIn(this.foreignKeyOnThrough, parentKeys)
       .get();
 
@@ -82,7 +82,7 @@ class HasOneThroughRelation extends Relation {
     const allThroughIds = Object.values(parentToThroughId);
 
     // Fetch finals in one query (with optional constraint)
-    const qb = this.related.whereIn(this.throughKeyOnFinal, allThroughIds);
+    const qb = this.newRelatedQuery().whereIn(this.throughKeyOnFinal, allThroughIds);
     if (typeof constraint === 'function') constraint(qb);
     const finals = await qb.get();
 
@@ -1,4 +1,5 @@
 const Relation = require('./Relation');
+const Collection = require('../Collection');
 
 /**
  * Morph Many Relation
@@ -16,7 +17,7 @@ class MorphManyRelation extends Relation {
    * @returns {Promise<Array<Model>>}
    */
   async get() {
-    return this.related
+    return this.newRelatedQuery()
       .where(this.foreignKey, this.parent.getAttribute(this.localKey))
       .where(`${this.morphType}_type`, this.parent.constructor.table)
       .get();
@@ -31,7 +32,7 @@ class MorphManyRelation extends Relation {
   async eagerLoad(models, relationName, constraint) {
     const keys = models.map(model => model.getAttribute(this.localKey));
 
-    const qb = this.related
+    const qb = this.newRelatedQuery()
       .whereIn(this.foreignKey, keys)
       .where(`${this.morphType}_type`, models[0].constructor.table);
 
@@ -41,13 +42,13 @@ class MorphManyRelation extends Relation {
     const relatedMap = {};
     for (const model of relatedModels) {
       const fk = model.getAttribute(this.foreignKey);
-      if (!relatedMap[fk]) relatedMap[fk] = [];
+      if (!relatedMap[fk]) relatedMap[fk] = new Collection();
       relatedMap[fk].push(model);
     }
 
     for (const model of models) {
       const key = model.getAttribute(this.localKey);
-      model.relations[relationName] = relatedMap[key] || [];
+      model.relations[relationName] = relatedMap[key] || new Collection();
     }
   }
 
@@ -59,7 +60,7 @@ class MorphManyRelation extends Relation {
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
-    return this.related
+    return this.newRelatedQuery()
       .where(this.foreignKey, this.parent.getAttribute(this.localKey))
       .where(`${this.morphType}_type`, this.parent.constructor.table)
       .where(column, operator, value);
@@ -16,7 +16,7 @@ class MorphOneRelation extends Relation {
    * @returns {Promise<Model|null>}
    */
   async get() {
-    return this.related
+    return this.newRelatedQuery()
       .where(this.foreignKey, this.parent.getAttribute(this.localKey))
       .where(`${this.morphType}_type`, this.parent.constructor.table)
       .first();
@@ -31,7 +31,7 @@ class MorphOneRelation extends Relation {
   async eagerLoad(models, relationName, constraint) {
     const keys = models.map(model => model.getAttribute(this.localKey));
 
-    const qb = this.related
+    const qb = this.newRelatedQuery()
       .whereIn(this.foreignKey, keys)
       .where(`${this.morphType}_type`, models[0].constructor.table);
 
@@ -58,7 +58,7 @@ class MorphOneRelation extends Relation {
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
-    return this.related
+    return this.newRelatedQuery()
       .where(this.foreignKey, this.parent.getAttribute(this.localKey))
       .where(`${this.morphType}_type`, this.parent.constructor.table)
       .where(column, operator, value);
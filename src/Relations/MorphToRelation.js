@@ -31,7 +31,7 @@ class MorphToRelation extends Relation {
       return null;
     }
 
-    return relatedClass.where(relatedClass.primaryKey, morphId).first();
+    return this.newRelatedQuery(relatedClass).where(relatedClass.primaryKey, morphId).first();
   }
 
   /**
@@ -75,7 +75,7 @@ class MorphToRelation extends Relation {
       const relatedClass = this.resolveMorphClass(type);
       if (!relatedClass) continue;
 
-      const qb = relatedClass.whereIn(relatedClass.primaryKey, ids);
+      const qb = this.newRelatedQuery(relatedClass).whereIn(relatedClass.primaryKey, ids);
       if (typeof constraint === 'function') constraint(qb);
       const relatedModels = await qb.get();
 
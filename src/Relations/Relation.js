@@ -26,6 +26,83 @@ class Relation {
   async eagerLoad(_models, _relationName) {
     throw new Error('Method eagerLoad() must be implemented by subclass');
   }
+
+  /**
+   * Read a key on a model. Composite keys (arrays of columns) give an array of
+   * values, or null when one of the columns is empty.
+   * @param {Model} model
+   * @param {string|string[]} key
+   * @returns {any}
+   * @protected
+   */
+  getKeyValue(model, key) {
+    if (!Array.isArray(key)) return model.getAttribute(key);
+    const values = key.map(column => model.getAttribute(column));
+    return values.some(value => value === null || value === undefined) ? null : values;
+  }
+
+  /**
+   * Write a key value read by getKeyValue() on a model
+   * @param {Model} model
+   * @param {string|string[]} key
+   * @param {any} value
+   * @protected
+   */
+  setKeyValue(model, key, value) {
+    if (!Array.isArray(key)) {
+      model.setAttribute(key, value);
+      return;
+    }
+    key.forEach((column, i) => model.setAttribute(column, value === null ? null : value[i]));
+  }
+
+  /**
+   * Constrain a related query on a key value (one where per column for composite keys)
+   * @param {string|string[]} key
+   * @param {any} value
+   * @param {QueryBuilder} [query]
+   * @returns {QueryBuilder}
+   * @protected
+   */
+  whereKeyValue(key, value, query = this.newRelatedQuery()) {
+    if (!Array.isArray(key)) return query.where(key, value);
+    key.forEach((column, i) => query.where(column, value === null ? null : value[i]));
+    return query;
+  }
+
+  /**
+   * Begin a query on a related model class, on the named connection the parent
+   * was loaded from or created on (Model.on() / useConnection())
+   * @param {typeof Model} [modelClass]
+   * @returns {QueryBuilder}
+   * @protected
+   */
+  newRelatedQuery(modelClass = this.related) {
+    const query = modelClass.query();
+    return this.parent.connectionName ? query.useConnection(this.parent.connectionName) : query;
+  }
+
+  /**
+   * New related model instance, saved on the parent's named connection
+   * @param {Object} [attributes]
+   * @returns {Model}
+   * @protected
+   */
+  newRelatedInstance(attributes = {}) {
+    const model = new this.related(attributes);
+    model.connectionName = this.parent.connectionName;
+    return model;
+  }
+
+  /**
+   * Dictionary key used to match eager loaded models with their parents
+   * @param {any} value - Result of getKeyValue()
+   * @returns {any}
+   * @protected
+   */
+  dictionaryKey(value) {
+    return Array.isArray(value) ? JSON.stringify(value.map(String)) : value;
+  }
 }
 
 module.exports = Relation;
@@ -0,0 +1,70 @@
+/**
+ * Unique identifiers for non-incrementing primary keys
+ */
+const crypto = require('crypto');
+
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Random UUID (version 4)
+ * @returns {string}
+ */
+function uuid() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Time-ordered UUID (version 7): 48-bit Unix milliseconds followed by random bits,
+ * so new keys sort after older ones and keep B-tree inserts local
+ * @param {number} [time=Date.now()]
+ * @returns {string}
+ */
+function uuid7(time = Date.now()) {
+  const bytes = crypto.randomBytes(16);
+  bytes.writeUIntBE(time, 0, 6);
+  bytes[6] = (bytes[6] & 0x0f) | 0x70;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * ULID: 26 Crockford base32 characters, 48-bit Unix milliseconds then 80 random bits
+ * @param {number} [time=Date.now()]
+ * @returns {string}
+ */
+function ulid(time = Date.now()) {
+  let timePart = '';
+  for (let i = 0, t = time; i < 10; i++, t = Math.floor(t / 32)) {
+    timePart = CROCKFORD[t % 32] + timePart;
+  }
+
+  let randomPart = '';
+  for (const byte of crypto.randomBytes(16)) {
+    randomPart += CROCKFORD[byte % 32];
+  }
+  return timePart + randomPart;
+}
+
+// Called with the model being created: ignore it rather than taking it for a timestamp
+const generators = {
+  uuid: () => uuid(),
+  uuid4: () => uuid(),
+  uuid7: () => uuid7(),
+  ulid: () => ulid()
+};
+
+/**
+ * Resolve a Model.keyGenerator setting ('uuid', 'uuid4', 'uuid7', 'ulid' or a function)
+ * @param {string|Function} generator
+ * @param {string} modelName - For error messages
+ * @returns {Function}
+ */
+function resolveKeyGenerator(generator, modelName) {
+  if (typeof generator === 'function') return generator;
+  if (generators[generator]) return generators[generator];
+  throw new Error(`Unknown key generator '${generator}' on ${modelName}`);
+}
+
+module.exports = { uuid, uuid7, ulid, resolveKeyGenerator };
@@ -0,0 +1,253 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const Collection = require('./Collection');
+
+// The unit of work of the current async context (see ConnectionManager.unitOfWork())
+const unitOfWorkContext = new AsyncLocalStorage();
+
+/**
+ * Identity map and unit of work, opened with DB.unitOfWork(callback).
+ * Within it each row (connection, table and primary key) is hydrated once:
+ * later queries and relation loads return the instance already loaded.
+ * flush() saves the tracked models that are new or dirty, parents before the
+ * models associate()d with them, in one transaction per connection.
+ */
+class UnitOfWork {
+  constructor() {
+    // Root connection -> Map(identity -> model)
+    this.identityMaps = new Map();
+    this.models = new Set();
+    // Child model -> Map(relation foreign key -> { parent, sync })
+    this.dependencies = new Map();
+  }
+
+  /**
+   * The unit of work of the current async context
+   * @returns {UnitOfWork|null}
+   */
+  static current() {
+    return unitOfWorkContext.getStore() || null;
+  }
+
+  /**
+   * Run a callback in a unit of work; nested calls join the open one
+   * @template T
+   * @param {(unit: UnitOfWork) => T} callback
+   * @returns {T}
+   */
+  static run(callback) {
+    const current = UnitOfWork.current();
+    if (current) return callback(current);
+
+    const unit = new UnitOfWork();
+    return unitOfWorkContext.run(unit, () => callback(unit));
+  }
+
+  /**
+   * Identity of a row: table and primary key values, or null when the key is missing
+   * @param {typeof Model} modelClass
+   * @param {Object} attributes
+   * @returns {string|null}
+   */
+  static identity(modelClass, attributes) {
+    const values = [].concat(modelClass.primaryKey).map(column => attributes[column]);
+    if (values.some(value => value === null || value === undefined)) return null;
+    return `${modelClass.table}:${JSON.stringify(values.map(String))}`;
+  }
+
+  /**
+   * Identity map of a connection (transactions share the one of their root)
+   * @param {DatabaseConnection} connection
+   * @returns {Map<string, Model>}
+   * @private
+   */
+  identityMap(connection) {
+    const root = connection.root || connection;
+    if (!this.identityMaps.has(root)) this.identityMaps.set(root, new Map());
+    return this.identityMaps.get(root);
+  }
+
+  /**
+   * The loaded instance of a row, if any
+   * @param {DatabaseConnection} connection
+   * @param {typeof Model} modelClass
+   * @param {Object} row
+   * @returns {Model|null}
+   */
+  get(connection, modelClass, row) {
+    const identity = UnitOfWork.identity(modelClass, row);
+    const model = identity && this.identityMap(connection).get(identity);
+    return model instanceof modelClass ? model : null;
+  }
+
+  /**
+   * Register a persisted model in the identity map and track it
+   * @param {DatabaseConnection} connection
+   * @param {Model} model
+   * @returns {void}
+   */
+  add(connection, model) {
+    const identity = UnitOfWork.identity(model.constructor, model.attributes);
+    if (!identity) return;
+    const identityMap = this.identityMap(connection);
+    if (!identityMap.has(identity)) identityMap.set(identity, model);
+    this.models.add(model);
+  }
+
+  /**
+   * Stop tracking a model (e.g. once its row is deleted)
+   * @param {Model} model
+   * @returns {void}
+   */
+  remove(model) {
+    this.forgetIdentity(model);
+    this.models.delete(model);
+    this.dependencies.delete(model);
+  }
+
+  /**
+   * Drop a model from the identity maps
+   * @param {Model} model
+   * @returns {void}
+   * @private
+   */
+  forgetIdentity(model) {
+    for (const identityMap of this.identityMaps.values()) {
+      for (const [identity, tracked] of identityMap) {
+        if (tracked === model) identityMap.delete(identity);
+      }
+    }
+  }
+
+  /**
+   * Track new models so that flush() inserts them
+   * @param {...Model} models
+   * @returns {this}
+   */
+  persist(...models) {
+    for (const model of models.flat()) {
+      this.models.add(model);
+    }
+    return this;
+  }
+
+  /**
+   * Record that a child model references a parent through a foreign key
+   * (called by BelongsToRelation.associate()). flush() saves the parent first
+   * and copies its key to the child.
+   * @param {Model} child
+   * @param {Model} parent
+   * @param {string|string[]} foreignKey
+   * @param {() => void} sync - Copies the parent key to the child
+   * @returns {void}
+   */
+  addDependency(child, parent, foreignKey, sync) {
+    this.persist(child, parent);
+    if (!this.dependencies.has(child)) this.dependencies.set(child, new Map());
+    this.dependencies.get(child).set(JSON.stringify(foreignKey), { parent, sync });
+  }
+
+  /**
+   * Forget the dependency recorded for a foreign key (dissociate())
+   * @param {Model} child
+   * @param {string|string[]} foreignKey
+   * @returns {void}
+   */
+  removeDependency(child, foreignKey) {
+    this.dependencies.get(child)?.delete(JSON.stringify(foreignKey));
+  }
+
+  /**
+   * Tracked models, each after the unsaved parents it depends on
+   * @returns {Model[]}
+   * @throws {Error} When unsaved models depend on each other
+   * @private
+   */
+  ordered() {
+    const ordered = [];
+    const state = new Map();
+
+    const visit = model => {
+      if (state.get(model) === 'done') return;
+      if (state.get(model) === 'visiting') {
+        throw new Error(`Cannot flush the unit of work: unsaved ${model.constructor.name} models depend on each other`);
+      }
+      state.set(model, 'visiting');
+      // Parents already in the database have a key: their order does not matter
+      for (const { parent } of this.dependencies.get(model)?.values() || []) {
+        if (!parent.exists) visit(parent);
+      }
+      state.set(model, 'done');
+      ordered.push(model);
+    };
+
+    for (const model of this.models) visit(model);
+    return ordered;
+  }
+
+  /**
+   * Save every tracked model that is new or dirty, parents first, in a
+   * transaction on each connection involved. On failure the transactions roll
+   * back and the models get their previous state back.
+   * @returns {Promise<Collection>} The saved models
+   * @throws {Error} When unsaved models depend on each other
+   */
+  async flush() {
+    const models = this.ordered();
+    const pending = model => !model.exists || model.isDirty()
+      || [...this.dependencies.get(model)?.values() || []].some(({ parent }) => !parent.exists);
+    const pendingModels = models.filter(pending);
+    if (pendingModels.length === 0) return new Collection();
+
+    const snapshots = models.map(model => ({
+      model,
+      exists: model.exists,
+      wasRecentlyCreated: model.wasRecentlyCreated,
+      attributes: { ...model.attributes },
+      original: { ...model.original },
+      changes: { ...model.changes }
+    }));
+
+    const saved = new Collection();
+    const save = async () => {
+      for (const model of models) {
+        for (const { parent, sync } of this.dependencies.get(model)?.values() || []) {
+          if (parent.exists) sync();
+        }
+        if ((!model.exists || model.isDirty()) && await model.save() !== false) {
+          saved.push(model);
+        }
+      }
+    };
+
+    const connections = [...new Set(pendingModels.map(model => {
+      const connection = model.getConnection();
+      return connection.root || connection;
+    }))];
+    const run = connections.reduceRight((next, connection) => () => connection.transaction(next), save);
+
+    try {
+      await run();
+    } catch (error) {
+      for (const { model, ...state } of snapshots) {
+        // Rows inserted by the rolled back transaction are gone
+        if (model.exists && !state.exists) this.forgetIdentity(model);
+        Object.assign(model, state);
+      }
+      throw error;
+    }
+    return saved;
+  }
+
+  /**
+   * Forget every loaded and tracked model
+   * @returns {this}
+   */
+  clear() {
+    this.identityMaps.clear();
+    this.models.clear();
+    this.dependencies.clear();
+    return this;
+  }
+}
+
+module.exports = UnitOfWork;
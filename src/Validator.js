@@ -0,0 +1,165 @@
+/**
+ * Model validation
+ * Rules are declared per attribute on `static rules`, either as a pipe separated
+ * string ('required|string|max:255') or as an array (['required', /^[a-z-]+$/]).
+ * Arguments follow a colon: 'in:draft,published', 'unique:users,email'.
+ * Attributes that are not required skip their other rules when null or undefined.
+ */
+
+const isEmpty = value => value === null
+  || value === undefined
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Size used by min/max/between: numeric value for numbers, length for strings and arrays
+ * @param {any} value
+ * @returns {number}
+ */
+function sizeOf(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  return NaN;
+}
+
+function sizeUnit(value) {
+  if (typeof value === 'number') return '';
+  return Array.isArray(value) ? ' items' : ' characters';
+}
+
+/**
+ * Parse a regex rule argument ('/^[a-z]+$/i' or '^[a-z]+$')
+ * @param {string} source
+ * @returns {RegExp}
+ */
+function toRegExp(source) {
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(source);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(source);
+}
+
+/**
+ * Normalize a rule definition into a list of { name, args } entries
+ * @param {string|Array<string|RegExp>} definition
+ * @returns {Array<{name: string, args: Array<any>}>}
+ */
+function parseRules(definition) {
+  const list = Array.isArray(definition) ? definition : String(definition).split('|');
+  return list.filter(Boolean).map(rule => {
+    if (rule instanceof RegExp) return { name: 'regex', args: [rule] };
+
+    const separator = rule.indexOf(':');
+    const name = separator === -1 ? rule : rule.slice(0, separator);
+    const raw = separator === -1 ? '' : rule.slice(separator + 1);
+    if (name === 'regex') return { name, args: [toRegExp(raw)] };
+    return { name, args: raw === '' ? [] : raw.split(',').map(a => a.trim()) };
+  });
+}
+
+const typeChecks = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  int: value => Number.isInteger(value),
+  numeric: value => (typeof value === 'number' && !Number.isNaN(value))
+    || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))),
+  boolean: value => typeof value === 'boolean' || value === 0 || value === 1,
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date),
+  date: value => (value instanceof Date ? !Number.isNaN(value.getTime()) : !Number.isNaN(Date.parse(value)))
+};
+
+/**
+ * Rules evaluated in memory; each returns an error message or null
+ */
+const rules = {
+  required: (value, key) => (isEmpty(value) ? `The ${key} field is required.` : null),
+  min: (value, key, [min]) => (sizeOf(value) < Number(min)
+    ? `The ${key} field must be at least ${min}${sizeUnit(value)}.` : null),
+  max: (value, key, [max]) => (sizeOf(value) > Number(max)
+    ? `The ${key} field must not be greater than ${max}${sizeUnit(value)}.` : null),
+  between: (value, key, [min, max]) => {
+    const size = sizeOf(value);
+    return size < Number(min) || size > Number(max)
+      ? `The ${key} field must be between ${min} and ${max}${sizeUnit(value)}.` : null;
+  },
+  regex: (value, key, [pattern]) => (pattern.test(String(value)) ? null : `The ${key} field format is invalid.`),
+  in: (value, key, allowed) => (allowed.includes(String(value)) ? null : `The selected ${key} is invalid.`)
+};
+
+for (const [type, check] of Object.entries(typeChecks)) {
+  rules[type] = (value, key) => (check(value) ? null : `The ${key} field must be of type ${type}.`);
+}
+
+/**
+ * Rules that query the database through the model's own connection
+ */
+const databaseRules = {
+  /**
+   * unique[:table[,column]] - the current row is ignored when the model exists
+   */
+  async unique(model, key, value, [table, column]) {
+    const modelClass = model.constructor;
+    const wheres = [{ column: column || key, operator: '=', value, type: 'basic', boolean: 'and' }];
+    if (model.exists && (!table || table === modelClass.table)) {
+      // NOT (a = x AND b = y) for composite keys
+      const others = model.getKeyQuery().wheres.map(where => ({ ...where, operator: '!=', boolean: 'or' }));
+      wheres.push(others.length === 1 ? { ...others[0], boolean: 'and' } : { type: 'nested', wheres: others, boolean: 'and' });
+    }
+    const count = await model.getConnection().count(table || modelClass.table, { wheres });
+    return Number(count) > 0 ? `The ${key} has already been taken.` : null;
+  },
+
+  /**
+   * exists:table[,column] - every given value must match a row
+   */
+  async exists(model, key, value, [table, column]) {
+    const values = [...new Set(Array.isArray(value) ? value : [value])];
+    const wheres = [{ column: column || key, values, type: 'in', boolean: 'and' }];
+    const count = await model.getConnection().count(table || model.constructor.table, { wheres });
+    return Number(count) < values.length ? `The selected ${key} is invalid.` : null;
+  }
+};
+
+/**
+ * Validate a model against its static rules
+ * @param {import('./Model')} model
+ * @param {string[]} [keys] - Only validate these attributes (defaults to every attribute with rules)
+ * @returns {Promise<Object<string, string[]>>} Messages keyed by attribute, empty when valid
+ */
+async function validate(model, keys) {
+  const definitions = model.constructor.rules || {};
+  const errors = {};
+
+  for (const key of keys || Object.keys(definitions)) {
+    if (!definitions[key]) continue;
+
+    const parsed = parseRules(definitions[key]);
+    const value = model.castAttribute(key, model.attributes[key]);
+    const messages = [];
+
+    if (!parsed.some(rule => rule.name === 'required') && (value === null || value === undefined)) {
+      continue;
+    }
+
+    for (const { name, args } of parsed) {
+      if (rules[name]) {
+        const message = rules[name](value, key, args);
+        if (message) messages.push(message);
+        // Size and format checks are meaningless once presence or type failed
+        if (message && (name === 'required' || typeChecks[name])) break;
+      } else if (databaseRules[name]) {
+        // Skip queries when the value already failed an in-memory rule
+        if (messages.length) continue;
+        const message = await databaseRules[name](model, key, model.attributes[key], args);
+        if (message) messages.push(message);
+      } else {
+        throw new Error(`Unknown validation rule '${name}' on ${model.constructor.name}.${key}`);
+      }
+    }
+
+    if (messages.length) errors[key] = messages;
+  }
+
+  return errors;
+}
+
+module.exports = { validate, parseRules };
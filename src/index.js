@@ -1,6 +1,13 @@
 const Model = require('./Model');
 const QueryBuilder = require('./QueryBuilder');
 const DatabaseConnection = require('./DatabaseConnection');
+const { ConnectionManager, DB } = require('./ConnectionManager');
+const Collection = require('./Collection');
+const { MemoryStore } = require('./Cache');
+const UnitOfWork = require('./UnitOfWork');
+const { registerCast } = require('./Casts');
+const { uuid, uuid7, ulid } = require('./UniqueIds');
+const { ValidationError, MassAssignmentError, StaleModelError } = require('./Errors');
 
 // Relations
 const Relation = require('./Relations/Relation');
@@ -14,6 +21,18 @@ module.exports = {
   Model,
   QueryBuilder,
   DatabaseConnection,
+  ConnectionManager,
+  DB,
+  Collection,
+  MemoryStore,
+  UnitOfWork,
+  registerCast,
+  uuid,
+  uuid7,
+  ulid,
+  ValidationError,
+  MassAssignmentError,
+  StaleModelError,
   Relation,
   HasOneRelation,
   HasManyRelation,
@@ -0,0 +1,85 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Accessors, mutators and appends', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    static fillable = ['first_name', 'last_name', 'email'];
+    static appends = ['full_name'];
+    static hidden = ['last_name'];
+
+    getFullNameAttribute() {
+      return `${this.getAttribute('first_name')} ${this.attributes.last_name}`;
+    }
+
+    getFirstNameAttribute(value) {
+      return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+    }
+
+    setEmailAttribute(value) {
+      return String(value).trim().toLowerCase();
+    }
+
+    posts() { return this.hasMany(Post, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static appends = ['excerpt'];
+
+    getExcerptAttribute() {
+      return `${this.getAttribute('body').slice(0, 5)}...`;
+    }
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, first_name TEXT, last_name TEXT, email TEXT)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, body TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('mutators run on fill() and setAttribute()', () => {
+    const user = new User({ first_name: 'ada', last_name: 'Lovelace', email: '  Ada@Example.COM ' });
+    expect(user.attributes.email).toBe('ada@example.com');
+
+    user.setAttribute('email', 'NEW@EXAMPLE.COM');
+    expect(user.getAttribute('email')).toBe('new@example.com');
+  });
+
+  test('accessors transform stored and computed attributes', () => {
+    const user = new User({ first_name: 'ada', last_name: 'Lovelace' });
+    expect(user.getAttribute('first_name')).toBe('Ada');
+    expect(user.attributes.first_name).toBe('ada');
+    expect(user.getAttribute('full_name')).toBe('Ada Lovelace');
+  });
+
+  test('toJSON() includes appends and accessor values but honors hidden', () => {
+    const json = new User({ first_name: 'ada', last_name: 'Lovelace', email: 'a@b.c' }).toJSON();
+    expect(json).toEqual({ first_name: 'Ada', email: 'a@b.c', full_name: 'Ada Lovelace' });
+  });
+
+  test('hydrated models and eager-loaded relations use accessors when serialized', async () => {
+    const user = await User.create({ first_name: 'grace', last_name: 'Hopper', email: 'GRACE@navy.mil' });
+    await db.insert('posts', { user_id: user.getAttribute('id'), body: 'Compilers are great' });
+
+    const [loaded] = await User.with('posts').get();
+    expect(loaded.attributes.email).toBe('grace@navy.mil');
+    expect(loaded.isDirty()).toBe(false);
+
+    const json = loaded.toJSON();
+    expect(json.full_name).toBe('Grace Hopper');
+    expect(json.posts).toEqual([{ id: 1, user_id: user.getAttribute('id'), body: 'Compilers are great', excerpt: 'Compi...' }]);
+    expect(JSON.parse(JSON.stringify(loaded)).posts[0].excerpt).toBe('Compi...');
+  });
+});
@@ -0,0 +1,133 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { resolveCast } = require('../src/Casts');
+
+class MoneyCast {
+  constructor(currency = 'USD') {
+    this.currency = currency;
+  }
+  get(value) {
+    return { amount: Number(value) / 100, currency: this.currency };
+  }
+  set(value) {
+    return Math.round((typeof value === 'object' ? value.amount : value) * 100);
+  }
+}
+
+class EnumCast {
+  constructor(...allowed) {
+    this.allowed = allowed;
+  }
+  get(value) {
+    return value;
+  }
+  set(value, key) {
+    if (!this.allowed.includes(value)) {
+      throw new Error(`Invalid value '${value}' for ${key}`);
+    }
+    return value;
+  }
+}
+
+const listCast = {
+  get: value => (value === '' ? [] : String(value).split(',')),
+  set: value => (Array.isArray(value) ? value.join(',') : value)
+};
+
+const base64Cast = {
+  get: value => Buffer.from(value, 'base64').toString('utf8'),
+  set: value => Buffer.from(String(value), 'utf8').toString('base64')
+};
+
+Model.registerCast('money', MoneyCast);
+Model.registerCast('enum', EnumCast);
+Model.registerCast('list', listCast);
+
+describe('Casts', () => {
+  let db;
+
+  class Product extends Model {
+    static table = 'products';
+    static timestamps = false;
+    static casts = {
+      id: 'int',
+      active: 'boolean',
+      options: 'json',
+      price: 'money:EUR',
+      status: 'enum:draft,published',
+      tags: 'list',
+      secret: base64Cast
+    };
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    Product.setConnection(db);
+    await db.execute('CREATE TABLE products (id INTEGER PRIMARY KEY AUTOINCREMENT, active INTEGER, options TEXT, price INTEGER, status TEXT, tags TEXT, secret TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('values are converted to their database form on insert', async () => {
+    const product = await Product.create({
+      active: true,
+      options: ['red', 'blue'],
+      price: 12.5,
+      status: 'draft',
+      tags: ['a', 'b'],
+      secret: 'hunter2'
+    });
+
+    const [row] = await db.executeRawQuery('SELECT * FROM products WHERE id = ?', [product.getAttribute('id')]);
+    expect(row).toMatchObject({ active: 1, options: '["red","blue"]', price: 1250, status: 'draft', tags: 'a,b' });
+    expect(row.secret).toBe(Buffer.from('hunter2').toString('base64'));
+  });
+
+  test('hydrated values are converted back on read and in toJSON()', async () => {
+    const product = await Product.query().first();
+
+    expect(product.getAttribute('active')).toBe(true);
+    expect(product.getAttribute('options')).toEqual(['red', 'blue']);
+    expect(product.getAttribute('price')).toEqual({ amount: 12.5, currency: 'EUR' });
+    expect(product.getAttribute('tags')).toEqual(['a', 'b']);
+    expect(product.getAttribute('secret')).toBe('hunter2');
+    expect(product.toJSON()).toMatchObject({ active: true, options: ['red', 'blue'], tags: ['a', 'b'] });
+  });
+
+  test('updates write the database form and getDirty() is cast-aware', async () => {
+    const product = await Product.query().first();
+    expect(product.isDirty()).toBe(false);
+
+    product.setAttribute('options', ['red', 'blue']);
+    product.setAttribute('active', 1);
+    expect(product.isDirty()).toBe(false);
+
+    product.setAttribute('options', { size: 'XL' });
+    expect(Object.keys(product.getDirty())).toEqual(['options']);
+    await product.save();
+
+    const [row] = await db.executeRawQuery('SELECT options FROM products WHERE id = ?', [product.getAttribute('id')]);
+    expect(row.options).toBe('{"size":"XL"}');
+  });
+
+  test('query builder writes go through casts', async () => {
+    await Product.query().update({ tags: ['x', 'y', 'z'], active: false });
+    const [row] = await db.executeRawQuery('SELECT tags, active FROM products');
+    expect(row).toEqual({ tags: 'x,y,z', active: 0 });
+  });
+
+  test('custom casts can reject values', () => {
+    const product = new Product();
+    expect(() => product.setAttribute('status', 'archived')).toThrow("Invalid value 'archived' for status");
+  });
+
+  test('resolveCast() handles names, arguments and unknown definitions', () => {
+    expect(resolveCast('money:GBP').currency).toBe('GBP');
+    expect(resolveCast('integer').get('42')).toBe(42);
+    expect(resolveCast('unknown')).toBeNull();
+    expect(() => Model.registerCast('broken', {})).toThrow("Cast 'broken' must be a class or an object with get() and set()");
+  });
+});
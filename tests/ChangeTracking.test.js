@@ -0,0 +1,196 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Change tracking', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static casts = { settings: 'json', age: 'int' };
+    static hidden = ['password'];
+    posts() { return this.hasMany(Post, 'user_id'); }
+    profile() { return this.hasOne(Profile, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static softDeletes = true;
+    comments() { return this.hasMany(Comment, 'post_id'); }
+  }
+
+  class Comment extends Model {
+    static table = 'comments';
+    static timestamps = false;
+  }
+
+  class Profile extends Model {
+    static table = 'profiles';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [User, Post, Comment, Profile].forEach(m => m.setConnection(db));
+    await db.execute(`CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, email TEXT, age INTEGER,
+      settings TEXT, password TEXT, created_at TEXT, updated_at TEXT
+    )`);
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT, deleted_at TEXT)');
+    await db.execute('CREATE TABLE comments (id INTEGER PRIMARY KEY AUTOINCREMENT, post_id INTEGER, body TEXT)');
+    await db.execute('CREATE TABLE profiles (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, bio TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['users', 'posts', 'comments', 'profiles']) {
+      await db.execute(`DELETE FROM ${table}`);
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const createUser = () => {
+    const user = new User();
+    user.forceFill({ name: 'Alice', email: 'a@x.io', age: 30, settings: { theme: 'dark' }, password: 'secret' });
+    return user.save();
+  };
+
+  test('getOriginal() returns the last persisted values through casts', async () => {
+    const user = await createUser();
+    user.setAttribute('age', 31);
+    user.setAttribute('settings', { theme: 'light' });
+
+    expect(user.getOriginal('age')).toBe(30);
+    expect(user.getOriginal('settings')).toEqual({ theme: 'dark' });
+    expect(user.getOriginal('missing', 'fallback')).toBe('fallback');
+    expect(user.getOriginal()).toMatchObject({ name: 'Alice', age: 30, settings: { theme: 'dark' } });
+  });
+
+  test('isDirty() / isClean() accept attribute names', async () => {
+    const user = await createUser();
+    expect(user.isClean()).toBe(true);
+
+    user.setAttribute('name', 'Alicia');
+    expect(user.isDirty()).toBe(true);
+    expect(user.isDirty('name')).toBe(true);
+    expect(user.isDirty(['email', 'age'])).toBe(false);
+    expect(user.isClean('email')).toBe(true);
+    expect(user.isClean(['email', 'name'])).toBe(false);
+  });
+
+  test('getChanges() / wasChanged() reflect the last save', async () => {
+    // Only the clock is faked: a save in the same millisecond as the insert
+    // would leave updated_at unchanged
+    jest.useFakeTimers({
+      now: new Date('2024-01-01T00:00:00Z'),
+      doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout']
+    });
+    const user = await createUser();
+    expect(user.getChanges()).toEqual({});
+    expect(user.wasChanged()).toBe(false);
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:01Z'));
+    user.setAttribute('name', 'Alicia');
+    await user.save();
+
+    expect(Object.keys(user.getChanges()).sort()).toEqual(['name', 'updated_at']);
+    expect(user.getChanges().name).toBe('Alicia');
+    expect(user.wasChanged()).toBe(true);
+    expect(user.wasChanged('name')).toBe(true);
+    expect(user.wasChanged(['email', 'age'])).toBe(false);
+    expect(user.isClean()).toBe(true);
+
+    await user.save();
+    expect(user.wasChanged()).toBe(false);
+  });
+
+  test('soft deletes record the columns they wrote as changes', async () => {
+    const post = new Post();
+    post.forceFill({ user_id: 1, title: 'p' });
+    await post.save();
+
+    await post.destroy();
+    expect(post.wasChanged('deleted_at')).toBe(true);
+  });
+
+  test('refresh() reloads attributes and the loaded relations', async () => {
+    const user = await createUser();
+    const id = user.getAttribute('id');
+    const [post] = await db.insertMany('posts', [{ user_id: id, title: 'first' }]).then(() => Post.all());
+    await db.insert('comments', { post_id: post.getAttribute('id'), body: 'c1' });
+    await db.insert('profiles', { user_id: id, bio: 'old' });
+
+    await user.load('posts.comments', 'profile');
+    user.setAttribute('name', 'unsaved');
+
+    await db.update('users', { name: 'Remote' }, { wheres: [{ column: 'id', operator: '=', value: id, type: 'basic', boolean: 'and' }] });
+    await db.insert('comments', { post_id: post.getAttribute('id'), body: 'c2' });
+    await db.update('profiles', { bio: 'new' }, { wheres: [] });
+
+    const result = await user.refresh();
+
+    expect(result).toBe(user);
+    expect(user.getAttribute('name')).toBe('Remote');
+    expect(user.isClean()).toBe(true);
+    expect(user.getAttribute('password')).toBe('secret');
+    expect(user.relations.posts[0].relations.comments.pluck('body')).toEqual(['c1', 'c2']);
+    expect(user.relations.profile.getAttribute('bio')).toBe('new');
+  });
+
+  test('refresh() throws when the row is gone', async () => {
+    const user = await createUser();
+    await db.execute('DELETE FROM users');
+    await expect(user.refresh()).rejects.toThrow('Model not found in table users');
+  });
+
+  test('fresh() returns a new instance, optionally with relations, or null', async () => {
+    const user = await createUser();
+    await db.insert('posts', { user_id: user.getAttribute('id'), title: 'p' });
+    user.setAttribute('name', 'unsaved');
+
+    const fresh = await user.fresh('posts');
+    expect(fresh).not.toBe(user);
+    expect(fresh.getAttribute('name')).toBe('Alice');
+    expect(fresh.relations.posts).toHaveLength(1);
+    expect(user.getAttribute('name')).toBe('unsaved');
+
+    expect(await new User().fresh()).toBeNull();
+    await db.execute('DELETE FROM users');
+    expect(await user.fresh()).toBeNull();
+  });
+
+  test('fresh() finds soft deleted rows', async () => {
+    const post = new Post();
+    post.forceFill({ user_id: 1, title: 'p' });
+    await post.save();
+    await post.destroy();
+
+    const fresh = await post.fresh();
+    expect(fresh.trashed()).toBe(true);
+  });
+
+  test('replicate() copies a row without its key and timestamps', async () => {
+    const user = await createUser();
+    await user.load('posts');
+
+    const copy = user.replicate(['email']);
+    expect(copy.exists).toBe(false);
+    expect(copy.getAttribute('id')).toBeUndefined();
+    expect(copy.getAttribute('created_at')).toBeUndefined();
+    expect(copy.getAttribute('email')).toBeUndefined();
+    expect(copy.getAttribute('settings')).toEqual({ theme: 'dark' });
+    expect(copy.relations.posts).toBe(user.relations.posts);
+
+    copy.setAttribute('email', 'copy@x.io');
+    await copy.save();
+    expect(copy.getAttribute('id')).not.toBe(user.getAttribute('id'));
+    expect(await User.query().count()).toBe(2);
+  });
+});
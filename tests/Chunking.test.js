@@ -0,0 +1,174 @@
+const { Readable } = require('stream');
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+jest.mock('pg-cursor', () => {
+  return class FakeCursor {
+    constructor(text, values) {
+      this.text = text;
+      this.values = values;
+      this.rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      this.close = jest.fn().mockResolvedValue();
+      FakeCursor.last = this;
+    }
+    async read(count) {
+      return this.rows.splice(0, count);
+    }
+  };
+}, { virtual: true });
+
+describe('Chunking and cursors', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    posts() { return this.hasMany(Post, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, active INTEGER)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM users');
+    await db.execute('DELETE FROM posts');
+    for (let i = 1; i <= 7; i++) {
+      await db.insert('users', { id: i, name: `user${i}`, active: i % 2 });
+      await db.insert('posts', { user_id: i, title: `post${i}` });
+    }
+  });
+
+  test('chunk() pages through the results with eager loads per chunk', async () => {
+    const seen = [];
+    const result = await User.with('posts').chunk(3, (users, page) => {
+      seen.push([page, users.map(u => u.getAttribute('id'))]);
+      expect(users.every(u => u.relations.posts.length === 1)).toBe(true);
+    });
+
+    expect(result).toBe(true);
+    expect(seen).toEqual([[1, [1, 2, 3]], [2, [4, 5, 6]], [3, [7]]]);
+  });
+
+  test('chunk() stops when the callback returns false', async () => {
+    const pages = [];
+    const result = await User.chunk(2, (users, page) => {
+      pages.push(page);
+      return page < 2 ? undefined : false;
+    });
+    expect(result).toBe(false);
+    expect(pages).toEqual([1, 2]);
+  });
+
+  test('chunkById() does not skip rows updated during iteration', async () => {
+    const seen = [];
+    await User.where('active', 1).orWhere('name', 'user2').chunkById(2, async (users) => {
+      seen.push(...users.map(u => u.getAttribute('id')));
+      // Deactivating rows would shift LIMIT/OFFSET pages
+      await User.whereIn('id', users.map(u => u.getAttribute('id'))).update({ active: 0 });
+    });
+
+    expect(seen).toEqual([1, 2, 3, 5, 7]);
+  });
+
+  test('cursor() streams hydrated models and eager loads per batch', async () => {
+    const names = [];
+    for await (const user of User.where('active', 1).with('posts').cursor({ batchSize: 2 })) {
+      expect(user).toBeInstanceOf(User);
+      expect(user.relations.posts[0].getAttribute('title')).toBe(`post${user.getAttribute('id')}`);
+      names.push(user.getAttribute('name'));
+    }
+    expect(names).toEqual(['user1', 'user3', 'user5', 'user7']);
+  });
+
+  test('cursor() can be left early', async () => {
+    const ids = [];
+    for await (const user of User.cursor()) {
+      ids.push(user.getAttribute('id'));
+      if (ids.length === 2) break;
+    }
+    expect(ids).toEqual([1, 2]);
+    expect(await User.count()).toBe(7);
+  });
+
+  test('MySQL streams through the mysql2 connection and releases it', async () => {
+    const mysql = new DatabaseConnection({ driver: 'mysql' });
+    const query = Object.assign(new (require('events'))(), {
+      stream: () => Readable.from([{ id: 1 }, { id: 2 }])
+    });
+    const conn = {
+      connection: { query: jest.fn(() => query) },
+      release: jest.fn(),
+      destroy: jest.fn()
+    };
+    mysql.pool = { getConnection: jest.fn().mockResolvedValue(conn) };
+
+    const rows = [];
+    for await (const row of mysql.cursor('users', { wheres: [{ column: 'active', operator: '=', value: 1, type: 'basic', boolean: 'and' }] })) {
+      rows.push(row);
+    }
+
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(conn.connection.query).toHaveBeenCalledWith('SELECT * FROM users WHERE active = ?', [1]);
+    expect(conn.release).toHaveBeenCalled();
+
+    for await (const row of mysql.cursor('users', {})) {
+      expect(row).toEqual({ id: 1 });
+      break;
+    }
+    expect(conn.destroy).toHaveBeenCalled();
+  });
+
+  test('MySQL cursors left on the last row inside a transaction do not wait for a past end', async () => {
+    const mysql = new DatabaseConnection({ driver: 'mysql' });
+    const query = Object.assign(new (require('events'))(), {
+      stream: () => {
+        // The whole result was buffered: mysql2 has already emitted 'end'
+        query.emit('end');
+        return Readable.from([{ id: 1 }, { id: 2 }]);
+      }
+    });
+    // A transaction pins a PoolConnection, which has no getConnection()
+    mysql.pool = { connection: { query: jest.fn(() => query), resume: jest.fn() } };
+
+    const rows = [];
+    for await (const row of mysql.cursor('users', {})) {
+      rows.push(row);
+      if (row.id === 2) break;
+    }
+
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('PostgreSQL reads a pg-cursor in batches', async () => {
+    const pg = new DatabaseConnection({ driver: 'postgres' });
+    const client = { query: jest.fn(cursor => cursor), release: jest.fn() };
+    pg.connection = { connect: jest.fn().mockResolvedValue(client) };
+
+    const rows = [];
+    for await (const row of pg.cursor('users', { wheres: [{ column: 'id', operator: '>', value: 0, type: 'basic', boolean: 'and' }] }, { batchSize: 2 })) {
+      rows.push(row.id);
+    }
+
+    const cursor = require('pg-cursor').last;
+    expect(rows).toEqual([1, 2, 3]);
+    expect(cursor.text).toBe('SELECT * FROM users WHERE id > $1');
+    expect(cursor.values).toEqual([0]);
+    expect(cursor.close).toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+});
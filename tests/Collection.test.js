@@ -0,0 +1,183 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const Collection = require('../src/Collection');
+
+describe('Collection', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    static hidden = ['password'];
+    posts() { return this.hasMany(Post, 'user_id'); }
+    roles() { return this.belongsToMany(Role, 'role_user', 'user_id', 'role_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    author() { return this.belongsTo(User, 'user_id'); }
+    comments() { return this.hasMany(Comment, 'post_id'); }
+  }
+
+  class Comment extends Model {
+    static table = 'comments';
+    static timestamps = false;
+  }
+
+  class Role extends Model {
+    static table = 'roles';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [User, Post, Comment, Role].forEach(m => m.setConnection(db));
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, team TEXT, password TEXT)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT)');
+    await db.execute('CREATE TABLE comments (id INTEGER PRIMARY KEY AUTOINCREMENT, post_id INTEGER, body TEXT)');
+    await db.execute('CREATE TABLE roles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE role_user (user_id INTEGER, role_id INTEGER)');
+
+    await db.insertMany('users', [
+      { id: 1, name: 'alice', team: 'red', password: 'a' },
+      { id: 2, name: 'bob', team: 'blue', password: 'b' },
+      { id: 3, name: 'carol', team: 'red', password: 'c' }
+    ]);
+    await db.insertMany('posts', [
+      { id: 1, user_id: 1, title: 'p1' },
+      { id: 2, user_id: 1, title: 'p2' },
+      { id: 3, user_id: 2, title: 'p3' }
+    ]);
+    await db.insertMany('comments', [
+      { post_id: 1, body: 'c1' },
+      { post_id: 3, body: 'c2' }
+    ]);
+    await db.insert('roles', { id: 1, name: 'admin' });
+    await db.insert('role_user', { user_id: 1, role_id: 1 });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('get() and to-many relations return array-compatible collections', async () => {
+    const users = await User.with('posts', 'roles').orderBy('id').get();
+
+    expect(users).toBeInstanceOf(Collection);
+    expect(Array.isArray(users)).toBe(true);
+    expect(users).toHaveLength(3);
+    expect(users[0].relations.posts).toBeInstanceOf(Collection);
+    expect(users[2].relations.posts).toBeInstanceOf(Collection);
+    expect(users[1].relations.roles).toBeInstanceOf(Collection);
+    expect(users.filter(u => u.getAttribute('team') === 'red')).toBeInstanceOf(Collection);
+
+    const posts = await (await User.find(1)).posts().get();
+    expect(posts).toBeInstanceOf(Collection);
+  });
+
+  test('pluck(), keyBy(), groupBy() and modelKeys()', async () => {
+    const users = await User.orderBy('id').get();
+
+    expect(users.pluck('name')).toEqual(['alice', 'bob', 'carol']);
+    expect(users.pluck('name', 'id')).toEqual({ 1: 'alice', 2: 'bob', 3: 'carol' });
+    expect(users.keyBy('name').bob.getAttribute('id')).toBe(2);
+
+    const teams = users.groupBy('team');
+    expect(Object.keys(teams)).toEqual(['red', 'blue']);
+    expect(teams.red).toBeInstanceOf(Collection);
+    expect(teams.red.modelKeys()).toEqual([1, 3]);
+    expect(users.modelKeys()).toEqual([1, 2, 3]);
+  });
+
+  test('find() looks up by primary key and keeps the predicate form', async () => {
+    const users = await User.orderBy('id').get();
+
+    expect(users.find(2).getAttribute('name')).toBe('bob');
+    expect(users.find('3').getAttribute('name')).toBe('carol');
+    expect(users.find(42)).toBeUndefined();
+    expect(users.find([1, 3]).pluck('name')).toEqual(['alice', 'carol']);
+    expect(users.find(u => u.getAttribute('name') === 'alice').getAttribute('id')).toBe(1);
+  });
+
+  test('diff() and unique()', async () => {
+    const users = await User.orderBy('id').get();
+    const red = await User.where('team', 'red').get();
+
+    expect(users.diff(red).modelKeys()).toEqual([2]);
+    expect(Collection.make([...users, ...red]).unique().modelKeys()).toEqual([1, 2, 3]);
+    expect(users.unique('team').pluck('name')).toEqual(['alice', 'bob']);
+  });
+
+  test('toJSON() honors hidden attributes and serializes loaded relations', async () => {
+    const users = await User.with('posts').orderBy('id').get();
+    const json = JSON.parse(JSON.stringify(users));
+
+    expect(json[0]).not.toHaveProperty('password');
+    expect(json[0].posts.map(p => p.title)).toEqual(['p1', 'p2']);
+    expect(users.toJSON()[1].posts[0]).toEqual({ id: 3, user_id: 2, title: 'p3' });
+  });
+
+  test('load() runs one query per relation for the whole collection', async () => {
+    const users = await User.orderBy('id').get();
+    const select = jest.spyOn(db, 'select');
+
+    await users.load('posts.comments');
+
+    expect(select).toHaveBeenCalledTimes(2);
+    expect(users.pluck('id').map(id => users.find(id).relations.posts.length)).toEqual([2, 1, 0]);
+    expect(users[0].relations.posts[0].relations.comments.pluck('body')).toEqual(['c1']);
+  });
+
+  test('load() accepts constrained relations', async () => {
+    const users = await User.orderBy('id').get();
+    await users.load({ posts: qb => qb.where('title', 'p2') });
+
+    expect(users[0].relations.posts.pluck('title')).toEqual(['p2']);
+  });
+
+  test('loadMissing() only queries models without the relation', async () => {
+    const users = await User.orderBy('id').get();
+    await users.slice(0, 1).load('posts');
+    const select = jest.spyOn(db, 'select');
+
+    await users.loadMissing('posts');
+    expect(select).toHaveBeenCalledTimes(1);
+    expect(select.mock.calls[0][1].wheres[0].values).toEqual([2, 3]);
+
+    await users.loadMissing('posts');
+    expect(select).toHaveBeenCalledTimes(1);
+
+    await users.loadMissing('posts.comments');
+    expect(select).toHaveBeenCalledTimes(2);
+    expect(users[1].relations.posts[0].relations.comments).toHaveLength(1);
+  });
+
+  test('loadCount() sets <relation>_count with a single query', async () => {
+    const users = await User.orderBy('id').get();
+    const select = jest.spyOn(db, 'select');
+
+    await users.loadCount('posts', 'roles');
+
+    expect(select).toHaveBeenCalledTimes(1);
+    expect(users.pluck('posts_count')).toEqual([2, 1, 0]);
+    expect(users.pluck('roles_count')).toEqual([1, 0, 0]);
+  });
+
+  test('batch helpers are no-ops on empty collections', async () => {
+    const empty = await User.where('team', 'green').get();
+    const select = jest.spyOn(db, 'select');
+
+    await empty.load('posts');
+    await empty.loadMissing('posts');
+    await empty.loadCount('posts');
+
+    expect(select).not.toHaveBeenCalled();
+    expect(empty.toJSON()).toEqual([]);
+  });
+});
@@ -0,0 +1,192 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const Collection = require('../src/Collection');
+const { ValidationError } = require('../src/Errors');
+const { Blueprint } = require('../lib/Schema/Schema');
+
+describe('Composite primary keys', () => {
+  let db;
+
+  class OrderLine extends Model {
+    static table = 'order_lines';
+    static primaryKey = ['order_id', 'line_no'];
+    static incrementing = false;
+    static timestamps = false;
+    static rules = { sku: 'unique' };
+    notes() { return this.hasMany(LineNote, ['order_id', 'line_no']); }
+  }
+
+  class LineNote extends Model {
+    static table = 'line_notes';
+    static timestamps = false;
+    line() { return this.belongsTo(OrderLine, ['order_id', 'line_no']); }
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    OrderLine.setConnection(db);
+    LineNote.setConnection(db);
+
+    const blueprint = new Blueprint('order_lines', db);
+    blueprint.integer('order_id').primary();
+    blueprint.integer('line_no').primary();
+    blueprint.string('sku');
+    blueprint.integer('qty');
+    for (const sql of blueprint.toSql('create')) {
+      await db.execute(sql);
+    }
+    await db.execute('CREATE TABLE line_notes (id INTEGER PRIMARY KEY AUTOINCREMENT, order_id INTEGER, line_no INTEGER, body TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM order_lines');
+    await db.execute('DELETE FROM line_notes');
+    await db.insertMany('order_lines', [
+      { order_id: 1, line_no: 1, sku: 'A', qty: 1 },
+      { order_id: 1, line_no: 2, sku: 'B', qty: 2 },
+      { order_id: 2, line_no: 1, sku: 'C', qty: 3 }
+    ]);
+    await db.insertMany('line_notes', [
+      { order_id: 1, line_no: 1, body: 'fragile' },
+      { order_id: 1, line_no: 1, body: 'gift' },
+      { order_id: 2, line_no: 1, body: 'late' }
+    ]);
+  });
+
+  test('Blueprint emits a multi-column primary key', () => {
+    const blueprint = new Blueprint('order_lines', db);
+    blueprint.integer('order_id').primary();
+    blueprint.integer('line_no').primary();
+    expect(blueprint.toSql('create')[0]).toContain('PRIMARY KEY (order_id, line_no)');
+  });
+
+  test('find() takes one value per key column, as an array or an object', async () => {
+    expect((await OrderLine.find([1, 2])).getAttribute('sku')).toBe('B');
+    expect((await OrderLine.find({ line_no: 1, order_id: 2 })).getAttribute('sku')).toBe('C');
+    expect(await OrderLine.find([2, 2])).toBeNull();
+    await expect(OrderLine.findOrFail([2, 2])).rejects.toThrow();
+  });
+
+  test('a partial key throws', () => {
+    expect(() => OrderLine.keyValues(1))
+      .toThrow('OrderLine has a composite primary key (order_id, line_no): pass one value per column');
+    expect(() => OrderLine.find({ order_id: 1 })).toThrow('pass one value per column');
+  });
+
+  test('getKey() returns the key values in column order', async () => {
+    const line = await OrderLine.find([1, 2]);
+    expect(line.getKey()).toEqual([1, 2]);
+  });
+
+  test('inserts keep the given key', async () => {
+    const line = await OrderLine.create({ order_id: 3, line_no: 1, sku: 'D', qty: 1 });
+    expect(line.getKey()).toEqual([3, 1]);
+    expect(line.getAttribute('id')).toBeUndefined();
+    expect((await OrderLine.find([3, 1])).getAttribute('sku')).toBe('D');
+  });
+
+  test('updates and deletes are keyed on every column', async () => {
+    const line = await OrderLine.find([1, 1]);
+    line.setAttribute('qty', 10);
+    await line.save();
+
+    const rows = await OrderLine.query().orderBy('order_id').orderBy('line_no').get();
+    expect(rows.pluck('qty')).toEqual([10, 2, 3]);
+
+    await line.destroy();
+    expect(await OrderLine.query().count()).toBe(2);
+    expect(await OrderLine.find([1, 2])).not.toBeNull();
+  });
+
+  test('changing a key column updates the persisted row', async () => {
+    const line = await OrderLine.find([1, 2]);
+    line.setAttribute('line_no', 5);
+    await line.save();
+
+    expect(await OrderLine.find([1, 2])).toBeNull();
+    expect((await OrderLine.find([1, 5])).getAttribute('sku')).toBe('B');
+
+    await db.execute("UPDATE order_lines SET qty = 7 WHERE order_id = 1 AND line_no = 5");
+    await line.refresh();
+    expect(line.getAttribute('qty')).toBe(7);
+  });
+
+  test('updateById() and whereKey()', async () => {
+    await OrderLine.updateById([2, 1], { qty: 30 });
+    const line = await OrderLine.query().whereKey([2, 1]).first();
+    expect(line.getAttribute('qty')).toBe(30);
+  });
+
+  test('unique validation ignores the current row', async () => {
+    const line = await OrderLine.find([1, 1]);
+    line.setAttribute('sku', 'A');
+    line.setAttribute('qty', 4);
+    await expect(line.save()).resolves.toBe(line);
+
+    line.setAttribute('sku', 'B');
+    await expect(line.save()).rejects.toThrow(ValidationError);
+  });
+
+  test('Collection find(), diff() and loadCount() use the whole key', async () => {
+    const lines = await OrderLine.query().orderBy('order_id').orderBy('line_no').get();
+    expect(lines.find([1, 2]).getAttribute('sku')).toBe('B');
+    expect(lines.find([[1, 1], [2, 1]]).pluck('sku')).toEqual(['A', 'C']);
+    expect(lines.diff(Collection.make([lines[0]])).pluck('sku')).toEqual(['B', 'C']);
+
+    await lines.loadCount('notes');
+    expect(lines.pluck('notes_count')).toEqual([2, 0, 1]);
+  });
+
+  test('hasMany and belongsTo with composite foreign keys', async () => {
+    const line = await OrderLine.find([1, 1]);
+    expect((await line.notes().get()).pluck('body')).toEqual(['fragile', 'gift']);
+    expect(await line.notes().count()).toBe(2);
+
+    const note = await line.notes().create({ body: 'new' });
+    expect(note.getAttribute('order_id')).toBe(1);
+    expect(note.getAttribute('line_no')).toBe(1);
+
+    const parent = await note.line().get();
+    expect(parent.getAttribute('sku')).toBe('A');
+
+    note.line().associate(await OrderLine.find([2, 1]));
+    expect([note.getAttribute('order_id'), note.getAttribute('line_no')]).toEqual([2, 1]);
+    note.line().dissociate();
+    expect(note.getAttribute('line_no')).toBeNull();
+    expect(await note.line().get()).toBeNull();
+  });
+
+  test('eager loading matches on every key column', async () => {
+    const lines = await OrderLine.with('notes').orderBy('order_id').orderBy('line_no').get();
+    expect(lines.map(line => line.relations.notes.length)).toEqual([2, 0, 1]);
+
+    const notes = await LineNote.with('line').orderBy('id').get();
+    expect(notes.map(note => note.relations.line.getAttribute('sku'))).toEqual(['A', 'A', 'C']);
+  });
+
+  test('whereHas(), has() and withCount() join on every key column', async () => {
+    const withNotes = await OrderLine.query().whereHas('notes', qb => qb.where('body', 'late')).get();
+    expect(withNotes.pluck('sku')).toEqual(['C']);
+
+    const many = await OrderLine.query().has('notes', '>=', 2).get();
+    expect(many.pluck('sku')).toEqual(['A']);
+
+    const counted = await OrderLine.query().withCount('notes').orderBy('order_id').orderBy('line_no').get();
+    expect(counted.pluck('notes_count')).toEqual([2, 0, 1]);
+  });
+
+  test('chunkById() refuses a composite key', async () => {
+    await expect(OrderLine.query().chunkById(10, () => {}))
+      .rejects.toThrow('chunkById() needs a single unique column');
+  });
+
+  test('an empty whereIn() matches nothing', async () => {
+    expect(await OrderLine.query().whereIn('sku', []).count()).toBe(0);
+    expect(await OrderLine.query().whereNotIn('sku', []).count()).toBe(3);
+  });
+});
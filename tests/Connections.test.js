@@ -0,0 +1,186 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { ConnectionManager, DB } = require('../src/ConnectionManager');
+
+describe('Named connections', () => {
+  describe('ConnectionManager', () => {
+    test('creates registered connections on first use and reuses them', () => {
+      const manager = new ConnectionManager();
+      manager.addConnection('analytics', { driver: 'sqlite', database: ':memory:' });
+
+      const connection = manager.connection('analytics');
+      expect(connection).toBeInstanceOf(DatabaseConnection);
+      expect(connection.driver).toBe('sqlite');
+      expect(manager.connection('analytics')).toBe(connection);
+      expect(manager.hasConnection('analytics')).toBe(true);
+    });
+
+    test('accepts DatabaseConnection instances', () => {
+      const manager = new ConnectionManager();
+      const db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      manager.addConnection('main', db);
+      expect(manager.connection('main')).toBe(db);
+      expect(manager.getConnectionNames()).toEqual(['main']);
+    });
+
+    test('the default connection can be renamed and falls back to .env', () => {
+      const manager = new ConnectionManager();
+      expect(manager.connection()).toBeInstanceOf(DatabaseConnection);
+
+      const db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      manager.addConnection('main', db).setDefaultConnection('main');
+      expect(manager.getDefaultConnection()).toBe('main');
+      expect(manager.connection()).toBe(db);
+    });
+
+    test('unknown names throw', () => {
+      expect(() => new ConnectionManager().connection('nope'))
+        .toThrow("Database connection 'nope' is not configured");
+    });
+
+    test('disconnect() closes connections, which reconnect from their config', async () => {
+      const manager = new ConnectionManager();
+      manager.addConnection('tmp', { driver: 'sqlite', database: ':memory:' });
+      const first = manager.connection('tmp');
+      await first.connect();
+
+      await manager.disconnect();
+      expect(first.connection).toBeNull();
+      expect(manager.connection('tmp')).not.toBe(first);
+
+      await manager.removeConnection('tmp');
+      expect(manager.hasConnection('tmp')).toBe(false);
+    });
+  });
+
+  describe('models (SQLite)', () => {
+    let main;
+    let reporting;
+
+    class Sale extends Model {
+      static table = 'sales';
+      static timestamps = false;
+    }
+
+    class Metric extends Model {
+      static table = 'metrics';
+      static timestamps = false;
+      static connectionName = 'reporting';
+    }
+
+    class DailyMetric extends Metric {}
+
+    class Customer extends Model {
+      static table = 'customers';
+      static timestamps = false;
+      orders() { return this.hasMany(Order, 'customer_id'); }
+    }
+
+    class Order extends Model {
+      static table = 'orders';
+      static timestamps = false;
+    }
+
+    beforeAll(async () => {
+      DB.addConnection('main', { driver: 'sqlite', database: ':memory:' });
+      DB.addConnection('reporting', { driver: 'sqlite', database: ':memory:' });
+      main = DB.connection('main');
+      reporting = DB.connection('reporting');
+      Sale.setConnection(main);
+
+      await main.execute('CREATE TABLE sales (id INTEGER PRIMARY KEY AUTOINCREMENT, amount INTEGER)');
+      await reporting.execute('CREATE TABLE sales (id INTEGER PRIMARY KEY AUTOINCREMENT, amount INTEGER)');
+      await reporting.execute('CREATE TABLE metrics (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+      for (const connection of [main, reporting]) {
+        await connection.execute('CREATE TABLE customers (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE, name TEXT)');
+        await connection.execute('CREATE TABLE orders (id INTEGER PRIMARY KEY AUTOINCREMENT, customer_id INTEGER, total INTEGER)');
+      }
+      [Customer, Order].forEach(model => model.setConnection(main));
+      await main.insert('sales', { amount: 10 });
+      await reporting.insertMany('sales', [{ amount: 100 }, { amount: 200 }]);
+    });
+
+    afterAll(async () => {
+      await DB.removeConnection('main');
+      await DB.removeConnection('reporting');
+    });
+
+    test('connectionName selects a registered connection, inherited by subclasses', async () => {
+      await Metric.create({ name: 'visits' });
+      expect(Metric.getConnection()).toBe(reporting);
+      expect(DailyMetric.getConnection()).toBe(reporting);
+      expect(await reporting.count('metrics', { wheres: [] })).toBe(1);
+    });
+
+    test('setConnection() overrides an inherited connectionName', () => {
+      class LocalMetric extends Metric {}
+      LocalMetric.setConnection(main);
+      expect(LocalMetric.getConnection()).toBe(main);
+      expect(Metric.getConnection()).toBe(reporting);
+    });
+
+    test('Model.on() runs a one-off query on a named connection', async () => {
+      expect((await Sale.all()).pluck('amount')).toEqual([10]);
+      expect((await Sale.on('reporting').where('amount', '>', 150).get()).pluck('amount')).toEqual([200]);
+      expect(await Sale.on('reporting').count()).toBe(2);
+
+      await Sale.on('reporting').where('amount', 100).update({ amount: 150 });
+      expect(await Sale.on('reporting').clone().where('amount', 150).exists()).toBe(true);
+      expect(await Sale.query().where('amount', 150).exists()).toBe(false);
+    });
+
+    test('models loaded through on() are saved, refreshed and deleted on that connection', async () => {
+      const sale = await Sale.on('reporting').whereKey(1).first();
+      sale.setAttribute('amount', 999);
+      await sale.save();
+      expect((await Sale.on('reporting').whereKey(1).first()).getAttribute('amount')).toBe(999);
+
+      await reporting.execute('UPDATE sales SET amount = 998 WHERE id = 1');
+      await sale.refresh();
+      expect(sale.getAttribute('amount')).toBe(998);
+      expect((await sale.fresh()).getAttribute('amount')).toBe(998);
+
+      await sale.destroy();
+      expect(await Sale.on('reporting').whereKey(1).first()).toBeNull();
+      // The default connection's row with the same key is untouched
+      expect((await Sale.all()).map(row => row.attributes)).toEqual([{ id: 1, amount: 10 }]);
+    });
+
+    test('firstOrCreate() and createOrFirst() after on() insert on that connection', async () => {
+      const first = await Customer.on('reporting').firstOrCreate({ email: 'ann@x.io' }, { name: 'Ann' });
+      expect(first.wasRecentlyCreated).toBe(true);
+      const again = await Customer.on('reporting').firstOrCreate({ email: 'ann@x.io' });
+      expect(again.getKey()).toBe(first.getKey());
+      expect(again.wasRecentlyCreated).toBe(false);
+
+      const existing = await Customer.on('reporting').createOrFirst({ email: 'ann@x.io' });
+      expect(existing.getKey()).toBe(first.getKey());
+      expect(await Customer.on('reporting').count()).toBe(1);
+      expect(await Customer.count()).toBe(0);
+    });
+
+    test('relations of a model loaded through on() use its connection', async () => {
+      const customer = await Customer.on('reporting').firstOrCreate({ email: 'bob@x.io' });
+      await customer.orders().create({ total: 5 });
+
+      expect((await customer.orders().get()).pluck('total')).toEqual([5]);
+      const [loaded] = await Customer.on('reporting').where('email', 'bob@x.io').with('orders').get();
+      expect(loaded.getAttribute('orders').pluck('total')).toEqual([5]);
+      expect(await Order.on('reporting').count()).toBe(1);
+      expect(await Order.count()).toBe(0);
+    });
+
+    test('queries on a named connection join its open transaction', async () => {
+      await reporting.transaction(async () => {
+        await Metric.create({ name: 'rolled back' });
+        expect(await Metric.on('reporting').where('name', 'rolled back').count()).toBe(1);
+        throw new Error('abort');
+      }).catch(() => {});
+      expect(await Metric.where('name', 'rolled back').count()).toBe(0);
+    });
+
+    test('an unknown connection name fails when the query runs', async () => {
+      await expect(Sale.on('missing').get()).rejects.toThrow("Database connection 'missing' is not configured");
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Cursor and simple pagination', () => {
+  let db;
+
+  class Event extends Model {
+    static table = 'events';
+    static timestamps = false;
+  }
+
+  const ids = models => models.map(m => m.getAttribute('id'));
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    Event.setConnection(db);
+    await db.execute('CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, score INTEGER, name TEXT)');
+    // score: 1 -> 10, 2 -> 20, 3 -> 10, 4 -> 30, 5 -> 20, 6 -> 10, 7 -> 30
+    const scores = [10, 20, 10, 30, 20, 10, 30];
+    for (const [i, score] of scores.entries()) {
+      await db.insert('events', { id: i + 1, score, name: `e${i + 1}` });
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('walks forward and backward by primary key', async () => {
+    const page1 = await Event.cursorPaginate(3);
+    expect(ids(page1.data)).toEqual([1, 2, 3]);
+    expect(page1.prev_cursor).toBeNull();
+
+    const page2 = await Event.cursorPaginate(3, page1.next_cursor);
+    expect(ids(page2.data)).toEqual([4, 5, 6]);
+
+    const page3 = await Event.cursorPaginate(3, page2.next_cursor);
+    expect(ids(page3.data)).toEqual([7]);
+    expect(page3.next_cursor).toBeNull();
+
+    const back = await Event.cursorPaginate(3, page3.prev_cursor);
+    expect(ids(back.data)).toEqual([4, 5, 6]);
+    expect(back.next_cursor).not.toBeNull();
+
+    const start = await Event.cursorPaginate(3, back.prev_cursor);
+    expect(ids(start.data)).toEqual([1, 2, 3]);
+    expect(start.prev_cursor).toBeNull();
+  });
+
+  test('supports multi-column, mixed-direction orders', async () => {
+    const query = () => Event.query().orderBy('score', 'desc').orderBy('id', 'asc');
+    const expected = [4, 7, 2, 5, 1, 3, 6];
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await query().cursorPaginate(2, cursor);
+      seen.push(...ids(page.data));
+      cursor = page.next_cursor;
+    } while (cursor);
+    expect(seen).toEqual(expected);
+
+    const page2 = await query().cursorPaginate(2, (await query().cursorPaginate(2)).next_cursor);
+    const back = await query().cursorPaginate(2, page2.prev_cursor);
+    expect(ids(back.data)).toEqual([4, 7]);
+  });
+
+  test('keeps existing constraints and is stable while rows are inserted', async () => {
+    const page1 = await Event.where('score', 10).orWhere('score', 30).cursorPaginate(2);
+    expect(ids(page1.data)).toEqual([1, 3]);
+
+    await db.insert('events', { id: 0, score: 10, name: 'late' });
+    const page2 = await Event.where('score', 10).orWhere('score', 30).cursorPaginate(2, page1.next_cursor);
+    expect(ids(page2.data)).toEqual([4, 6]);
+    await db.execute('DELETE FROM events WHERE id = 0');
+  });
+
+  test('qualifies the primary key tie breaker on joined queries', async () => {
+    await db.execute('CREATE TABLE tags (id INTEGER PRIMARY KEY, event_id INTEGER, label TEXT)');
+    // Tag ids run opposite to event ids
+    await db.insertMany('tags', [7, 6, 5, 4, 3, 2, 1].map((eventId, i) => ({ id: i + 1, event_id: eventId, label: 'x' })));
+    const query = () => Event.query().select('events.*').join('tags', 'tags.event_id', '=', 'events.id').where('score', '>', 10);
+
+    const page1 = await query().cursorPaginate(2);
+    expect(ids(page1.data)).toEqual([2, 4]);
+    const page2 = await query().cursorPaginate(2, page1.next_cursor);
+    expect(ids(page2.data)).toEqual([5, 7]);
+    expect(page2.next_cursor).toBeNull();
+    await db.execute('DROP TABLE tags');
+  });
+
+  test('rejects malformed or mismatched cursors', async () => {
+    await expect(Event.cursorPaginate(2, 'not-a-cursor')).rejects.toThrow('Invalid pagination cursor');
+    const { next_cursor: cursor } = await Event.cursorPaginate(2);
+    await expect(Event.query().orderBy('score').cursorPaginate(2, cursor)).rejects.toThrow('does not match the query order');
+  });
+
+  test('simplePaginate() skips the count query', async () => {
+    const spy = jest.spyOn(db, 'count');
+    const page = await Event.simplePaginate(3, 3);
+    expect(ids(page.data)).toEqual([7]);
+    expect(page).toMatchObject({ per_page: 3, current_page: 3, has_more: false, from: 7, to: 7 });
+
+    const first = await Event.query().simplePaginate(1, 3);
+    expect(first.has_more).toBe(true);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,157 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('firstOrNew / firstOrCreate / updateOrCreate / createOrFirst', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    static guarded = ['id'];
+    posts() { return this.hasMany(Post, 'user_id'); }
+    roles() { return this.belongsToMany(Role, 'role_user', 'user_id', 'role_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+  }
+
+  class Role extends Model {
+    static table = 'roles';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [User, Post, Role].forEach(model => model.setConnection(db));
+
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE, name TEXT, plan TEXT)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, slug TEXT, title TEXT, UNIQUE (user_id, slug))');
+    await db.execute('CREATE TABLE roles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE, label TEXT)');
+    await db.execute('CREATE TABLE role_user (user_id INTEGER, role_id INTEGER, UNIQUE (user_id, role_id))');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['users', 'posts', 'roles', 'role_user']) {
+      await db.execute(`DELETE FROM ${table}`);
+    }
+    await db.execute("INSERT INTO users (id, email, name, plan) VALUES (1, 'alice@example.com', 'Alice', 'free')");
+  });
+
+  test('firstOrNew returns the existing record or an unsaved instance', async () => {
+    const existing = await User.firstOrNew({ email: 'alice@example.com' }, { name: 'Ignored' });
+    expect(existing.exists).toBe(true);
+    expect(existing.getAttribute('name')).toBe('Alice');
+
+    const fresh = await User.firstOrNew({ email: 'bob@example.com' }, { name: 'Bob' });
+    expect(fresh.exists).toBe(false);
+    expect(fresh.attributes).toEqual({ email: 'bob@example.com', name: 'Bob' });
+    expect(await User.count()).toBe(1);
+  });
+
+  test('firstOrCreate only creates when no record matches', async () => {
+    const alice = await User.firstOrCreate({ email: 'alice@example.com' }, { name: 'Other' });
+    expect(alice.wasRecentlyCreated).toBe(false);
+    expect(alice.getAttribute('name')).toBe('Alice');
+
+    const bob = await User.where('plan', 'free').firstOrCreate({ email: 'bob@example.com' }, { name: 'Bob' });
+    expect(bob.wasRecentlyCreated).toBe(true);
+    expect(bob.getAttribute('id')).toBeDefined();
+    expect(await User.count()).toBe(2);
+  });
+
+  test('updateOrCreate updates the match or creates with both attribute sets', async () => {
+    const alice = await User.updateOrCreate({ email: 'alice@example.com' }, { plan: 'pro' });
+    expect(alice.getAttribute('id')).toBe(1);
+    expect((await User.find(1)).getAttribute('plan')).toBe('pro');
+
+    const carol = await User.updateOrCreate({ email: 'carol@example.com' }, { name: 'Carol', plan: 'team' });
+    expect(carol.wasRecentlyCreated).toBe(true);
+    expect((await User.find(carol.getAttribute('id'))).getAttribute('plan')).toBe('team');
+  });
+
+  test('createOrFirst falls back to the existing row on a unique violation', async () => {
+    const alice = await User.createOrFirst({ email: 'alice@example.com' }, { name: 'Duplicate' });
+    expect(alice.getAttribute('id')).toBe(1);
+    expect(alice.getAttribute('name')).toBe('Alice');
+    expect(await User.count()).toBe(1);
+
+    await expect(db.execute('INSERT INTO users (email) VALUES (?)', ['alice@example.com'])).rejects.toThrow();
+  });
+
+  test('createOrFirst inside a transaction keeps the transaction usable', async () => {
+    await db.transaction(async () => {
+      const alice = await User.createOrFirst({ email: 'alice@example.com' });
+      expect(alice.getAttribute('id')).toBe(1);
+      await User.create({ email: 'dave@example.com' });
+    });
+    expect(await User.count()).toBe(2);
+  });
+
+  test('createOrFirst rethrows other errors', async () => {
+    await expect(User.createOrFirst({ unknown_column: 1 })).rejects.toThrow(/unknown_column/);
+  });
+
+  test('hasMany methods are scoped to and associate with the parent', async () => {
+    const user = await User.find(1);
+    await db.execute("INSERT INTO posts (user_id, slug, title) VALUES (2, 'hello', 'Someone else')");
+
+    const post = await user.posts().firstOrCreate({ slug: 'hello' }, { title: 'Hello' });
+    expect(post.wasRecentlyCreated).toBe(true);
+    expect(post.getAttribute('user_id')).toBe(1);
+
+    const again = await user.posts().createOrFirst({ slug: 'hello' }, { title: 'Again' });
+    expect(again.getAttribute('id')).toBe(post.getAttribute('id'));
+
+    const draft = await user.posts().firstOrNew({ slug: 'draft' });
+    expect(draft.exists).toBe(false);
+    expect(draft.getAttribute('user_id')).toBe(1);
+
+    await user.posts().updateOrCreate({ slug: 'hello' }, { title: 'Updated' });
+    expect((await Post.find(post.getAttribute('id'))).getAttribute('title')).toBe('Updated');
+    expect(await Post.count()).toBe(2);
+  });
+
+  test('belongsToMany methods look up attached models and attach created ones', async () => {
+    const user = await User.find(1);
+    await db.execute("INSERT INTO roles (id, name, label) VALUES (1, 'admin', 'Admin'), (2, 'editor', 'Editor')");
+    await db.execute('INSERT INTO role_user (user_id, role_id) VALUES (1, 1)');
+
+    const admin = await user.roles().firstOrCreate({ name: 'admin' });
+    expect(admin.getAttribute('id')).toBe(1);
+
+    const editor = await user.roles().firstOrCreate({ name: 'editor' });
+    expect(editor.getAttribute('id')).toBe(2);
+    expect(editor.wasRecentlyCreated).toBe(false);
+
+    const viewer = await user.roles().updateOrCreate({ name: 'viewer' }, { label: 'Viewer' });
+    expect(viewer.wasRecentlyCreated).toBe(true);
+
+    const stranger = await user.roles().firstOrNew({ name: 'owner' });
+    expect(stranger.exists).toBe(false);
+
+    await user.roles().updateOrCreate({ name: 'editor' }, { label: 'Writer' });
+    expect((await Role.find(2)).getAttribute('label')).toBe('Writer');
+
+    const roles = await user.roles().get();
+    expect(roles.map(r => r.getAttribute('name')).sort()).toEqual(['admin', 'editor', 'viewer']);
+  });
+
+  test('isUniqueConstraintError recognizes each driver', () => {
+    expect(db.isUniqueConstraintError(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email'))).toBe(true);
+    expect(db.isUniqueConstraintError(new Error('SQLITE_ERROR: no such table'))).toBe(false);
+
+    const mysql = new DatabaseConnection({ driver: 'mysql' });
+    expect(mysql.isUniqueConstraintError(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))).toBe(true);
+
+    const pg = new DatabaseConnection({ driver: 'postgres' });
+    expect(pg.isUniqueConstraintError(Object.assign(new Error('duplicate key'), { code: '23505' }))).toBe(true);
+    expect(pg.isUniqueConstraintError(Object.assign(new Error('fk'), { code: '23503' }))).toBe(false);
+  });
+});
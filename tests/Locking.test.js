@@ -0,0 +1,77 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Pessimistic locking', () => {
+  class Product extends Model {
+    static table = 'products';
+    static timestamps = false;
+  }
+
+  const compile = (driver, qb) => new DatabaseConnection({ driver })
+    .buildSelectQuery(Product.table, qb.buildQuery()).sql;
+
+  describe('MySQL', () => {
+    test('lockForUpdate() and sharedLock()', () => {
+      expect(compile('mysql', Product.where('id', 1).lockForUpdate()))
+        .toBe('SELECT * FROM products WHERE id = ? FOR UPDATE');
+      expect(compile('mysql', Product.sharedLock().limit(1)))
+        .toBe('SELECT * FROM products LIMIT 1 LOCK IN SHARE MODE');
+    });
+
+    test('skipLocked() and noWait()', () => {
+      expect(compile('mysql', Product.query().lockForUpdate().skipLocked()))
+        .toBe('SELECT * FROM products FOR UPDATE SKIP LOCKED');
+      expect(compile('mysql', Product.query().sharedLock().noWait()))
+        .toBe('SELECT * FROM products FOR SHARE NOWAIT');
+    });
+  });
+
+  describe('PostgreSQL', () => {
+    test('compiles FOR UPDATE / FOR SHARE with wait options after LIMIT', () => {
+      expect(compile('postgres', Product.where('stock', '>', 0).orderBy('id').limit(5).lockForUpdate()))
+        .toBe('SELECT * FROM products WHERE stock > ? ORDER BY id ASC LIMIT 5 FOR UPDATE');
+      expect(compile('postgres', Product.query().sharedLock()))
+        .toBe('SELECT * FROM products FOR SHARE');
+      expect(compile('postgres', Product.query().noWait().sharedLock()))
+        .toBe('SELECT * FROM products FOR SHARE NOWAIT');
+    });
+
+    test('skipLocked() alone implies FOR UPDATE', () => {
+      expect(compile('postgres', Product.query().skipLocked()))
+        .toBe('SELECT * FROM products FOR UPDATE SKIP LOCKED');
+    });
+  });
+
+  test('the lock survives clone()', () => {
+    const qb = Product.query().lockForUpdate().clone();
+    expect(compile('postgres', qb)).toBe('SELECT * FROM products FOR UPDATE');
+  });
+
+  describe('SQLite', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      await db.connect();
+      Product.setConnection(db);
+      await db.execute('CREATE TABLE products (id INTEGER PRIMARY KEY AUTOINCREMENT, stock INTEGER)');
+      await db.insert('products', { stock: 3 });
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    test('locks are ignored', async () => {
+      expect(compile('sqlite', Product.query().lockForUpdate().skipLocked()))
+        .toBe('SELECT * FROM products');
+
+      await db.transaction(async () => {
+        const product = await Product.where('id', 1).lockForUpdate().first();
+        await Product.where('id', 1).decrement('stock');
+        expect(product.getAttribute('stock')).toBe(3);
+      });
+      expect((await Product.find(1)).getAttribute('stock')).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { MassAssignmentError } = require('../src/Errors');
+
+describe('Mass Assignment', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    static guarded = ['id', 'is_admin'];
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static fillable = ['title'];
+    static guarded = ['*'];
+  }
+
+  class StrictUser extends User {
+    static strictMassAssignment = true;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, is_admin INTEGER DEFAULT 0)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('guarded attributes are discarded by fill()', () => {
+    const user = new User({ id: 99, name: 'Alice', is_admin: 1 });
+    expect(user.attributes).toEqual({ name: 'Alice' });
+    expect(user.isGuarded('is_admin')).toBe(true);
+    expect(user.isFillable('name')).toBe(true);
+  });
+
+  test('fillable wins over a wildcard guard', () => {
+    const post = new Post({ title: 'Hello', user_id: 3 });
+    expect(post.attributes).toEqual({ title: 'Hello' });
+    expect(post.isFillable('user_id')).toBe(false);
+  });
+
+  test('forceFill() bypasses fillable and guarded', async () => {
+    const user = new User().forceFill({ name: 'Root', is_admin: 1 });
+    await user.save();
+
+    const stored = await User.find(user.getAttribute('id'));
+    expect(stored.getAttribute('is_admin')).toBe(1);
+  });
+
+  test('strict mode throws a MassAssignmentError naming the rejected keys', () => {
+    let error;
+    try {
+      new StrictUser({ name: 'Eve', id: 1, is_admin: 1 });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(MassAssignmentError);
+    expect(error.keys).toEqual(['id', 'is_admin']);
+    expect(error.message).toBe('Mass assignment rejected on StrictUser: id, is_admin');
+  });
+
+  test('strict mode assigns nothing when a key is rejected', () => {
+    const user = new StrictUser({ name: 'Eve' });
+    expect(() => user.fill({ name: 'Mallory', is_admin: 1 })).toThrow(MassAssignmentError);
+    expect(user.getAttribute('name')).toBe('Eve');
+  });
+});
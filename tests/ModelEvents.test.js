@@ -0,0 +1,104 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Model Events', () => {
+  let db;
+
+  class Article extends Model {
+    static table = 'articles';
+    static fillable = ['title', 'slug'];
+    static softDeletes = true;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    Article.setConnection(db);
+    await db.execute('CREATE TABLE articles (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, slug TEXT, deleted_at TEXT, created_at TEXT, updated_at TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  afterEach(() => {
+    Article.flushEventListeners();
+  });
+
+  test('fires events in lifecycle order', async () => {
+    const fired = [];
+    for (const event of ['saving', 'creating', 'created', 'updating', 'updated', 'saved', 'deleting', 'deleted', 'restoring', 'restored']) {
+      Article.listen(event, () => { fired.push(event); });
+    }
+
+    const article = await Article.create({ title: 'Hello' });
+    expect(fired).toEqual(['saving', 'creating', 'created', 'saved']);
+
+    fired.length = 0;
+    article.setAttribute('title', 'Hello again');
+    await article.save();
+    expect(fired).toEqual(['saving', 'updating', 'updated', 'saved']);
+
+    fired.length = 0;
+    await article.destroy();
+    await article.restore();
+    expect(fired).toEqual(['deleting', 'deleted', 'restoring', 'saving', 'updating', 'updated', 'saved', 'restored']);
+  });
+
+  test('a before listener returning false cancels the operation', async () => {
+    Article.creating(article => article.getAttribute('title') !== 'blocked');
+
+    const result = await new Article({ title: 'blocked' }).save();
+    expect(result).toBe(false);
+    expect(await Article.where('title', 'blocked').count()).toBe(0);
+
+    const article = await Article.create({ title: 'allowed' });
+    Article.deleting(() => false);
+    expect(await article.destroy()).toBe(false);
+    expect(await Article.find(article.getAttribute('id'))).not.toBeNull();
+  });
+
+  test('listeners can mutate the model before it is written', async () => {
+    Article.saving(article => {
+      article.setAttribute('slug', article.getAttribute('title').toLowerCase().replace(/\s+/g, '-'));
+    });
+
+    const article = await Article.create({ title: 'My First Post' });
+    const stored = await Article.find(article.getAttribute('id'));
+    expect(stored.getAttribute('slug')).toBe('my-first-post');
+  });
+
+  test('observe() registers observer methods', async () => {
+    const calls = [];
+    class ArticleObserver {
+      async created(article) { calls.push(`created:${article.getAttribute('title')}`); }
+      deleted(article) { calls.push(`deleted:${article.getAttribute('title')}`); }
+    }
+    Article.observe(ArticleObserver);
+
+    const article = await Article.create({ title: 'Observed' });
+    await article.forceDelete();
+    expect(calls).toEqual(['created:Observed', 'deleted:Observed']);
+  });
+
+  test('withoutEvents() mutes listeners inside the callback only', async () => {
+    const fired = [];
+    Article.created(() => { fired.push('created'); });
+
+    await Article.withoutEvents(async () => {
+      await Article.create({ title: 'Imported 1' });
+      await Article.create({ title: 'Imported 2' });
+    });
+    expect(fired).toEqual([]);
+
+    await Article.create({ title: 'Live' });
+    expect(fired).toEqual(['created']);
+  });
+
+  test('listeners are scoped to the model class', () => {
+    class Other extends Article {}
+    Article.saving(() => {});
+    expect(Other.getEventListeners('saving')).toHaveLength(0);
+    expect(() => Article.listen('unknown', () => {})).toThrow("Unknown model event 'unknown'");
+  });
+});
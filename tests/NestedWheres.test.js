@@ -0,0 +1,125 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Nested where groups', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    static scopeAdmins(qb) { return qb.where('role', 'admin'); }
+    posts() { return this.hasMany(Post, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+  }
+
+  const compile = qb => new DatabaseConnection({ driver: 'mysql' })
+    .buildSelectQuery(User.table, qb.buildQuery());
+
+  const names = async qb => (await qb.orderBy('id').get()).pluck('name');
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [User, Post].forEach(m => m.setConnection(db));
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, role TEXT, votes INTEGER, active INTEGER)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT)');
+    await db.insertMany('users', [
+      { name: 'ann', role: 'admin', votes: 10, active: 1 },
+      { name: 'bob', role: 'user', votes: 200, active: 1 },
+      { name: 'cy', role: 'user', votes: 5, active: 1 },
+      { name: 'dee', role: 'admin', votes: 50, active: 0 }
+    ]);
+    await db.insertMany('posts', [
+      { user_id: 1, title: 'draft' },
+      { user_id: 1, title: 'final' },
+      { user_id: 2, title: 'draft' }
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('where(callback) compiles a parenthesized group', () => {
+    const query = User.where('active', 1)
+      .where(q => q.where('role', 'admin').orWhere('votes', '>', 100));
+
+    expect(compile(query)).toEqual({
+      sql: 'SELECT * FROM users WHERE active = ? AND (role = ? OR votes > ?)',
+      params: [1, 'admin', 100]
+    });
+  });
+
+  test('orWhere(callback), whereNot() and orWhereNot()', () => {
+    const query = User.query()
+      .where('active', 1)
+      .orWhere(q => q.where('role', 'admin').whereIn('votes', [10, 50]))
+      .whereNot(q => q.whereNull('name').orWhere('name', ''))
+      .orWhereNot(q => q.whereLike('name', 'x%'));
+
+    expect(compile(query)).toEqual({
+      sql: 'SELECT * FROM users WHERE active = ? OR (role = ? AND votes IN (?, ?)) AND NOT (name IS NULL OR name = ?) OR NOT (name LIKE ?)',
+      params: [1, 'admin', 10, 50, '', 'x%']
+    });
+  });
+
+  test('groups nest arbitrarily and keep the parameter order', () => {
+    const query = User.where(q => q
+      .where('a', 1)
+      .orWhere(q2 => q2
+        .where('b', 2)
+        .whereNot(q3 => q3.where('c', 3).orWhere('d', 4))))
+      .where('e', 5);
+
+    expect(compile(query)).toEqual({
+      sql: 'SELECT * FROM users WHERE (a = ? OR (b = ? AND NOT (c = ? OR d = ?))) AND e = ?',
+      params: [1, 2, 3, 4, 5]
+    });
+  });
+
+  test('empty groups are ignored', () => {
+    const query = User.where(() => {}).whereNot(q => q.where(() => {})).where('active', 1);
+    expect(compile(query).sql).toBe('SELECT * FROM users WHERE active = ?');
+    expect(query.wheres).toHaveLength(1);
+  });
+
+  test('PostgreSQL placeholders are numbered across groups', async () => {
+    const pg = new DatabaseConnection({ driver: 'postgres' });
+    const { sql } = pg.buildSelectQuery('users', User.where('x', 1).where(q => q.where('y', 2).orWhere('z', 3)).buildQuery());
+    expect(pg.convertToDriverPlaceholder(sql)).toBe('SELECT * FROM users WHERE x = $1 AND (y = $2 OR z = $3)');
+  });
+
+  test('groups filter rows, count and accept local scopes', async () => {
+    expect(await names(User.where('active', 1).where(q => q.admins().orWhere('votes', '>', 100))))
+      .toEqual(['ann', 'bob']);
+    expect(await names(User.whereNot(q => q.where('role', 'admin').orWhere('active', 0))))
+      .toEqual(['bob', 'cy']);
+    expect(await User.where(q => q.where('votes', '<', 20).orWhere('name', 'dee')).count()).toBe(3);
+  });
+
+  test('whereHas() and has() work inside groups', async () => {
+    expect(await names(User.where(q => q.whereHas('posts').orWhere('role', 'user')))).toEqual(['ann', 'bob', 'cy']);
+    expect(await names(User.whereNot(q => q.whereHas('posts', p => p.where('title', 'final')))))
+      .toEqual(['bob', 'cy', 'dee']);
+    expect(await names(User.where(q => q.has('posts', '>=', 2).orWhere('name', 'dee')))).toEqual(['ann', 'dee']);
+    expect(await User.whereNot(q => q.has('posts')).count()).toBe(2);
+  });
+
+  test('joins inside a group throw', () => {
+    expect(() => User.where(q => q.join('posts', 'posts.user_id', '=', 'users.id')))
+      .toThrow('Joins cannot be added inside a where group');
+  });
+
+  test('relation queries and bulk updates accept groups', async () => {
+    const ann = await User.where('name', 'ann').first();
+    const posts = await ann.posts().where(q => q.where('title', 'final').orWhere('title', 'missing')).get();
+    expect(posts.pluck('title')).toEqual(['final']);
+
+    await User.where(q => q.where('name', 'cy').orWhere('name', 'dee')).update({ votes: 0 });
+    expect(await names(User.where('votes', 0))).toEqual(['cy', 'dee']);
+  });
+});
@@ -0,0 +1,130 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { StaleModelError } = require('../src/Errors');
+const { Blueprint } = require('../lib/Schema/Schema');
+
+describe('Optimistic locking', () => {
+  let db;
+
+  class Document extends Model {
+    static table = 'documents';
+    static timestamps = false;
+    static versionColumn = 'lock_version';
+  }
+
+  class Note extends Model {
+    static table = 'notes';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    Document.setConnection(db);
+    Note.setConnection(db);
+
+    const blueprint = new Blueprint('documents', db);
+    blueprint.id();
+    blueprint.string('title');
+    blueprint.lockVersion();
+    for (const sql of blueprint.toSql('create')) {
+      await db.execute(sql);
+    }
+    await db.execute('CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, body TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM documents');
+    await db.execute('DELETE FROM notes');
+  });
+
+  const createDocument = () => {
+    const doc = new Document();
+    doc.forceFill({ title: 'draft' });
+    return doc.save();
+  };
+
+  test('Blueprint.lockVersion() adds an integer column defaulting to 0', () => {
+    const blueprint = new Blueprint('documents', db);
+    blueprint.lockVersion();
+    blueprint.lockVersion('revision');
+    expect(blueprint.toSql('create')[0]).toContain('lock_version INT NOT NULL DEFAULT 0');
+    expect(blueprint.toSql('create')[0]).toContain('revision INT NOT NULL DEFAULT 0');
+  });
+
+  test('inserts start at version 0 and each update increments it', async () => {
+    const doc = await createDocument();
+    expect(doc.getAttribute('lock_version')).toBe(0);
+
+    doc.setAttribute('title', 'v1');
+    await doc.save();
+    expect(doc.getAttribute('lock_version')).toBe(1);
+    expect(doc.isClean()).toBe(true);
+    expect(doc.getChanges()).toEqual({ title: 'v1', lock_version: 1 });
+
+    const row = await Document.find(doc.getAttribute('id'));
+    expect(row.getAttribute('lock_version')).toBe(1);
+  });
+
+  test('updates are constrained on the loaded version', async () => {
+    const doc = await createDocument();
+    const update = jest.spyOn(db, 'update');
+
+    doc.setAttribute('title', 'v1');
+    await doc.save();
+
+    const [, data, query] = update.mock.calls[0];
+    expect(data).toEqual({ title: 'v1', lock_version: 1 });
+    expect(query.wheres[1]).toMatchObject({ column: 'lock_version', operator: '=', value: 0 });
+    update.mockRestore();
+  });
+
+  test('a concurrent update throws StaleModelError and leaves the row untouched', async () => {
+    const doc = await createDocument();
+    const first = await Document.find(doc.getAttribute('id'));
+    const second = await Document.find(doc.getAttribute('id'));
+
+    first.setAttribute('title', 'first');
+    await first.save();
+
+    second.setAttribute('title', 'second');
+    const error = await second.save().catch(e => e);
+    expect(error).toBeInstanceOf(StaleModelError);
+    expect(error.model).toBe('Document');
+    expect(error.id).toBe(doc.getAttribute('id'));
+    expect(error.version).toBe(0);
+    expect(second.getAttribute('lock_version')).toBe(0);
+    expect(second.isDirty('title')).toBe(true);
+
+    const row = await Document.find(doc.getAttribute('id'));
+    expect(row.getAttribute('title')).toBe('first');
+
+    await second.refresh();
+    second.setAttribute('title', 'second');
+    await second.save();
+    expect(second.getAttribute('lock_version')).toBe(2);
+  });
+
+  test('updating a deleted row throws StaleModelError', async () => {
+    const doc = await createDocument();
+    await db.execute('DELETE FROM documents');
+
+    doc.setAttribute('title', 'gone');
+    await expect(doc.save()).rejects.toThrow(StaleModelError);
+  });
+
+  test('models without versionColumn keep last-write-wins updates', async () => {
+    const note = new Note();
+    note.forceFill({ body: 'a' });
+    await note.save();
+    await db.execute('DELETE FROM notes');
+
+    note.setAttribute('body', 'b');
+    await expect(note.save()).resolves.toBe(note);
+    expect(note.getAttribute('lock_version')).toBeUndefined();
+  });
+});
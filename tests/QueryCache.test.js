@@ -0,0 +1,220 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { MemoryStore } = require('../src/Cache');
+const { DB } = require('../src/ConnectionManager');
+
+describe('Query cache', () => {
+  let db;
+  let selects;
+
+  class Author extends Model {
+    static table = 'authors';
+    static timestamps = false;
+    books() { return this.hasMany(Book, 'author_id'); }
+  }
+
+  class Book extends Model {
+    static table = 'books';
+    static timestamps = false;
+    static softDeletes = true;
+  }
+
+  class Tag extends Model {
+    static table = 'tags';
+    static timestamps = false;
+  }
+
+  class Attachment extends Model {
+    static table = 'attachments';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [Author, Book, Tag, Attachment].forEach(m => m.setConnection(db));
+    await db.execute('CREATE TABLE authors (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE books (id INTEGER PRIMARY KEY AUTOINCREMENT, author_id INTEGER, title TEXT, deleted_at TEXT)');
+    await db.execute('CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE attachments (id INTEGER PRIMARY KEY AUTOINCREMENT, data BLOB)');
+    db.on('query', event => {
+      if (event.sql.startsWith('SELECT')) selects++;
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    DB.setCacheStore(new MemoryStore());
+    for (const table of ['authors', 'books', 'tags']) {
+      await db.execute(`DELETE FROM ${table}`);
+    }
+    await db.insertMany('authors', [{ name: 'Ann' }, { name: 'Bob' }]);
+    await db.insertMany('tags', [{ name: 'x' }]);
+    selects = 0;
+  });
+
+  test('remember() serves identical reads from the cache', async () => {
+    const first = await Author.query().orderBy('name').remember(60).get();
+    const second = await Author.query().orderBy('name').remember(60).get();
+
+    expect(selects).toBe(1);
+    expect(second.pluck('name')).toEqual(['Ann', 'Bob']);
+    expect(second[0]).not.toBe(first[0]);
+    expect(second[0].exists).toBe(true);
+
+    await Author.query().orderBy('name', 'desc').remember(60).get();
+    await Author.where('name', 'Ann').remember(60).first();
+    expect(selects).toBe(3);
+  });
+
+  test('count() is cached separately from the rows', async () => {
+    expect(await Author.remember(60).count()).toBe(2);
+    expect(await Author.remember(60).count()).toBe(2);
+    expect((await Author.remember(60).get())).toHaveLength(2);
+    expect(selects).toBe(2);
+  });
+
+  test('cached models do not share state with the cache', async () => {
+    const [ann] = await Author.query().orderBy('id').remember(60).get();
+    ann.setAttribute('name', 'changed');
+    const [again] = await Author.query().orderBy('id').remember(60).get();
+    expect(again.getAttribute('name')).toBe('Ann');
+  });
+
+  test('BLOB columns stay Buffers on cache hits', async () => {
+    await db.insert('attachments', { data: Buffer.from([1, 2, 3]) });
+    const read = async () => (await Attachment.query().remember(60).first()).getAttribute('data');
+
+    const uncached = await read();
+    const cached = await read();
+    expect(selects).toBe(1);
+    expect(Buffer.isBuffer(uncached)).toBe(true);
+    expect(Buffer.isBuffer(cached)).toBe(true);
+    expect(cached).toEqual(Buffer.from([1, 2, 3]));
+
+    cached[0] = 9;
+    expect(await read()).toEqual(Buffer.from([1, 2, 3]));
+  });
+
+  test('save(), destroy() and builder writes invalidate the table', async () => {
+    const read = () => Author.query().orderBy('id').remember(60).get();
+    await read();
+
+    const ann = await Author.query().orderBy('id').first();
+    ann.setAttribute('name', 'Anna');
+    await ann.save();
+    expect((await read()).pluck('name')).toEqual(['Anna', 'Bob']);
+
+    await Author.create({ name: 'Cy' });
+    expect(await read()).toHaveLength(3);
+
+    await Author.where('name', 'Cy').update({ name: 'Cyd' });
+    expect((await read()).pluck('name')).toContain('Cyd');
+
+    await Author.where('name', 'Cyd').delete();
+    expect(await read()).toHaveLength(2);
+
+    await ann.destroy();
+    expect((await read()).pluck('name')).toEqual(['Bob']);
+  });
+
+  test('writes to other tables keep the entries', async () => {
+    await Author.remember(60).get();
+    await Tag.create({ name: 'y' });
+    await Author.remember(60).get();
+    expect(selects).toBe(1);
+  });
+
+  test('joined tables tag the entry', async () => {
+    const [ann] = await Author.query().orderBy('id').get();
+    const withBooks = () => Author.query().whereHas('books').remember(60).get();
+    expect(await withBooks()).toHaveLength(0);
+
+    await ann.books().create({ title: 'First' });
+    expect((await withBooks()).pluck('name')).toEqual(['Ann']);
+  });
+
+  test('a custom key can be forgotten, and the cache flushed', async () => {
+    await Author.remember(60, 'authors.all').get();
+    await db.execute("UPDATE authors SET name = 'raw'");
+
+    expect((await Author.remember(60, 'authors.all').get()).pluck('name')).toEqual(['Ann', 'Bob']);
+    await DB.forgetCache('authors.all');
+    expect((await Author.remember(60, 'authors.all').get()).pluck('name')).toEqual(['raw', 'raw']);
+
+    await Author.query().remember(60).count();
+    await DB.flushCache('authors');
+    await DB.flushCache();
+    selects = 0;
+    await Author.query().remember(60).count();
+    expect(selects).toBe(1);
+  });
+
+  test('entries expire after their ttl', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await Author.remember(1).get();
+    now.mockReturnValue(1999);
+    await Author.remember(1).get();
+    now.mockReturnValue(2000);
+    await Author.remember(1).get();
+    now.mockRestore();
+    expect(selects).toBe(2);
+  });
+
+  test('transactions skip the cache and invalidate again on commit', async () => {
+    await Author.remember(60).get();
+    const flushTags = jest.spyOn(DB.getCacheStore(), 'flushTags');
+
+    await db.transaction(async () => {
+      await Author.create({ name: 'Trx' });
+      expect(await Author.remember(60).get()).toHaveLength(3);
+    });
+
+    expect(flushTags).toHaveBeenCalledTimes(2);
+    expect(flushTags).toHaveBeenLastCalledWith(['authors']);
+    expect(await Author.remember(60).get()).toHaveLength(3);
+    flushTags.mockRestore();
+  });
+
+  test('custom stores can be asynchronous', async () => {
+    const data = new Map();
+    const store = {
+      get: jest.fn(async key => data.get(key)),
+      put: jest.fn(async (key, value) => { data.set(key, value); }),
+      forget: jest.fn(async key => { data.delete(key); }),
+      flushTags: jest.fn(async () => data.clear()),
+      flush: jest.fn(async () => data.clear())
+    };
+    DB.setCacheStore(store);
+
+    await Author.remember(30).get();
+    await Author.remember(30).get();
+    expect(selects).toBe(1);
+    expect(store.put.mock.calls[0][2]).toBe(30);
+    expect(store.put.mock.calls[0][3]).toEqual(['authors']);
+
+    await Author.create({ name: 'Di' });
+    expect(store.flushTags).toHaveBeenCalledWith(['authors']);
+  });
+
+  describe('MemoryStore', () => {
+    test('evicts the least recently used entries', () => {
+      const store = new MemoryStore({ maxEntries: 2 });
+      store.put('a', 1, null, ['t']);
+      store.put('b', 2, null, ['t']);
+      store.get('a');
+      store.put('c', 3, null, ['u']);
+
+      expect(store.get('a')).toBe(1);
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('c')).toBe(3);
+
+      store.flushTags(['t']);
+      expect(store.get('a')).toBeUndefined();
+      expect(store.get('c')).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { ConnectionManager } = require('../src/ConnectionManager');
+
+describe('Query events', () => {
+  let db;
+  let manager;
+  let events;
+
+  class Task extends Model {
+    static table = 'tasks';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    manager = new ConnectionManager();
+    manager.addConnection('main', { driver: 'sqlite', database: ':memory:' });
+    db = manager.connection('main');
+    Task.setConnection(db);
+    await db.execute('CREATE TABLE tasks (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, done INTEGER DEFAULT 0)');
+  });
+
+  afterAll(async () => {
+    await manager.removeConnection('main');
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM tasks');
+    events = [];
+    db.on('query', event => events.push(event));
+  });
+
+  afterEach(() => {
+    db.removeAllListeners('query');
+  });
+
+  test('selects report SQL, bindings, duration, row count and connection name', async () => {
+    await db.insertMany('tasks', [{ title: 'a' }, { title: 'b' }]);
+    events.length = 0;
+
+    await Task.where('title', '!=', 'z').get();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      sql: 'SELECT * FROM tasks WHERE title != ?',
+      bindings: ['z'],
+      rowCount: 2,
+      connectionName: 'main'
+    });
+    expect(typeof events[0].duration).toBe('number');
+    expect(events[0].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('writes, counts and raw statements are reported', async () => {
+    const task = await Task.create({ title: 'a' });
+    task.setAttribute('done', 1);
+    await task.save();
+    await Task.query().count();
+    await Task.query().increment('done');
+    await Task.upsert([{ id: task.getAttribute('id'), title: 'b' }], 'id');
+    await task.destroy();
+    await db.execute('SELECT 1');
+
+    expect(events.map(e => e.sql.split(' ')[0])).toEqual(['INSERT', 'UPDATE', 'SELECT', 'UPDATE', 'INSERT', 'DELETE', 'SELECT']);
+    expect(events[0]).toMatchObject({ bindings: ['a'], rowCount: 1 });
+    expect(events[1].bindings).toEqual([1, task.getAttribute('id')]);
+  });
+
+  test('transactions report on the root connection without control statements', async () => {
+    await db.transaction(async trx => {
+      await trx.insert('tasks', { title: 'in trx' });
+      await Task.query().count();
+    });
+    expect(events.map(e => e.sql)).toEqual([
+      'INSERT INTO tasks (title) VALUES (?)',
+      'SELECT COUNT(*) as count FROM tasks'
+    ]);
+  });
+
+  test('cursor() reports once iteration ends', async () => {
+    await db.insertMany('tasks', [{ title: 'a' }, { title: 'b' }, { title: 'c' }]);
+    events.length = 0;
+
+    for await (const task of Task.query().cursor()) {
+      if (task.getAttribute('title') === 'b') break;
+    }
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ sql: 'SELECT * FROM tasks', rowCount: 2 });
+  });
+
+  test('failed statements are not reported', async () => {
+    await expect(db.execute('SELECT * FROM missing')).rejects.toThrow();
+    expect(events).toEqual([]);
+  });
+
+  test('read replicas report through the writer', async () => {
+    const replicated = new DatabaseConnection({ driver: 'sqlite', database: ':memory:', name: 'app', read: { database: ':memory:' } });
+    const seen = [];
+    replicated.on('query', event => seen.push(event));
+
+    await replicated.readConnections[0].execute('CREATE TABLE t (id INTEGER)');
+    await replicated.select('t', {});
+    expect(seen.map(e => [e.sql, e.connectionName])).toEqual([
+      ['CREATE TABLE t (id INTEGER)', 'app'],
+      ['SELECT * FROM t', 'app']
+    ]);
+    await replicated.close();
+  });
+
+  describe('ConnectionManager', () => {
+    afterEach(() => {
+      manager.disableQueryLog().flushQueryLog();
+    });
+
+    test('enableQueryLog() records queries of every connection until disabled', async () => {
+      const other = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      expect(manager.logging()).toBe(false);
+
+      manager.enableQueryLog();
+      expect(manager.logging()).toBe(true);
+      await Task.create({ title: 'logged' });
+      await other.execute('SELECT 1');
+      manager.disableQueryLog();
+      await Task.query().count();
+
+      const log = manager.getQueryLog();
+      expect(log.map(e => [e.sql, e.connectionName])).toEqual([
+        ['INSERT INTO tasks (title) VALUES (?)', 'main'],
+        ['SELECT 1', null]
+      ]);
+
+      manager.flushQueryLog();
+      expect(manager.getQueryLog()).toEqual([]);
+      await other.close();
+    });
+
+    test('listen() returns a function removing the listener', async () => {
+      const sqls = [];
+      const stop = manager.listen(event => sqls.push(event.sql));
+      await Task.query().count();
+      stop();
+      await Task.query().count();
+      expect(sqls).toEqual(['SELECT COUNT(*) as count FROM tasks']);
+    });
+
+    test('onSlowQuery() calls back for queries over the threshold', async () => {
+      const slow = jest.fn();
+      const stopSlow = manager.onSlowQuery(0, slow);
+      const stopNone = manager.onSlowQuery(60 * 1000, slow);
+
+      await Task.query().count();
+      stopSlow();
+      stopNone();
+
+      expect(slow).toHaveBeenCalledTimes(1);
+      expect(slow.mock.calls[0][0]).toMatchObject({ sql: 'SELECT COUNT(*) as count FROM tasks', connectionName: 'main' });
+    });
+  });
+});
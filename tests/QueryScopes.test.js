@@ -0,0 +1,132 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Query Scopes', () => {
+  let db;
+
+  class TenantModel extends Model {
+    static timestamps = false;
+    static currentTenant = 1;
+  }
+  TenantModel.addGlobalScope('tenant', (qb, model) => {
+    qb.where('tenant_id', model.currentTenant);
+  });
+
+  class User extends TenantModel {
+    static table = 'users';
+
+    static scopeActive(qb) {
+      qb.where('active', 1);
+    }
+
+    static scopeOlderThan(qb, age) {
+      qb.where('age', '>', age);
+    }
+
+    posts() { return this.hasMany(Post, 'user_id'); }
+    roles() { return this.belongsToMany(Role, 'role_user', 'user_id', 'role_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static globalScopes = {
+      published: {
+        apply(qb) {
+          qb.where('status', 'published').orWhere('status', 'featured');
+        }
+      }
+    };
+  }
+
+  class Role extends Model {
+    static table = 'roles';
+    static timestamps = false;
+    static globalScopes = {
+      visible: qb => qb.where('hidden', 0)
+    };
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+    Role.setConnection(db);
+
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, tenant_id INTEGER, name TEXT, active INTEGER, age INTEGER)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, status TEXT)');
+    await db.execute(`INSERT INTO users (tenant_id, name, active, age) VALUES
+      (1, 'Alice', 1, 30), (1, 'Bob', 0, 40), (1, 'Carol', 1, 20), (2, 'Dave', 1, 50)`);
+    await db.execute(`INSERT INTO posts (user_id, status) VALUES
+      (1, 'published'), (1, 'draft'), (1, 'featured'), (3, 'draft'), (4, 'published')`);
+    await db.execute('CREATE TABLE roles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, hidden INTEGER)');
+    await db.execute('CREATE TABLE role_user (user_id INTEGER, role_id INTEGER)');
+    await db.execute("INSERT INTO roles (name, hidden) VALUES ('admin', 0), ('system', 1)");
+    await db.execute('INSERT INTO role_user (user_id, role_id) VALUES (1, 1), (1, 2), (3, 2)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('local scopes are callable on the builder', async () => {
+    const users = await User.query().active().olderThan(25).get();
+    expect(users.map(u => u.getAttribute('name'))).toEqual(['Alice']);
+
+    const viaScope = await User.query().scope('active').count();
+    expect(viaScope).toBe(2);
+
+    expect(() => User.query().scope('missing')).toThrow("Scope 'missing' is not defined on User");
+  });
+
+  test('global scopes apply to get, count and paginate', async () => {
+    expect(await User.count()).toBe(3);
+    expect((await User.all()).map(u => u.getAttribute('name'))).not.toContain('Dave');
+
+    const page = await User.query().orderBy('id').paginate(1, 2);
+    expect(page.total).toBe(3);
+    expect(page.data).toHaveLength(2);
+  });
+
+  test('global scopes are grouped with OR clauses', async () => {
+    const users = await User.where('name', 'Alice').orWhere('name', 'Dave').get();
+    expect(users.map(u => u.getAttribute('name'))).toEqual(['Alice']);
+
+    const posts = await Post.where('user_id', 1).get();
+    expect(posts.map(p => p.getAttribute('status')).sort()).toEqual(['featured', 'published']);
+  });
+
+  test('withoutGlobalScope() opts out', async () => {
+    expect(await User.withoutGlobalScope('tenant').count()).toBe(4);
+    expect(await Post.withoutGlobalScopes().count()).toBe(5);
+    expect(await User.query().withoutGlobalScopes(['tenant']).active().count()).toBe(3);
+  });
+
+  test('global scopes apply to eager loads and whereHas', async () => {
+    const users = await User.with('posts').orderBy('id').get();
+    expect(users[0].relations.posts).toHaveLength(2);
+    expect(users[2].relations.posts).toHaveLength(0);
+
+    const unscoped = await User.with({ posts: qb => qb.withoutGlobalScope('published') }).orderBy('id').get();
+    expect(unscoped[0].relations.posts).toHaveLength(3);
+
+    const withPublished = await User.query().whereHas('posts').distinct().select('users.*').get();
+    expect(withPublished.map(u => u.getAttribute('name'))).toEqual(['Alice']);
+  });
+
+  test('global scopes apply to withCount unless the callback removes them', async () => {
+    const counts = users => users.map(u => [u.getAttribute('posts_count'), u.getAttribute('roles_count')]);
+
+    const scoped = await User.query().withCount(['posts', 'roles']).orderBy('id').get();
+    expect(counts(scoped)).toEqual([[2, 1], [0, 0], [0, 0]]);
+    // Same rows as the relation itself
+    expect(await scoped[0].posts().count()).toBe(2);
+
+    const unscoped = await User.query().withCount({
+      posts: qb => qb.withoutGlobalScope('published').where('status', 'draft'),
+      roles: qb => qb.withoutGlobalScopes()
+    }).orderBy('id').get();
+    expect(counts(unscoped)).toEqual([[1, 2], [0, 0], [1, 1]]);
+  });
+});
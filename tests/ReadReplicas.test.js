@@ -0,0 +1,129 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Read/write splitting', () => {
+  let db;
+
+  class Item extends Model {
+    static table = 'items';
+    static timestamps = false;
+  }
+
+  // Three separate in-memory databases: each row name tells where a read went
+  const names = async connection => (await connection.select('items', { orders: [{ column: 'id', direction: 'asc' }] }))
+    .map(row => row.name);
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({
+      driver: 'sqlite',
+      database: ':memory:',
+      read: [{ database: ':memory:' }, { database: ':memory:' }],
+      sticky: true
+    });
+    Item.setConnection(db);
+
+    const all = [db, ...db.readConnections];
+    for (const [i, connection] of all.entries()) {
+      await connection.execute('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+      await connection.execute('INSERT INTO items (name) VALUES (?)', [['writer', 'reader-1', 'reader-2'][i]]);
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('read replicas are built from the shared config', () => {
+    expect(db.readConnections).toHaveLength(2);
+    expect(db.readConnections[0].driver).toBe('sqlite');
+    expect(db.readConnections[0].readConnections).toEqual([]);
+  });
+
+  test('select() and count() use the readers in turn', async () => {
+    db.readIndex = 0;
+    expect((await Item.all()).pluck('name')).toEqual(['reader-1']);
+    expect((await Item.all()).pluck('name')).toEqual(['reader-2']);
+    expect(await Item.query().count()).toBe(1);
+    expect((await Item.first()).getAttribute('name')).toBe('reader-2');
+  });
+
+  test('writes go to the writer', async () => {
+    await Item.create({ name: 'created' });
+    expect(await names(db.readConnections[0])).toEqual(['reader-1']);
+    await db.execute('DELETE FROM items WHERE name = ?', ['created']);
+  });
+
+  test('useWriteConnection() and locking reads use the writer', async () => {
+    expect((await Item.onWriteConnection().get()).pluck('name')).toEqual(['writer']);
+    expect((await Item.query().useWriteConnection().clone().get()).pluck('name')).toEqual(['writer']);
+    expect((await Item.query().lockForUpdate().get()).pluck('name')).toEqual(['writer']);
+  });
+
+  test('transactions read and write on the writer', async () => {
+    await db.transaction(async () => {
+      expect((await Item.all()).pluck('name')).toEqual(['writer']);
+      expect(await Item.query().count()).toBe(1);
+    });
+  });
+
+  test('sticky scopes read from the writer after a write', async () => {
+    await DatabaseConnection.stickyScope(async () => {
+      expect((await Item.all()).pluck('name')).not.toContain('writer');
+
+      const item = await Item.create({ name: 'fresh' });
+      expect((await Item.all()).pluck('name')).toEqual(['writer', 'fresh']);
+      await item.destroy();
+    });
+
+    // Outside the scope reads go back to the replicas
+    expect((await Item.all()).pluck('name')).not.toContain('writer');
+  });
+
+  test('scopes are independent and reads are not sticky without sticky: true', async () => {
+    await Promise.all([
+      DatabaseConnection.stickyScope(async () => {
+        await db.update('items', { name: 'writer' }, { wheres: [] });
+        expect((await Item.all()).pluck('name')).toEqual(['writer']);
+      }),
+      DatabaseConnection.stickyScope(async () => {
+        expect((await Item.all()).pluck('name')).not.toContain('writer');
+      })
+    ]);
+
+    const plain = new DatabaseConnection({ driver: 'sqlite', database: ':memory:', read: { database: ':memory:' } });
+    await DatabaseConnection.stickyScope(async () => {
+      await plain.execute('CREATE TABLE t (id INTEGER)');
+      expect(plain.readConnection()).toBe(plain.readConnections[0]);
+    });
+    await plain.close();
+  });
+
+  test('cursor() streams from a reader', async () => {
+    const rows = [];
+    for await (const item of Item.query().cursor()) {
+      rows.push(item.getAttribute('name'));
+    }
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatch(/^reader-/);
+  });
+
+  test('close() closes the readers', async () => {
+    const connection = new DatabaseConnection({ driver: 'sqlite', database: ':memory:', read: [{ database: ':memory:' }] });
+    await connection.readConnections[0].connect();
+    await connection.close();
+    expect(connection.readConnections[0].connection).toBeNull();
+  });
+
+  test('a write override applies to the writer only', () => {
+    const connection = new DatabaseConnection({
+      driver: 'mysql',
+      host: 'shared',
+      database: 'app',
+      write: { host: 'primary' },
+      read: [{ host: 'replica-1' }, { host: 'replica-2' }]
+    });
+    expect(connection.config.host).toBe('primary');
+    expect(connection.readConnections.map(reader => reader.config.host)).toEqual(['replica-1', 'replica-2']);
+    expect(connection.readConnections[0].config.database).toBe('app');
+  });
+});
@@ -0,0 +1,124 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Soft Deletes', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    posts() { return this.hasMany(Post, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static softDeletes = true;
+    author() { return this.belongsTo(User, 'user_id'); }
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT, deleted_at TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM users');
+    await db.execute('DELETE FROM posts');
+    await db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice'), (2, 'Bob')");
+    await db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'First'), (2, 1, 'Second'), (3, 2, 'Bob post')");
+  });
+
+  test('destroy() sets deleted_at and excludes the row from queries', async () => {
+    const post = await Post.find(1);
+    await post.destroy();
+
+    expect(post.trashed()).toBe(true);
+    expect(await Post.find(1)).toBeNull();
+    expect(await Post.count()).toBe(2);
+
+    const rows = await db.executeRawQuery('SELECT * FROM posts WHERE id = 1');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].deleted_at).not.toBeNull();
+  });
+
+  test('withTrashed() and onlyTrashed()', async () => {
+    await Post.where('id', 2).delete();
+
+    expect(await Post.withTrashed().count()).toBe(3);
+    const trashed = await Post.onlyTrashed().get();
+    expect(trashed.map(p => p.getAttribute('id'))).toEqual([2]);
+  });
+
+  test('scope wraps OR clauses', async () => {
+    await Post.where('id', 1).delete();
+
+    const posts = await Post.where('title', 'First').orWhere('title', 'Second').get();
+    expect(posts.map(p => p.getAttribute('title'))).toEqual(['Second']);
+  });
+
+  test('restore() on the model and the builder', async () => {
+    const post = await Post.find(1);
+    await post.destroy();
+    await post.restore();
+    expect(post.trashed()).toBe(false);
+    expect(await Post.find(1)).not.toBeNull();
+
+    await Post.query().delete();
+    expect(await Post.count()).toBe(0);
+    await Post.where('user_id', 1).restore();
+    expect(await Post.count()).toBe(2);
+  });
+
+  test('forceDelete() removes rows permanently', async () => {
+    const post = await Post.find(3);
+    await post.forceDelete();
+    expect(await Post.withTrashed().count()).toBe(2);
+
+    await Post.where('id', 1).forceDelete();
+    expect(await Post.withTrashed().count()).toBe(1);
+  });
+
+  test('eager loading and whereHas ignore trashed related rows', async () => {
+    await Post.where('user_id', 2).delete();
+
+    const users = await User.with('posts').orderBy('id').get();
+    expect(users[0].relations.posts).toHaveLength(2);
+    expect(users[1].relations.posts).toHaveLength(0);
+
+    const withPosts = await User.query().whereHas('posts').distinct().select('users.*').get();
+    expect(withPosts.map(u => u.getAttribute('name'))).toEqual(['Alice']);
+
+    const withoutPosts = await User.query().whereDoesntHave('posts').select('users.*').get();
+    expect(withoutPosts.map(u => u.getAttribute('name'))).toEqual(['Bob']);
+  });
+
+  test('whereHas, has and whereDoesntHave count and paginate', async () => {
+    await Post.where('id', 3).delete();
+
+    expect(await User.query().whereHas('posts').count()).toBe(1);
+    expect(await User.query().has('posts', '>=', 2).count()).toBe(1);
+    expect(await User.query().has('posts', '<', 1).count()).toBe(1);
+    expect(await User.query().whereDoesntHave('posts').count()).toBe(1);
+
+    const page = await User.query().whereHas('posts', q => q.where('title', 'Second')).paginate(1, 10);
+    expect(page.total).toBe(1);
+    expect(page.data.map(u => u.getAttribute('name'))).toEqual(['Alice']);
+  });
+
+  test('withCount ignores trashed related rows', async () => {
+    await Post.where('id', 2).delete();
+
+    const users = await User.query().withCount('posts').orderBy('id').get();
+    expect(users[0].getAttribute('posts_count')).toBe(1);
+  });
+});
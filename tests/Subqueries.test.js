@@ -0,0 +1,181 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { MemoryStore } = require('../src/Cache');
+const { DB } = require('../src/ConnectionManager');
+
+describe('Subqueries', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static timestamps = false;
+    posts() { return this.hasMany(Post, 'user_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static timestamps = false;
+    static softDeletes = true;
+  }
+
+  const compile = (driver, qb) => {
+    const connection = new DatabaseConnection({ driver });
+    const { sql, params } = connection.buildSelectQuery(qb.model.table, qb.buildQuery());
+    return { sql: connection.convertToDriverPlaceholder(sql), params };
+  };
+
+  const names = async qb => (await qb.orderBy('users.id').get()).pluck('name');
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [User, Post].forEach(m => m.setConnection(db));
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, active INTEGER)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, votes INTEGER, deleted_at TEXT)');
+    await db.insertMany('users', [
+      { name: 'ann', active: 1 },
+      { name: 'bob', active: 1 },
+      { name: 'cy', active: 0 }
+    ]);
+    await db.insertMany('posts', [
+      { user_id: 1, votes: 10, deleted_at: null },
+      { user_id: 1, votes: 30, deleted_at: null },
+      { user_id: 2, votes: 5, deleted_at: null },
+      { user_id: 3, votes: 50, deleted_at: '2024-01-01' }
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  describe('compilation', () => {
+    test('whereIn() and whereNotIn() accept a query', () => {
+      const query = User.where('active', 1)
+        .whereIn('id', Post.query().select('user_id').where('votes', '>', 20))
+        .whereNotIn('id', User.query().select('id').where('name', 'cy'));
+
+      expect(compile('mysql', query)).toEqual({
+        sql: 'SELECT * FROM users WHERE active = ? AND id IN (SELECT user_id FROM posts WHERE votes > ? AND posts.deleted_at IS NULL) AND id NOT IN (SELECT id FROM users WHERE name = ?)',
+        params: [1, 20, 'cy']
+      });
+    });
+
+    test('whereExists() variants correlate through whereColumn()', () => {
+      const posts = () => Post.query().withTrashed().whereColumn('posts.user_id', 'users.id');
+      const query = User.query()
+        .whereExists(posts().where('votes', '>', 5))
+        .orWhereNotExists(posts())
+        .whereNotExists(posts().whereColumn('posts.votes', '<', 'users.id'))
+        .orWhereExists(posts());
+
+      expect(compile('mysql', query).sql).toBe(
+        'SELECT * FROM users WHERE EXISTS (SELECT * FROM posts WHERE posts.user_id = users.id AND votes > ?)'
+        + ' OR NOT EXISTS (SELECT * FROM posts WHERE posts.user_id = users.id)'
+        + ' AND NOT EXISTS (SELECT * FROM posts WHERE posts.user_id = users.id AND posts.votes < users.id)'
+        + ' OR EXISTS (SELECT * FROM posts WHERE posts.user_id = users.id)'
+      );
+    });
+
+    test('bindings follow the SQL order and are renumbered on PostgreSQL', () => {
+      const query = User.query()
+        .select('u.*')
+        .selectSub(Post.query().withTrashed().select('MAX(votes)').where('votes', '<', 1), 'best')
+        .fromSub(User.query().where('active', 2), 'u')
+        .joinSub(Post.query().withTrashed().select('user_id').where('votes', '>', 3), 'p', 'p.user_id', 'u.id')
+        .where('u.name', '!=', 'x')
+        .whereIn('u.id', Post.query().withTrashed().select('user_id').where('votes', 5))
+        .groupBy('u.id')
+        .having('u.id', '>', 6);
+
+      expect(compile('postgres', query)).toEqual({
+        sql: 'SELECT u.*, (SELECT MAX(votes) FROM posts WHERE votes < $1) AS best'
+          + ' FROM (SELECT * FROM users WHERE active = $2) AS u'
+          + ' INNER JOIN (SELECT user_id FROM posts WHERE votes > $3) AS p ON p.user_id = u.id'
+          + ' WHERE u.name != $4 AND u.id IN (SELECT user_id FROM posts WHERE votes = $5)'
+          + ' GROUP BY u.id HAVING u.id > $6',
+        params: [1, 2, 3, 'x', 5, 6]
+      });
+    });
+
+    test('subqueries drop eager loads and locks', () => {
+      const query = User.whereIn('id', Post.query().select('user_id').with('author').lockForUpdate());
+      expect(compile('mysql', query).sql).toBe('SELECT * FROM users WHERE id IN (SELECT user_id FROM posts WHERE posts.deleted_at IS NULL)');
+    });
+
+    test('withCount() compiles through selectSub()', () => {
+      expect(compile('mysql', User.query().withCount('posts')).sql).toBe(
+        'SELECT *, (SELECT COUNT(*) FROM posts WHERE posts.user_id = users.id AND posts.deleted_at IS NULL) AS posts_count FROM users'
+      );
+    });
+
+    test('subqueries must be query builders', () => {
+      expect(() => User.query().whereExists('SELECT 1')).toThrow(TypeError);
+      expect(() => User.query().selectSub(Post, 'x')).toThrow('Subqueries must be QueryBuilder instances');
+    });
+  });
+
+  describe('execution', () => {
+    test('whereIn(subquery) and whereExists() filter rows', async () => {
+      expect(await names(User.whereIn('id', Post.query().select('user_id').where('votes', '>', 20)))).toEqual(['ann']);
+      // Soft deleted posts are excluded from the subquery
+      expect(await names(User.whereExists(Post.query().whereColumn('posts.user_id', 'users.id')))).toEqual(['ann', 'bob']);
+      expect(await names(User.query().whereNotExists(Post.query().whereColumn('posts.user_id', 'users.id')))).toEqual(['cy']);
+      expect(await User.query().whereNotIn('id', Post.query().select('user_id')).count()).toBe(1);
+    });
+
+    test('selectSub() adds an attribute to the models', async () => {
+      const users = await User.query()
+        .selectSub(Post.query().select('SUM(votes)').whereColumn('posts.user_id', 'users.id'), 'total_votes')
+        .orderBy('id')
+        .get();
+
+      expect(users.map(u => [u.getAttribute('name'), u.getAttribute('total_votes')]))
+        .toEqual([['ann', 40], ['bob', 5], ['cy', null]]);
+    });
+
+    test('fromSub() and joinSub() read derived tables', async () => {
+      const active = User.query().fromSub(User.where('active', 1), 'users');
+      expect(await names(active)).toEqual(['ann', 'bob']);
+      expect(await active.count()).toBe(2);
+
+      const totals = Post.query().select('user_id', 'SUM(votes) AS total').groupBy('user_id');
+      const rows = await User.query()
+        .select('users.name', 't.total')
+        .joinSub(totals, 't', 't.user_id', '=', 'users.id')
+        .where('t.total', '>', 1)
+        .orderBy('users.id')
+        .get();
+      expect(rows.map(u => [u.getAttribute('name'), u.getAttribute('total')])).toEqual([['ann', 40], ['bob', 5]]);
+
+      const left = await User.query()
+        .select('users.name', 't.total')
+        .leftJoinSub(totals, 't', 't.user_id', 'users.id')
+        .orderBy('users.id')
+        .get();
+      expect(left.pluck('total')).toEqual([40, 5, null]);
+    });
+
+    test('count() and paginate() keep joins and their bindings', async () => {
+      const counts = Post.query().select('user_id', 'COUNT(*) AS n').where('votes', '>', 1).groupBy('user_id');
+      const query = () => User.query()
+        .select('users.name', 'pc.n')
+        .joinSub(counts, 'pc', 'pc.user_id', '=', 'users.id')
+        .where('pc.n', '>', 1);
+
+      expect(await query().count()).toBe(1);
+      const page = await query().paginate(1, 10);
+      expect(page.total).toBe(1);
+      expect(page.data.map(u => [u.getAttribute('name'), u.getAttribute('n')])).toEqual([['ann', 2]]);
+    });
+
+    test('cached queries are invalidated by writes to subquery tables', async () => {
+      DB.setCacheStore(new MemoryStore());
+      const read = () => User.whereIn('id', Post.query().select('user_id')).remember(60).count();
+
+      expect(await read()).toBe(2);
+      await Post.create({ user_id: 3, votes: 1 });
+      expect(await read()).toBe(3);
+    });
+  });
+});
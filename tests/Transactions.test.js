@@ -0,0 +1,198 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Transactions (SQLite)', () => {
+  let db;
+
+  class User extends Model {
+    static table = 'users';
+    static fillable = ['name'];
+    posts() { return this.hasMany(Post, 'user_id'); }
+    roles() { return this.belongsToMany(Role, 'role_user', 'user_id', 'role_id'); }
+  }
+
+  class Post extends Model {
+    static table = 'posts';
+    static fillable = ['title', 'user_id'];
+  }
+
+  class Role extends Model {
+    static table = 'roles';
+    static timestamps = false;
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    User.setConnection(db);
+    Post.setConnection(db);
+    Role.setConnection(db);
+
+    await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, created_at TEXT, updated_at TEXT)');
+    await db.execute('CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, title TEXT, created_at TEXT, updated_at TEXT)');
+    await db.execute('CREATE TABLE roles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE role_user (user_id INTEGER, role_id INTEGER)');
+    await db.insert('roles', { name: 'admin' });
+    await db.insert('roles', { name: 'editor' });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM users');
+    await db.execute('DELETE FROM posts');
+    await db.execute('DELETE FROM role_user');
+  });
+
+  test('commits when the callback resolves', async () => {
+    const result = await db.transaction(async (trx) => {
+      expect(trx.inTransaction()).toBe(true);
+      await User.create({ name: 'Alice' });
+      await User.create({ name: 'Bob' });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await User.count()).toBe(2);
+  });
+
+  test('rolls back when the callback throws', async () => {
+    await expect(db.transaction(async () => {
+      await User.create({ name: 'Alice' });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await User.count()).toBe(0);
+  });
+
+  test('nested transactions roll back to their savepoint only', async () => {
+    await db.transaction(async (trx) => {
+      await User.create({ name: 'Outer' });
+
+      await expect(trx.transaction(async () => {
+        await User.create({ name: 'Inner' });
+        throw new Error('inner failure');
+      })).rejects.toThrow('inner failure');
+
+      // Calling transaction() on the root connection nests as well
+      await db.transaction(async (nested) => {
+        expect(nested.transactionDepth).toBe(2);
+        await User.create({ name: 'Inner ok' });
+      });
+    });
+
+    const names = (await User.orderBy('id').get()).map(u => u.getAttribute('name'));
+    expect(names).toEqual(['Outer', 'Inner ok']);
+  });
+
+  test('concurrent nested transactions use distinct savepoints', async () => {
+    const statements = [];
+    const spy = jest.spyOn(db, 'executeTransactionStatement');
+    spy.mockImplementation(function(sql) {
+      statements.push(sql);
+      return DatabaseConnection.prototype.executeTransactionStatement.call(this, sql);
+    });
+
+    let opened;
+    const bothOpen = new Promise(resolve => { opened = resolve; });
+    let written;
+    const firstDone = new Promise(resolve => { written = resolve; });
+
+    try {
+      await db.transaction(async (trx) => {
+        let second;
+        await trx.transaction(async () => {
+          // A sibling savepoint opened while the first one is still running
+          second = expect(trx.transaction(async () => {
+            opened();
+            await firstDone;
+            throw new Error('second failure');
+          })).rejects.toThrow('second failure');
+          await bothOpen;
+          await User.create({ name: 'First' });
+        });
+        written();
+        await second;
+      });
+    } finally {
+      spy.mockRestore();
+    }
+
+    const savepoints = statements.filter(sql => sql.startsWith('SAVEPOINT'));
+    expect(new Set(savepoints).size).toBe(2);
+    // Rolling back the second savepoint leaves the first one's work alone
+    expect((await User.all()).pluck('name')).toEqual(['First']);
+  });
+
+  test('concurrent top-level transactions take turns and keep outside queries out', async () => {
+    let opened;
+    const firstOpen = new Promise(resolve => { opened = resolve; });
+
+    const first = db.transaction(async () => {
+      await User.create({ name: 'First' });
+      opened();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('first failure');
+    });
+    await firstOpen;
+    const second = db.transaction(async () => {
+      await User.create({ name: 'Second' });
+    });
+    // Not part of either transaction
+    const outside = User.create({ name: 'Outside' });
+
+    await expect(first).rejects.toThrow('first failure');
+    await Promise.all([second, outside]);
+    expect((await User.all()).pluck('name').sort()).toEqual(['Outside', 'Second']);
+  });
+
+  test('a failing rollback does not hide the original error', async () => {
+    const spy = jest.spyOn(db, 'executeTransactionStatement');
+    spy.mockImplementation(function(sql) {
+      if (sql.startsWith('ROLLBACK')) return Promise.reject(new Error('connection lost'));
+      return DatabaseConnection.prototype.executeTransactionStatement.call(this, sql);
+    });
+
+    try {
+      await expect(db.transaction(async (trx) => {
+        await trx.transaction(async () => { throw new Error('inner'); });
+      })).rejects.toThrow('inner');
+    } finally {
+      spy.mockRestore();
+      await db.executeTransactionStatement('ROLLBACK');
+    }
+  });
+
+  test('model updates and relations run on the transaction connection', async () => {
+    const user = await User.create({ name: 'Alice' });
+
+    await expect(User.transaction(async () => {
+      user.setAttribute('name', 'Alice Updated');
+      await user.save();
+      await user.posts().create({ title: 'Draft' });
+      await user.roles().sync([1, 2]);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    const fresh = await User.find(user.getAttribute('id'));
+    expect(fresh.getAttribute('name')).toBe('Alice');
+    expect(await Post.count()).toBe(0);
+    expect(await user.roles().get()).toHaveLength(0);
+
+    await User.transaction(async () => {
+      await user.posts().create({ title: 'Published' });
+      await user.roles().sync([2]);
+    });
+
+    expect(await user.posts().count()).toBe(1);
+    const roles = await user.roles().get();
+    expect(roles.map(r => r.getAttribute('name'))).toEqual(['editor']);
+  });
+
+  test('current() returns the root connection outside a transaction', () => {
+    expect(db.current()).toBe(db);
+    expect(db.inTransaction()).toBe(false);
+  });
+});
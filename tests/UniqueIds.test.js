@@ -0,0 +1,200 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { uuid, uuid7, ulid } = require('../src/UniqueIds');
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const UUID_V7 = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+describe('Unique ids and non-incrementing keys', () => {
+  describe('generators', () => {
+    test('uuid() is a version 4 UUID', () => {
+      expect(uuid()).toMatch(UUID_V4);
+      expect(uuid()).not.toBe(uuid());
+    });
+
+    test('uuid7() is a version 7 UUID ordered by time', () => {
+      const early = uuid7(Date.UTC(2024, 0, 1));
+      const late = uuid7(Date.UTC(2025, 0, 1));
+      expect(early).toMatch(UUID_V7);
+      expect(early.slice(0, 13)).toBe('018cc251-f400');
+      expect(early < late).toBe(true);
+    });
+
+    test('ulid() is 26 Crockford base32 characters ordered by time', () => {
+      const early = ulid(1469918176385);
+      expect(early).toMatch(ULID);
+      expect(early.slice(0, 10)).toBe('01ARYZ6S41');
+      expect(early < ulid(1469918176386)).toBe(true);
+    });
+  });
+
+  describe('models (SQLite)', () => {
+    let db;
+
+    class Order extends Model {
+      static table = 'orders';
+      static timestamps = false;
+      static incrementing = false;
+      static keyType = 'string';
+      static keyGenerator = 'uuid7';
+    }
+
+    class Event extends Model {
+      static table = 'events';
+      static timestamps = false;
+      static incrementing = false;
+      static keyType = 'string';
+      static keyGenerator = 'ulid';
+    }
+
+    class Ticket extends Model {
+      static table = 'tickets';
+      static timestamps = false;
+      static incrementing = false;
+      static keyType = 'string';
+      static keyGenerator = model => `T-${model.getAttribute('code')}`;
+    }
+
+    class Country extends Model {
+      static table = 'countries';
+      static timestamps = false;
+      static primaryKey = 'code';
+      static incrementing = false;
+      static keyType = 'string';
+    }
+
+    class Account extends Model {
+      static table = 'accounts';
+      static timestamps = false;
+      static primaryKey = 'account_id';
+    }
+
+    beforeAll(async () => {
+      db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      await db.connect();
+      [Order, Event, Ticket, Country, Account].forEach(m => m.setConnection(db));
+      await db.execute('CREATE TABLE orders (id CHAR(36) PRIMARY KEY, total INTEGER)');
+      await db.execute('CREATE TABLE events (id CHAR(26) PRIMARY KEY, name TEXT)');
+      await db.execute('CREATE TABLE tickets (id TEXT PRIMARY KEY, code TEXT)');
+      await db.execute('CREATE TABLE countries (code TEXT PRIMARY KEY, name TEXT)');
+      await db.execute('CREATE TABLE accounts (account_id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    test('generates the key on create and keeps it after the insert', async () => {
+      const order = await Order.create({ total: 10 });
+      expect(order.getAttribute('id')).toMatch(UUID_V7);
+
+      const found = await Order.find(order.getAttribute('id'));
+      expect(found.getAttribute('total')).toBe(10);
+
+      order.setAttribute('total', 20);
+      await order.save();
+      expect((await Order.find(order.getAttribute('id'))).getAttribute('total')).toBe(20);
+    });
+
+    test('supports ULID and custom generator functions', async () => {
+      const event = await Event.create({ name: 'launch' });
+      expect(event.getAttribute('id')).toMatch(ULID);
+
+      const ticket = new Ticket();
+      ticket.setAttribute('code', 'A1');
+      await ticket.save();
+      expect(ticket.getAttribute('id')).toBe('T-A1');
+    });
+
+    test('an explicit key is not replaced', async () => {
+      const order = new Order();
+      order.forceFill({ id: 'fixed-id', total: 1 });
+      await order.save();
+      expect(order.getAttribute('id')).toBe('fixed-id');
+    });
+
+    test('natural string keys are kept without a generator', async () => {
+      const country = new Country();
+      country.forceFill({ code: 'FR', name: 'France' });
+      await country.save();
+
+      expect(country.getAttribute('code')).toBe('FR');
+      expect((await Country.find('FR')).getAttribute('name')).toBe('France');
+    });
+
+    test('auto-increment keys use the model primaryKey', async () => {
+      const first = await Account.create({ name: 'a' });
+      const second = await Account.create({ name: 'b' });
+      expect(second.getAttribute('account_id')).toBe(first.getAttribute('account_id') + 1);
+      expect(second.getAttribute('id')).toBeUndefined();
+    });
+
+    test('replicate() gets a new generated key', async () => {
+      const order = await Order.create({ total: 5 });
+      const copy = order.replicate();
+      await copy.save();
+      expect(copy.getAttribute('id')).toMatch(UUID_V7);
+      expect(copy.getAttribute('id')).not.toBe(order.getAttribute('id'));
+    });
+
+    test('an unknown generator throws', async () => {
+      class Broken extends Model {
+        static table = 'orders';
+        static keyGenerator = 'uuid9';
+      }
+      Broken.setConnection(db);
+      await expect(Broken.create({ total: 1 })).rejects.toThrow("Unknown key generator 'uuid9' on Broken");
+    });
+  });
+
+  describe('DatabaseConnection.insert() key handling', () => {
+    test('PostgreSQL reads the returned primary key column', async () => {
+      const db = new DatabaseConnection({ driver: 'postgres' });
+      db.pool = {};
+      db.connection = { query: jest.fn().mockResolvedValue({ rows: [{ account_id: '7', name: 'a' }], rowCount: 1 }) };
+
+      const result = await db.insert('accounts', { name: 'a' }, 'account_id');
+      expect(result.insertId).toBe('7');
+      expect(db.connection.query.mock.calls[0][0]).toBe('INSERT INTO accounts (name) VALUES ($1) RETURNING *');
+    });
+
+    test('MySQL returns the provided key when the table does not auto-increment', async () => {
+      const db = new DatabaseConnection({ driver: 'mysql' });
+      db.pool = { execute: jest.fn().mockResolvedValue([{ insertId: 0, affectedRows: 1 }]) };
+
+      const result = await db.insert('orders', { uuid: 'abc', total: 1 }, 'uuid');
+      expect(result.insertId).toBe('abc');
+    });
+
+    test('models keep a non-incrementing key filled by a database default', async () => {
+      class Device extends Model {
+        static table = 'devices';
+        static timestamps = false;
+        static incrementing = false;
+        static keyType = 'string';
+      }
+
+      const pg = new DatabaseConnection({ driver: 'postgres' });
+      pg.pool = {};
+      pg.connection = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'c0ffee00-0000-4000-8000-000000000001', name: 'a' }], rowCount: 1 }) };
+      Device.setConnection(pg);
+      expect((await Device.create({ name: 'a' })).getKey()).toBe('c0ffee00-0000-4000-8000-000000000001');
+
+      // MySQL reports no generated key for tables without AUTO_INCREMENT
+      const mysql = new DatabaseConnection({ driver: 'mysql' });
+      mysql.pool = { execute: jest.fn().mockResolvedValue([{ insertId: 0, affectedRows: 1 }]) };
+      Device.setConnection(mysql);
+      expect((await Device.create({ name: 'b' })).getKey()).toBeUndefined();
+    });
+
+    test('integer keys returned as strings are cast by keyType', () => {
+      class Big extends Model {}
+      expect(Big.castKey('42')).toBe(42);
+      expect(Big.castKey('9007199254740993')).toBe('9007199254740993');
+
+      class Str extends Model { static keyType = 'string'; }
+      expect(Str.castKey(42)).toBe('42');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const UnitOfWork = require('../src/UnitOfWork');
+const { DB } = require('../src/ConnectionManager');
+
+describe('Unit of work', () => {
+  let db;
+
+  class Author extends Model {
+    static table = 'authors';
+    static timestamps = false;
+    static rules = { name: 'required' };
+    books() { return this.hasMany(Book, 'author_id'); }
+  }
+
+  class Book extends Model {
+    static table = 'books';
+    static timestamps = false;
+    author() { return this.belongsTo(Author, 'author_id'); }
+    series() { return this.belongsTo(Series, 'series_id'); }
+  }
+
+  class Series extends Model {
+    static table = 'series';
+    static timestamps = false;
+    first() { return this.belongsTo(Book, 'first_book_id'); }
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    [Author, Book, Series].forEach(m => m.setConnection(db));
+    await db.execute('CREATE TABLE authors (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE books (id INTEGER PRIMARY KEY AUTOINCREMENT, author_id INTEGER, series_id INTEGER, title TEXT)');
+    await db.execute('CREATE TABLE series (id INTEGER PRIMARY KEY AUTOINCREMENT, first_book_id INTEGER, name TEXT)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['authors', 'books', 'series']) {
+      await db.execute(`DELETE FROM ${table}`);
+    }
+    await db.insert('authors', { id: 1, name: 'Ann' });
+    await db.insertMany('books', [{ id: 1, author_id: 1, title: 'One' }, { id: 2, author_id: 1, title: 'Two' }]);
+  });
+
+  test('a row loaded twice gives the same instance', async () => {
+    await DB.unitOfWork(async () => {
+      const ann = await Author.find(1);
+      const [book] = await Book.query().where('id', 1).with('author').get();
+      const [again] = await Author.all();
+
+      expect(book.getAttribute('author')).toBe(ann);
+      expect(again).toBe(ann);
+      expect((await book.author().get())).toBe(ann);
+    });
+
+    expect(await Author.find(1)).not.toBe(await Author.find(1));
+  });
+
+  test('pending changes survive a reload and missing columns are added', async () => {
+    await DB.unitOfWork(async () => {
+      const partial = await Author.query().select('id').first();
+      partial.setAttribute('name', 'Anna');
+
+      const [full] = await Author.query().withCount('books').get();
+      expect(full).toBe(partial);
+      expect(full.getAttribute('name')).toBe('Anna');
+      expect(full.getAttribute('books_count')).toBe(2);
+      expect(full.getDirty()).toEqual({ name: 'Anna' });
+    });
+  });
+
+  test('loadCount() and withCount() read current counts for loaded models', async () => {
+    await DB.unitOfWork(async () => {
+      const authors = await Author.query().withCount('books').get();
+      const [ann] = authors;
+      ann.setAttribute('name', 'Anna');
+      await db.insert('books', { id: 3, author_id: 1, title: 'Three' });
+
+      await authors.loadCount('books');
+      expect(ann.getAttribute('books_count')).toBe(3);
+      expect(ann.getDirty()).toEqual({ name: 'Anna' });
+
+      await db.insert('books', { id: 4, author_id: 1, title: 'Four' });
+      const [again] = await Author.query().withCount('books').get();
+      expect(again).toBe(ann);
+      expect(again.getAttribute('books_count')).toBe(4);
+      expect(again.getDirty()).toEqual({ name: 'Anna' });
+    });
+  });
+
+  test('flush() saves new and dirty models in one transaction', async () => {
+    const saved = await DB.unitOfWork(async unit => {
+      const ann = await Author.find(1);
+      const [one, two] = await ann.books().get();
+      ann.setAttribute('name', 'Anna');
+      one.setAttribute('title', 'First');
+      expect(two.isDirty()).toBe(false);
+
+      const bob = new Author({ name: 'Bob' });
+      unit.persist(bob);
+      return unit.flush();
+    });
+
+    expect(saved).toHaveLength(3);
+    expect((await Author.query().orderBy('id').get()).pluck('name')).toEqual(['Anna', 'Bob']);
+    expect((await Book.find(1)).getAttribute('title')).toBe('First');
+    expect(await DB.unitOfWork(unit => unit.flush())).toHaveLength(0);
+  });
+
+  test('associated parents are inserted before their children', async () => {
+    await DB.unitOfWork(async unit => {
+      const book = new Book({ title: 'Three' });
+      const author = new Author({ name: 'Cy' });
+      const series = new Series({ name: 'Saga' });
+      book.author().associate(author);
+      book.series().associate(series);
+      expect(book.getAttribute('author_id')).toBeUndefined();
+
+      const saved = await unit.flush();
+      expect(saved.map(model => model.constructor.name)).toEqual(['Author', 'Series', 'Book']);
+      expect(book.getAttribute('author_id')).toBe(author.getAttribute('id'));
+      expect(book.getAttribute('series_id')).toBe(series.getAttribute('id'));
+
+      // The inserted rows are part of the identity map
+      expect(await Book.find(book.getAttribute('id'))).toBe(book);
+    });
+
+    const book = await Book.where('title', 'Three').first();
+    expect((await book.author().get()).getAttribute('name')).toBe('Cy');
+  });
+
+  test('dissociate() drops the dependency', async () => {
+    await DB.unitOfWork(async unit => {
+      const book = await Book.find(1);
+      const author = new Author({ name: 'Dee' });
+      book.author().associate(author);
+      book.author().dissociate();
+
+      await unit.flush();
+      expect(book.getAttribute('author_id')).toBeNull();
+      expect(author.exists).toBe(true);
+    });
+  });
+
+  test('unsaved models depending on each other cannot be flushed', async () => {
+    await DB.unitOfWork(async unit => {
+      const book = new Book({ title: 'Loop' });
+      const series = new Series({ name: 'Loop' });
+      book.series().associate(series);
+      series.first().associate(book);
+
+      await expect(unit.flush()).rejects.toThrow('depend on each other');
+    });
+  });
+
+  test('a failed flush rolls back and restores the models', async () => {
+    await DB.unitOfWork(async unit => {
+      const ann = await Author.find(1);
+      ann.setAttribute('name', 'Changed');
+      const bad = new Author({});
+      const book = new Book({ title: 'Orphan' });
+      book.author().associate(bad);
+      unit.persist(new Author({ name: 'Eve' }));
+
+      await expect(unit.flush()).rejects.toThrow('Validation failed');
+      expect(ann.isDirty()).toBe(true);
+      expect(ann.getOriginal('name')).toBe('Ann');
+      expect(book.exists).toBe(false);
+    });
+
+    expect((await Author.find(1)).getAttribute('name')).toBe('Ann');
+    expect(await Author.query().count()).toBe(1);
+  });
+
+  test('deleted models leave the identity map; refresh() and fresh() reload', async () => {
+    await DB.unitOfWork(async () => {
+      const book = await Book.find(2);
+      await book.destroy();
+      await db.insert('books', { id: 2, author_id: 1, title: 'Back' });
+      expect(await Book.find(2)).not.toBe(book);
+
+      const ann = await Author.find(1);
+      await db.execute("UPDATE authors SET name = 'Raw'");
+      expect((await Author.find(1)).getAttribute('name')).toBe('Ann');
+
+      const fresh = await ann.fresh();
+      expect(fresh).not.toBe(ann);
+      expect(fresh.getAttribute('name')).toBe('Raw');
+      await ann.refresh();
+      expect(ann.getAttribute('name')).toBe('Raw');
+    });
+  });
+
+  test('scopes are isolated and nested calls join the open one', async () => {
+    const loaded = [];
+    await Promise.all([1, 2].map(() => DB.unitOfWork(async () => {
+      loaded.push(await Author.find(1));
+    })));
+    expect(loaded[0]).not.toBe(loaded[1]);
+
+    await DB.unitOfWork(async outer => {
+      await DB.unitOfWork(inner => expect(inner).toBe(outer));
+      expect(UnitOfWork.current()).toBe(outer);
+    });
+    expect(UnitOfWork.current()).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+
+describe('Upsert', () => {
+  describe('SQLite', () => {
+    let db;
+
+    class Product extends Model {
+      static table = 'products';
+      static casts = { tags: 'json' };
+    }
+
+    class Rate extends Model {
+      static table = 'rates';
+      static timestamps = false;
+    }
+
+    beforeAll(async () => {
+      db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+      await db.connect();
+      Product.setConnection(db);
+      Rate.setConnection(db);
+      await db.execute('CREATE TABLE products (id INTEGER PRIMARY KEY AUTOINCREMENT, sku TEXT UNIQUE, name TEXT, price INTEGER, tags TEXT, created_at TEXT, updated_at TEXT)');
+      await db.execute('CREATE TABLE rates (base TEXT, quote TEXT, rate REAL, source TEXT, PRIMARY KEY (base, quote))');
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    test('inserts new rows and updates conflicting ones', async () => {
+      await Product.insert({ sku: 'A1', name: 'Old name', price: 100, tags: '[]', created_at: 'before', updated_at: 'before' });
+
+      const result = await Product.upsert([
+        { sku: 'A1', name: 'Apple', price: 120, tags: ['fruit'] },
+        { sku: 'B2', name: 'Banana', price: 80, tags: [] }
+      ], 'sku', ['name', 'price']);
+
+      expect(result.affectedRows).toBe(2);
+      const rows = await db.executeRawQuery('SELECT * FROM products ORDER BY sku');
+      expect(rows.map(r => [r.sku, r.name, r.price, r.tags])).toEqual([
+        ['A1', 'Apple', 120, '[]'],
+        ['B2', 'Banana', 80, '[]']
+      ]);
+      expect(rows[0].created_at).toBe('before');
+      expect(rows[0].updated_at).not.toBe('before');
+      expect(rows[1].created_at).not.toBeNull();
+    });
+
+    test('defaults the update columns to everything but the unique keys', async () => {
+      await Rate.upsert([
+        { base: 'EUR', quote: 'USD', rate: 1.08, source: 'ecb' },
+        { base: 'EUR', quote: 'GBP', rate: 0.86, source: 'ecb' }
+      ], ['base', 'quote']);
+      await Rate.query().upsert({ base: 'EUR', quote: 'USD', rate: 1.1, source: 'feed' }, ['base', 'quote']);
+
+      const usd = await Rate.where('quote', 'USD').first();
+      expect(usd.getAttribute('rate')).toBe(1.1);
+      expect(usd.getAttribute('source')).toBe('feed');
+      expect(await Rate.count()).toBe(2);
+    });
+
+    test('leaves conflicting rows untouched without update columns', async () => {
+      const result = await Rate.upsert([{ base: 'EUR', quote: 'USD', rate: 9, source: 'x' }], ['base', 'quote'], []);
+      expect(result.affectedRows).toBe(0);
+      expect((await Rate.where('quote', 'USD').first()).getAttribute('rate')).toBe(1.1);
+      expect(await Rate.upsert([], 'base')).toEqual({ affectedRows: 0 });
+    });
+  });
+
+  describe('SQL per dialect', () => {
+    const rows = [{ sku: 'A1', name: 'Apple' }, { sku: 'B2', name: 'Banana' }];
+
+    test('MySQL uses ON DUPLICATE KEY UPDATE', async () => {
+      const db = new DatabaseConnection({ driver: 'mysql' });
+      db.pool = { execute: jest.fn().mockResolvedValue([{ affectedRows: 3 }]) };
+
+      const result = await db.upsert('products', rows, 'sku', ['name']);
+      expect(result).toEqual({ affectedRows: 3 });
+      expect(db.pool.execute).toHaveBeenCalledWith(
+        'INSERT INTO products (sku, name) VALUES (?, ?), (?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)',
+        ['A1', 'Apple', 'B2', 'Banana']
+      );
+
+      await db.upsert('products', rows, 'sku', []);
+      expect(db.pool.execute.mock.calls[1][0]).toBe('INSERT INTO products (sku, name) VALUES (?, ?), (?, ?) ON DUPLICATE KEY UPDATE sku = sku');
+    });
+
+    test('PostgreSQL uses ON CONFLICT DO UPDATE with $n placeholders', async () => {
+      const db = new DatabaseConnection({ driver: 'postgres' });
+      db.pool = {};
+      db.connection = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+
+      const result = await db.upsert('products', rows, ['sku'], ['name']);
+      expect(result).toEqual({ affectedRows: 2 });
+      expect(db.connection.query).toHaveBeenCalledWith(
+        'INSERT INTO products (sku, name) VALUES ($1, $2), ($3, $4) ON CONFLICT (sku) DO UPDATE SET name = excluded.name',
+        ['A1', 'Apple', 'B2', 'Banana']
+      );
+    });
+  });
+});
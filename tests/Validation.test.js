@@ -0,0 +1,108 @@
+const DatabaseConnection = require('../src/DatabaseConnection');
+const Model = require('../src/Model');
+const { ValidationError } = require('../src/Errors');
+
+describe('Model Validation', () => {
+  let db;
+
+  class Category extends Model {
+    static table = 'categories';
+    static timestamps = false;
+  }
+
+  class Article extends Model {
+    static table = 'articles';
+    static timestamps = false;
+    static casts = { tags: 'json' };
+    static rules = {
+      title: 'required|string|between:3,20',
+      slug: ['required', /^[a-z0-9-]+$/, 'unique'],
+      status: 'in:draft,published',
+      views: 'integer|min:0',
+      category_id: 'exists:categories,id',
+      tags: 'array|max:3'
+    };
+  }
+
+  beforeAll(async () => {
+    db = new DatabaseConnection({ driver: 'sqlite', database: ':memory:' });
+    await db.connect();
+    Category.setConnection(db);
+    Article.setConnection(db);
+    await db.execute('CREATE TABLE categories (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+    await db.execute('CREATE TABLE articles (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, slug TEXT, status TEXT, views INTEGER, category_id INTEGER, tags TEXT)');
+    await db.execute("INSERT INTO categories (id, name) VALUES (1, 'News')");
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.execute('DELETE FROM articles');
+  });
+
+  test('save() throws a ValidationError listing every failing attribute', async () => {
+    const article = new Article({ title: 'Hi', slug: 'Not A Slug', status: 'archived', views: -1, tags: [1, 2, 3, 4] });
+
+    const error = await article.save().catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Validation failed for Article: title, slug, status, views, tags');
+    expect(error.errors).toEqual({
+      title: ['The title field must be between 3 and 20 characters.'],
+      slug: ['The slug field format is invalid.'],
+      status: ['The selected status is invalid.'],
+      views: ['The views field must be at least 0.'],
+      tags: ['The tags field must not be greater than 3 items.']
+    });
+    expect(article.exists).toBe(false);
+    expect(await Article.count()).toBe(0);
+  });
+
+  test('required and type rules', async () => {
+    const error = await new Article({ title: 42, views: '3' }).validate().catch(e => e);
+    expect(error.errors.title).toEqual(['The title field must be of type string.']);
+    expect(error.errors.slug).toEqual(['The slug field is required.']);
+    expect(error.errors.views).toEqual(['The views field must be of type integer.']);
+  });
+
+  test('validate() resolves without saving when the model is valid', async () => {
+    const article = new Article({ title: 'Hello', slug: 'hello', status: 'draft', category_id: 1 });
+    await expect(article.validate()).resolves.toBe(true);
+    expect(article.exists).toBe(false);
+    expect(await Article.count()).toBe(0);
+  });
+
+  test('unique ignores the current row and exists checks the related table', async () => {
+    const article = await Article.create({ title: 'Hello', slug: 'hello', category_id: 1 });
+
+    const duplicate = await new Article({ title: 'Other', slug: 'hello' }).save().catch(e => e);
+    expect(duplicate.errors).toEqual({ slug: ['The slug has already been taken.'] });
+
+    article.setAttribute('title', 'Hello again');
+    await expect(article.save()).resolves.toBe(article);
+
+    const missing = await new Article({ title: 'Other', slug: 'other', category_id: 99 }).validate().catch(e => e);
+    expect(missing.errors).toEqual({ category_id: ['The selected category_id is invalid.'] });
+  });
+
+  test('updates only validate dirty attributes', async () => {
+    await db.execute("INSERT INTO articles (id, title, slug) VALUES (10, 'x', 'legacy')");
+    const article = await Article.find(10);
+    article.setAttribute('status', 'published');
+    await expect(article.save()).resolves.toBe(article);
+
+    article.setAttribute('status', 'unknown');
+    await expect(article.save()).rejects.toBeInstanceOf(ValidationError);
+    await expect(article.save({ validate: false })).resolves.toBe(article);
+  });
+
+  test('unknown rules throw', async () => {
+    class Broken extends Model {
+      static table = 'articles';
+      static rules = { title: 'shiny' };
+    }
+    Broken.setConnection(db);
+    await expect(new Broken({ title: 'x' }).validate()).rejects.toThrow("Unknown validation rule 'shiny' on Broken.title");
+  });
+});
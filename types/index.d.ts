@@ -1,6 +1,7 @@
 // Type definitions for outlet-orm
 
 declare module 'outlet-orm' {
+  import { EventEmitter } from 'events';
 
   // ==================== Database Connection ====================
 
@@ -12,14 +13,68 @@ declare module 'outlet-orm' {
     user?: string;
     password?: string;
     connectionLimit?: number;
+    /** Read replicas: settings overriding the shared ones, used in turn by select(), count() and cursor() */
+    read?: Partial<DatabaseConfig> | Array<Partial<DatabaseConfig>>;
+    /** Settings overriding the shared ones for the writer */
+    write?: Partial<DatabaseConfig>;
+    /** Read from the writer after a write in the same stickyScope() */
+    sticky?: boolean;
+    /** Reported as connectionName in query events (set by DB.addConnection()) */
+    name?: string;
   }
 
-  export class DatabaseConnection {
+  /** Emitted as `query` after each successful statement */
+  export interface QueryEvent {
+    /** SQL with ? placeholders */
+    sql: string;
+    bindings: any[];
+    /** Milliseconds */
+    duration: number;
+    /** Rows returned or affected, null when unknown */
+    rowCount: number | null;
+    connectionName: string | null;
+  }
+
+  /** Query cache store; methods may be synchronous or return promises */
+  export interface CacheStore {
+    get(key: string): any | Promise<any>;
+    /** ttl in seconds, null = no expiry; tags are table names */
+    put(key: string, value: any, ttl: number | null, tags: string[]): void | Promise<void>;
+    forget(key: string): void | Promise<void>;
+    flushTags(tags: string[]): void | Promise<void>;
+    flush(): void | Promise<void>;
+  }
+
+  /** In-process LRU cache store (the default) */
+  export class MemoryStore implements CacheStore {
+    constructor(options?: { maxEntries?: number });
+    maxEntries: number;
+    get(key: string): any;
+    put(key: string, value: any, ttl?: number | null, tags?: string[]): void;
+    forget(key: string): void;
+    flushTags(tags: string[]): void;
+    flush(): void;
+  }
+
+  export class DatabaseConnection extends EventEmitter {
     constructor(config?: Partial<DatabaseConfig>);
+    /** Query events of every connection */
+    static queryEvents: EventEmitter;
+    name: string | null;
+    on(event: 'query', listener: (event: QueryEvent) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    /** Run the callback in a sticky scope (e.g. one HTTP request) */
+    static stickyScope<R>(callback: () => R): R;
+    readConnections: DatabaseConnection[];
+    sticky: boolean;
     connect(): Promise<void>;
     select(table: string, query: QueryObject): Promise<any[]>;
-    insert(table: string, data: Record<string, any>): Promise<{ insertId: any; affectedRows: number }>;
+    insert(table: string, data: Record<string, any>, primaryKey?: string): Promise<{ insertId: any; affectedRows: number }>;
     insertMany(table: string, data: Record<string, any>[]): Promise<{ affectedRows: number }>;
+    /** Stream the rows of a SELECT (mysql2 stream, pg-cursor, sqlite each) */
+    cursor(table: string, query: Record<string, any>, options?: { batchSize?: number }): AsyncGenerator<Record<string, any>>;
+    /** INSERT ... ON DUPLICATE KEY UPDATE (MySQL) / ON CONFLICT DO UPDATE (PostgreSQL, SQLite) */
+    upsert(table: string, data: Record<string, any>[], uniqueBy: string | string[], updateColumns?: string[]): Promise<{ affectedRows: number }>;
     update(table: string, data: Record<string, any>, query: QueryObject): Promise<{ affectedRows: number }>;
     delete(table: string, query: QueryObject): Promise<{ affectedRows: number }>;
     count(table: string, query: QueryObject): Promise<number>;
@@ -30,11 +85,67 @@ declare module 'outlet-orm' {
     increment(table: string, column: string, query: QueryObject, amount?: number): Promise<{ affectedRows: number }>;
     /** Atomically decrement a column respecting query wheres */
     decrement(table: string, column: string, query: QueryObject, amount?: number): Promise<{ affectedRows: number }>;
+    /** Run the callback in a transaction; nested calls create SAVEPOINTs */
+    transaction<R>(callback: (trx: DatabaseConnection) => Promise<R>): Promise<R>;
+    /** Connection bound to the open transaction in the current async context, or this connection */
+    current(): DatabaseConnection;
+    /** Whether this connection is bound to an open transaction */
+    inTransaction(): boolean;
+    /** Run the callback in a savepoint when a transaction is open */
+    withSavepointIfNeeded<R>(callback: () => Promise<R>): Promise<R>;
+    /** Whether a driver error is a unique constraint violation */
+    isUniqueConstraintError(error: any): boolean;
     close(): Promise<void>;
     /** Backwards-compatible alias used by CLI */
     disconnect(): Promise<void>;
   }
 
+  /** Registry of named connections */
+  export class ConnectionManager {
+    /** Register a config (connected on first use) or an existing connection */
+    addConnection(name: string, config: DatabaseConfig | DatabaseConnection): this;
+    hasConnection(name: string): boolean;
+    /** Named connection, or the default one (read from .env unless registered) */
+    connection(name?: string): DatabaseConnection;
+    getDefaultConnection(): string;
+    setDefaultConnection(name: string): this;
+    getConnectionNames(): string[];
+    /** Close one connection, or every open connection */
+    disconnect(name?: string): Promise<void>;
+    removeConnection(name: string): Promise<void>;
+    /** Listen to the queries of every connection; returns a function removing the listener */
+    listen(listener: (event: QueryEvent) => void): () => void;
+    /** Callback for queries taking at least `threshold` ms; returns a function removing it */
+    onSlowQuery(threshold: number, callback: (event: QueryEvent) => void): () => void;
+    enableQueryLog(): this;
+    disableQueryLog(): this;
+    logging(): boolean;
+    getQueryLog(): QueryEvent[];
+    flushQueryLog(): this;
+    getCacheStore(): CacheStore;
+    setCacheStore(store: CacheStore): this;
+    /** Drop cached queries of the given tables, or the whole cache */
+    flushCache(tables?: string | string[]): Promise<void>;
+    /** Drop the entry cached under a remember() key */
+    forgetCache(key: string): Promise<void>;
+    /** Run a callback in a unit of work (nested calls join the open one) */
+    unitOfWork<R>(callback: (unit: UnitOfWork) => R): R;
+  }
+
+  export const DB: ConnectionManager;
+
+  /** Identity map scope opened by DB.unitOfWork() */
+  export class UnitOfWork {
+    static current(): UnitOfWork | null;
+    static run<R>(callback: (unit: UnitOfWork) => R): R;
+    /** Track new models so that flush() inserts them */
+    persist(...models: Array<Model | Model[]>): this;
+    /** Save tracked new/dirty models, parents first, in a transaction per connection */
+    flush(): Promise<Collection<Model>>;
+    /** Forget every loaded and tracked model */
+    clear(): this;
+  }
+
   // ==================== Query Builder ====================
 
   export interface QueryObject {
@@ -47,6 +158,15 @@ declare module 'outlet-orm' {
     havings?: HavingClause[];
     limit?: number | null;
     offset?: number | null;
+    lock?: LockClause | null;
+    /** Read from the writer instead of a read replica */
+    useWriteConnection?: boolean;
+  }
+
+  /** Row lock compiled by buildSelectQuery (omitted on SQLite) */
+  export interface LockClause {
+    mode: 'update' | 'share';
+    wait: null | 'skip' | 'nowait';
   }
 
   export interface WhereClause {
@@ -54,7 +174,9 @@ declare module 'outlet-orm' {
     operator?: string;
     value?: any;
     values?: any[];
-    type: 'basic' | 'in' | 'notIn' | 'null' | 'notNull' | 'between' | 'like';
+    type: 'basic' | 'in' | 'notIn' | 'null' | 'notNull' | 'between' | 'like' | 'nested';
+    /** Grouped clauses for type 'nested' */
+    wheres?: WhereClause[];
     boolean: 'and' | 'or';
   }
 
@@ -75,6 +197,8 @@ declare module 'outlet-orm' {
     first: string;
     operator: string;
     second: string;
+    /** Extra raw conditions ANDed into the ON clause */
+    constraints?: string[];
     type: 'inner' | 'left';
   }
 
@@ -88,21 +212,101 @@ declare module 'outlet-orm' {
     to: number;
   }
 
+  export interface SimplePaginationResult<T> {
+    data: T[];
+    per_page: number;
+    current_page: number;
+    has_more: boolean;
+    from: number | null;
+    to: number;
+  }
+
+  export interface CursorPaginationResult<T> {
+    data: T[];
+    per_page: number;
+    /** Opaque token for the following page, null on the last page */
+    next_cursor: string | null;
+    /** Opaque token for the previous page, null on the first page */
+    prev_cursor: string | null;
+  }
+
+  /** Array of models returned by get() and to-many relations */
+  export class Collection<T = any> extends Array<T> {
+    static make<T>(items?: Iterable<T>): Collection<T>;
+    pluck(key: string): any[];
+    pluck(key: string, keyBy: string): Record<string, any>;
+    keyBy(key: string | ((item: T) => any)): Record<string, T>;
+    groupBy(key: string | ((item: T) => any)): Record<string, Collection<T>>;
+    modelKeys(): any[];
+    find(predicate: (item: T, index: number, array: T[]) => unknown, thisArg?: any): T | undefined;
+    find(ids: any[]): Collection<T>;
+    find(id: any): T | undefined;
+    diff(items: Iterable<T>): Collection<T>;
+    unique(key?: string | ((item: T) => any)): Collection<T>;
+    toJSON(): Record<string, any>[];
+    load(...relations: string[] | [Record<string, (qb: QueryBuilder<any>) => void> | string[]]): Promise<this>;
+    loadMissing(...relations: string[] | [string[]]): Promise<this>;
+    loadCount(...relations: string[] | [string[]]): Promise<this>;
+  }
+
+  export type GlobalScope = ((qb: QueryBuilder<any>, model: typeof Model) => void) | { apply(qb: QueryBuilder<any>, model: typeof Model): void };
+
   export class QueryBuilder<T extends Model> {
     constructor(model: typeof Model);
 
+    /** Local scopes (static scopeFoo on the model) are also exposed as qb.foo(...) */
+    [scope: string]: any;
+    scope(name: string, ...args: any[]): this;
+    withoutGlobalScope(name: string): this;
+    withoutGlobalScopes(names?: string[]): this;
+    /** Copy of this builder with the model's global scopes applied */
+    applyScopes(): QueryBuilder<T>;
+    /** Run this query on a named connection of the registry */
+    useConnection(connectionName: string): this;
+    /** Read from the writer even when the connection has read replicas */
+    useWriteConnection(): this;
+    /** Cache get()/first()/count() results for `ttl` seconds (null = until invalidated) */
+    remember(ttl: number | null, key?: string): this;
+    /** Connection the query runs on (the active transaction, if any) */
+    getConnection(): DatabaseConnection;
+
     select(...columns: string[]): this;
     /** Convenience alias to pass an array of columns */
     columns(cols: string[]): this;
     distinct(): this;
+    /** Add (SELECT ...) AS alias to the selected columns */
+    selectSub(query: QueryBuilder<any>, alias: string): this;
+    /** FROM (SELECT ...) AS alias instead of the model's table */
+    fromSub(query: QueryBuilder<any>, alias: string): this;
     where(column: string, value: any): this;
     where(column: string, operator: string, value: any): this;
-    whereIn(column: string, values: any[]): this;
-    whereNotIn(column: string, values: any[]): this;
+    /** Parenthesized group of the clauses added by the callback */
+    where(callback: (qb: QueryBuilder<T>) => void): this;
+    /** Values, or a subquery selecting one column */
+    whereIn(column: string, values: any[] | QueryBuilder<any>): this;
+    whereNotIn(column: string, values: any[] | QueryBuilder<any>): this;
+    /** Compare two columns (no binding), e.g. to correlate a subquery */
+    whereColumn(first: string, second: string): this;
+    whereColumn(first: string, operator: string, second: string): this;
+    orWhereColumn(first: string, second: string): this;
+    orWhereColumn(first: string, operator: string, second: string): this;
+    whereExists(query: QueryBuilder<any>): this;
+    orWhereExists(query: QueryBuilder<any>): this;
+    whereNotExists(query: QueryBuilder<any>): this;
+    orWhereNotExists(query: QueryBuilder<any>): this;
+    /** Constrain on the model's primary key; composite keys take [a, b] or { col: value } */
+    whereKey(id: any | any[] | Record<string, any>): this;
+    /** WHERE (a, b) IN (...) as OR-ed AND groups; a single column behaves like whereIn() */
+    whereTuplesIn(columns: string | string[], tuples: any[]): this;
     whereNull(column: string): this;
     whereNotNull(column: string): this;
     orWhere(column: string, value: any): this;
     orWhere(column: string, operator: string, value: any): this;
+    orWhere(callback: (qb: QueryBuilder<T>) => void): this;
+    /** NOT (...) group */
+    whereNot(callback: (qb: QueryBuilder<T>) => void): this;
+    orWhereNot(callback: (qb: QueryBuilder<T>) => void): this;
+    whereNested(callback: (qb: QueryBuilder<T>) => void, boolean?: 'and' | 'or', not?: boolean): this;
     whereBetween(column: string, values: [any, any]): this;
     whereLike(column: string, value: string): this;
     /** Filter parents where a relation has matches */
@@ -120,25 +324,66 @@ declare module 'outlet-orm' {
     skip(value: number): this;
     take(value: number): this;
   with(...relations: string[] | [Record<string, (qb: QueryBuilder<any>) => void> | string[]]): this;
-  withCount(relations: string | string[]): this;
+  withCount(relations: string | string[] | Record<string, (qb: QueryBuilder<any>) => void>): this;
   groupBy(...columns: string[]): this;
   having(column: string, operator: string, value: any): this;
     join(table: string, first: string, second: string): this;
     join(table: string, first: string, operator: string, second: string): this;
     leftJoin(table: string, first: string, second: string): this;
     leftJoin(table: string, first: string, operator: string, second: string): this;
+    joinSub(query: QueryBuilder<any>, alias: string, first: string, second: string): this;
+    joinSub(query: QueryBuilder<any>, alias: string, first: string, operator: string, second: string): this;
+    leftJoinSub(query: QueryBuilder<any>, alias: string, first: string, second: string): this;
+    leftJoinSub(query: QueryBuilder<any>, alias: string, first: string, operator: string, second: string): this;
 
-    get(): Promise<T[]>;
+    get(): Promise<Collection<T>>;
     first(): Promise<T | null>;
     firstOrFail(): Promise<T>;
+    /** Equality constraint per attribute (IS NULL for null values) */
+    whereAttributes(attributes: Record<string, any>, table?: string): this;
+    newModelInstance(attributes?: Record<string, any>): T;
+    firstOrNew(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    firstOrCreate(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    /** Insert, or fetch the existing row when the insert violates a unique constraint */
+    createOrFirst(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    updateOrCreate(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
     paginate(page?: number, perPage?: number): Promise<PaginationResult<T>>;
+    /** Paginate without a count query */
+    simplePaginate(page?: number, perPage?: number): Promise<SimplePaginationResult<T>>;
+    /** Keyset pagination over the orderBy columns */
+    cursorPaginate(perPage?: number, cursor?: string | null): Promise<CursorPaginationResult<T>>;
+    /** LIMIT/OFFSET chunks; resolves to false when the callback returned false */
+    chunk(size: number, callback: (models: T[], page: number) => any): Promise<boolean>;
+    /** Keyset chunks (WHERE column > last value) */
+    chunkById(size: number, callback: (models: T[], page: number) => any, column?: string): Promise<boolean>;
+    /** Stream models one at a time; eager loads run per batch */
+    cursor(options?: { batchSize?: number }): AsyncGenerator<T>;
     count(): Promise<number>;
     exists(): Promise<boolean>;
     insert(data: Record<string, any> | Record<string, any>[]): Promise<any>;
+    /** Insert rows or update them on a uniqueBy conflict (timestamps applied to both halves) */
+    upsert(rows: Record<string, any> | Record<string, any>[], uniqueBy: string | string[], updateColumns?: string[]): Promise<{ affectedRows: number }>;
     update(attributes: Record<string, any>): Promise<any>;
     /** Update and return first matching row as model, optionally eager-loading relations */
     updateAndFetch(attributes: Record<string, any>, relations?: string[]): Promise<T | null>;
+    /** Soft-deleting models get deleted_at set instead of a hard DELETE */
     delete(): Promise<any>;
+    /** Include soft deleted rows */
+    withTrashed(): this;
+    /** Only soft deleted rows */
+    onlyTrashed(): this;
+    /** SELECT ... FOR UPDATE (use inside a transaction; no-op on SQLite) */
+    lockForUpdate(): this;
+    /** FOR SHARE / LOCK IN SHARE MODE (no-op on SQLite) */
+    sharedLock(): this;
+    /** Skip rows locked by other transactions (implies lockForUpdate) */
+    skipLocked(): this;
+    /** Fail instead of waiting for locked rows (implies lockForUpdate) */
+    noWait(): this;
+    /** Restore soft deleted rows */
+    restore(): Promise<any>;
+    /** Permanently delete rows, bypassing soft deletes */
+    forceDelete(): Promise<any>;
     increment(column: string, amount?: number): Promise<any>;
     decrement(column: string, amount?: number): Promise<any>;
 
@@ -147,34 +392,159 @@ declare module 'outlet-orm' {
 
   // ==================== Model ====================
 
-  export type CastType = 'int' | 'integer' | 'float' | 'double' | 'string' | 'bool' | 'boolean' | 'array' | 'json' | 'date' | 'datetime' | 'timestamp';
+  export type CastType = 'int' | 'integer' | 'float' | 'double' | 'string' | 'bool' | 'boolean' | 'array' | 'json' | 'object' | 'date' | 'datetime' | 'timestamp';
+
+  /** Bidirectional cast: get (database -> JS) and set (JS -> database); model is null for bulk writes */
+  export interface CastDefinition {
+    get(value: any, key: string, model: Model | null): any;
+    set(value: any, key: string, model: Model | null): any;
+  }
+
+  export type CastClass = new (...args: string[]) => CastDefinition;
+
+  /** Register a custom cast usable by name ('name' or 'name:arg1,arg2') */
+  export function registerCast(name: string, cast: CastClass | CastDefinition): void;
+
+  /** Pipe separated rules ('required|string|max:255') or a list of rules and RegExps */
+  export type ValidationRules = string | Array<string | RegExp>;
+
+  /** Thrown by validate() / save() when attributes break the model's rules */
+  export class ValidationError extends Error {
+    model: string;
+    /** Messages keyed by failing attribute */
+    errors: Record<string, string[]>;
+    constructor(modelName: string, errors: Record<string, string[]>);
+  }
+
+  /** Thrown by fill() in strict mode when attributes are not mass assignable */
+  export class MassAssignmentError extends Error {
+    model: string;
+    /** Rejected attributes */
+    keys: string[];
+    constructor(modelName: string, keys: string[]);
+  }
+
+  /** Thrown by save() when the versionColumn no longer matches the loaded version */
+  export class StaleModelError extends Error {
+    model: string;
+    /** Primary key of the stale row */
+    id: any;
+    /** Version the update expected */
+    version: any;
+    constructor(modelName: string, id: any, version: any);
+  }
+
+  export type ModelEvent =
+    'creating' | 'created' | 'updating' | 'updated' | 'saving' | 'saved' |
+    'deleting' | 'deleted' | 'restoring' | 'restored';
+
+  /** Returning false from a "before" listener cancels the operation */
+  export type ModelEventListener<T extends Model = Model> = (model: T) => any;
+
+  export type ModelObserver<T extends Model = Model> = Partial<Record<ModelEvent, ModelEventListener<T>>>;
+
+  export type KeyGenerator = 'uuid' | 'uuid4' | 'uuid7' | 'ulid' | ((model: Model) => any);
+
+  export function uuid(): string;
+  export function uuid7(time?: number): string;
+  export function ulid(time?: number): string;
 
   export class Model {
     static table: string;
-    static primaryKey: string;
+    /** Array of columns for a composite primary key */
+    static primaryKey: string | string[];
+    /** false when the key is not generated by the database (UUID, ULID, natural keys) */
+    static incrementing: boolean;
+    static keyType: 'int' | 'string';
+    /** Key generated on create when missing */
+    static keyGenerator: KeyGenerator | null;
+    static castKey(value: any): any;
+    /** Values of a composite key given as an array or an object, in primaryKey order */
+    static keyValues(id: any[] | Record<string, any>): any[];
     static timestamps: boolean;
     static fillable: string[];
+    /** Attributes that fill() never assigns ('*' guards every attribute) */
+    static guarded: string[];
+    /** Throw a MassAssignmentError instead of discarding non fillable keys */
+    static strictMassAssignment: boolean;
     static hidden: string[];
-    static casts: Record<string, CastType>;
+    /** Computed attributes (get<Name>Attribute accessors) included in toJSON() */
+    static appends: string[];
+    static casts: Record<string, CastType | string | CastClass | CastDefinition>;
+    static globalScopes: Record<string, GlobalScope>;
+    static rules: Record<string, ValidationRules>;
+    static softDeletes: boolean;
+    static deletedAt: string;
+    /** Optimistic locking column (e.g. 'lock_version'), checked and incremented on update */
+    static versionColumn: string | null;
     static connection: DatabaseConnection | null;
+    /** Named connection of the registry (DB.addConnection); takes precedence over `connection` */
+    static connectionName: string | null;
 
     attributes: Record<string, any>;
     original: Record<string, any>;
+    /** Attributes written by the last save */
+    changes: Record<string, any>;
     relations: Record<string, any>;
     exists: boolean;
+    /** True when the last save inserted the record */
+    wasRecentlyCreated: boolean;
+    /** Named connection the instance was loaded from or created on (Model.on() / useConnection()) */
+    connectionName: string | null;
 
     constructor(attributes?: Record<string, any>);
 
     // Static methods
     static setConnection(connection: DatabaseConnection): void;
+    /** One-off query on a named connection */
+    static on<T extends Model>(this: new () => T, connectionName: string): QueryBuilder<T>;
+    /** Query reading from the writer instead of the read replicas */
+    static onWriteConnection<T extends Model>(this: new () => T): QueryBuilder<T>;
+    /** Query whose results are cached (see QueryBuilder.remember) */
+    static remember<T extends Model>(this: new () => T, ttl: number | null, key?: string): QueryBuilder<T>;
+    static registerCast(name: string, cast: CastClass | CastDefinition): void;
+    static getCast(key: string): CastDefinition | null;
+    /** Convert attributes to their database form through casts */
+    static castAttributesForStorage(attributes: Record<string, any>): Record<string, any>;
+    /** Connection queries run on (the active transaction, if any) */
+    static getConnection(): DatabaseConnection;
+    /** Run the callback in a transaction on the model's connection */
+    static transaction<R>(callback: (trx: DatabaseConnection) => Promise<R>): Promise<R>;
+    // Events
+    static listen(event: ModelEvent, listener: ModelEventListener<any>): typeof Model;
+    static observe(observer: (new () => ModelObserver<any>) | ModelObserver<any>): typeof Model;
+    static getEventListeners(event: ModelEvent): ModelEventListener<any>[];
+    static flushEventListeners(): void;
+    static withoutEvents<R>(callback: () => R): R;
+    static creating(listener: ModelEventListener<any>): typeof Model;
+    static created(listener: ModelEventListener<any>): typeof Model;
+    static updating(listener: ModelEventListener<any>): typeof Model;
+    static updated(listener: ModelEventListener<any>): typeof Model;
+    static saving(listener: ModelEventListener<any>): typeof Model;
+    static saved(listener: ModelEventListener<any>): typeof Model;
+    static deleting(listener: ModelEventListener<any>): typeof Model;
+    static deleted(listener: ModelEventListener<any>): typeof Model;
+    static restoring(listener: ModelEventListener<any>): typeof Model;
+    static restored(listener: ModelEventListener<any>): typeof Model;
     static query<T extends Model>(this: new () => T): QueryBuilder<T>;
-    static all<T extends Model>(this: new () => T): Promise<T[]>;
-    static find<T extends Model>(this: new () => T, id: any): Promise<T | null>;
-    static findOrFail<T extends Model>(this: new () => T, id: any): Promise<T>;
+    static all<T extends Model>(this: new () => T): Promise<Collection<T>>;
+    static find<T extends Model>(this: new () => T, id: any | any[] | Record<string, any>): Promise<T | null>;
+    static findOrFail<T extends Model>(this: new () => T, id: any | any[] | Record<string, any>): Promise<T>;
     static where<T extends Model>(this: new () => T, column: string, value: any): QueryBuilder<T>;
     static where<T extends Model>(this: new () => T, column: string, operator: string, value: any): QueryBuilder<T>;
+    static where<T extends Model>(this: new () => T, callback: (qb: QueryBuilder<T>) => void): QueryBuilder<T>;
+    static whereNot<T extends Model>(this: new () => T, callback: (qb: QueryBuilder<T>) => void): QueryBuilder<T>;
+    static whereExists<T extends Model>(this: new () => T, query: QueryBuilder<any>): QueryBuilder<T>;
     static create<T extends Model>(this: new () => T, attributes: Record<string, any>): Promise<T>;
+    static firstOrNew<T extends Model>(this: new () => T, attributes: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    static firstOrCreate<T extends Model>(this: new () => T, attributes: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    static createOrFirst<T extends Model>(this: new () => T, attributes: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    static updateOrCreate<T extends Model>(this: new () => T, attributes: Record<string, any>, values?: Record<string, any>): Promise<T>;
     static insert(data: Record<string, any> | Record<string, any>[]): Promise<any>;
+    static chunk<T extends Model>(this: new () => T, size: number, callback: (models: T[], page: number) => any): Promise<boolean>;
+    static chunkById<T extends Model>(this: new () => T, size: number, callback: (models: T[], page: number) => any, column?: string): Promise<boolean>;
+    static cursor<T extends Model>(this: new () => T, options?: { batchSize?: number }): AsyncGenerator<T>;
+    static upsert(rows: Record<string, any> | Record<string, any>[], uniqueBy: string | string[], updateColumns?: string[]): Promise<{ affectedRows: number }>;
     static update(attributes: Record<string, any>): Promise<any>;
   /** Update by primary key and return the updated model, optionally eager-loading relations */
   static updateAndFetchById<T extends Model>(this: new () => T, id: any, attributes: Record<string, any>, relations?: string[]): Promise<T | null>;
@@ -186,33 +556,78 @@ declare module 'outlet-orm' {
     static limit<T extends Model>(this: new () => T, value: number): QueryBuilder<T>;
     static offset<T extends Model>(this: new () => T, value: number): QueryBuilder<T>;
     static paginate<T extends Model>(this: new () => T, page?: number, perPage?: number): Promise<PaginationResult<T>>;
-    static whereIn<T extends Model>(this: new () => T, column: string, values: any[]): QueryBuilder<T>;
+    static simplePaginate<T extends Model>(this: new () => T, page?: number, perPage?: number): Promise<SimplePaginationResult<T>>;
+    static cursorPaginate<T extends Model>(this: new () => T, perPage?: number, cursor?: string | null): Promise<CursorPaginationResult<T>>;
+    static whereIn<T extends Model>(this: new () => T, column: string, values: any[] | QueryBuilder<any>): QueryBuilder<T>;
     static whereNull<T extends Model>(this: new () => T, column: string): QueryBuilder<T>;
     static whereNotNull<T extends Model>(this: new () => T, column: string): QueryBuilder<T>;
     static count(): Promise<number>;
   static with<T extends Model>(this: new () => T, ...relations: string[] | [Record<string, (qb: QueryBuilder<any>) => void> | string[]]): QueryBuilder<T>;
+  static addGlobalScope(name: string, scope: GlobalScope): typeof Model;
+  static getGlobalScopes(): Record<string, GlobalScope>;
+  static withoutGlobalScope<T extends Model>(this: new () => T, name: string): QueryBuilder<T>;
+  static withoutGlobalScopes<T extends Model>(this: new () => T, names?: string[]): QueryBuilder<T>;
+  static withTrashed<T extends Model>(this: new () => T): QueryBuilder<T>;
+  static onlyTrashed<T extends Model>(this: new () => T): QueryBuilder<T>;
+  static lockForUpdate<T extends Model>(this: new () => T): QueryBuilder<T>;
+  static sharedLock<T extends Model>(this: new () => T): QueryBuilder<T>;
   /** Include hidden attributes in query results */
   static withHidden<T extends Model>(this: new () => T): QueryBuilder<T>;
   /** Control visibility of hidden attributes (false = hide, true = show) */
   static withoutHidden<T extends Model>(this: new () => T, show?: boolean): QueryBuilder<T>;
 
     // Instance methods
+    /** The instance's named connection, else the model's */
+    getConnection(): DatabaseConnection;
+    /** Begin a query on the instance's connection */
+    newQuery(): QueryBuilder<this>;
     fill(attributes: Record<string, any>): this;
+    /** Assign attributes bypassing fillable and guarded */
+    forceFill(attributes: Record<string, any>): this;
+    isFillable(key: string): boolean;
+    isGuarded(key: string): boolean;
     setAttribute(key: string, value: any): this;
     getAttribute(key: string): any;
+    /** Database form -> JavaScript form */
     castAttribute(key: string, value: any): any;
-    save(): Promise<this>;
+    /** JavaScript form -> database form */
+    castAttributeForStorage(key: string, value: any): any;
+    originalIsEquivalent(key: string, value: any): boolean;
+    hasGetMutator(key: string): boolean;
+    hasSetMutator(key: string): boolean;
+    /** Replace attributes without running mutators or casts */
+    setRawAttributes(attributes: Record<string, any>, sync?: boolean): this;
+    /** Check the static rules without saving; rejects with a ValidationError */
+    validate(keys?: string[]): Promise<true>;
+    /** Resolves to false when a listener cancels the save; rejects with a ValidationError */
+    save(options?: { validate?: boolean }): Promise<this | false>;
     destroy(): Promise<boolean>;
+    forceDelete(): Promise<boolean>;
+    restore(): Promise<this | false>;
+    fireModelEvent(event: ModelEvent, halt?: boolean): Promise<boolean>;
+    trashed(): boolean;
     getDirty(): Record<string, any>;
-    isDirty(): boolean;
+    isDirty(keys?: string | string[]): boolean;
+    isClean(keys?: string | string[]): boolean;
+    getOriginal(): Record<string, any>;
+    getOriginal(key: string, defaultValue?: any): any;
+    getChanges(): Record<string, any>;
+    /** Primary key value, or one value per column for a composite key */
+    getKey(): any;
+    wasChanged(keys?: string | string[]): boolean;
+    /** Reload attributes and already loaded relations from the database */
+    refresh(): Promise<this>;
+    fresh(...relations: string[] | [string[]]): Promise<this | null>;
+    /** Unsaved copy without primary key and timestamps */
+    replicate(except?: string[]): this;
     toJSON(): Record<string, any>;
   /** Load relations on an existing instance. Supports dot-notation and arrays. */
   load(...relations: string[] | [string[]]): Promise<this>;
 
     // Relationships
-    hasOne<T extends Model>(related: new () => T, foreignKey?: string, localKey?: string): HasOneRelation<T>;
-    hasMany<T extends Model>(related: new () => T, foreignKey?: string, localKey?: string): HasManyRelation<T>;
-    belongsTo<T extends Model>(related: new () => T, foreignKey?: string, ownerKey?: string): BelongsToRelation<T>;
+    hasOne<T extends Model>(related: new () => T, foreignKey?: string | string[], localKey?: string | string[]): HasOneRelation<T>;
+    hasMany<T extends Model>(related: new () => T, foreignKey?: string | string[], localKey?: string | string[]): HasManyRelation<T>;
+    belongsTo<T extends Model>(related: new () => T, foreignKey?: string | string[], ownerKey?: string | string[]): BelongsToRelation<T>;
     belongsToMany<T extends Model>(
       related: new () => T,
       pivot: string,
@@ -234,7 +649,7 @@ declare module 'outlet-orm' {
   // ==================== Relations ====================
 
   export abstract class Relation<T extends Model> {
-    constructor(parent: Model, related: new () => T, foreignKey: string, localKey: string);
+    constructor(parent: Model, related: new () => T, foreignKey: string | string[], localKey: string | string[]);
     abstract get(): Promise<T | T[] | null>;
     abstract eagerLoad(models: Model[], relationName: string, constraint?: (qb: QueryBuilder<T>) => void): Promise<void>;
   }
@@ -247,11 +662,17 @@ declare module 'outlet-orm' {
   }
 
   export class HasManyRelation<T extends Model> extends Relation<T> {
-    get(): Promise<T[]>;
+    get(): Promise<Collection<T>>;
     eagerLoad(models: Model[], relationName: string, constraint?: (qb: QueryBuilder<T>) => void): Promise<void>;
     where(column: string, value: any): QueryBuilder<T>;
     where(column: string, operator: string, value: any): QueryBuilder<T>;
     count(): Promise<number>;
+    /** Query on the parent's related models; new instances are associated with the parent */
+    query(): QueryBuilder<T>;
+    firstOrNew(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    firstOrCreate(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    createOrFirst(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    updateOrCreate(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
   }
 
   export class BelongsToRelation<T extends Model> extends Relation<T> {
@@ -262,15 +683,22 @@ declare module 'outlet-orm' {
   }
 
   export class BelongsToManyRelation<T extends Model> extends Relation<T> {
-    get(): Promise<T[]>;
+    get(): Promise<Collection<T>>;
     eagerLoad(models: Model[], relationName: string, constraint?: (qb: QueryBuilder<T>) => void): Promise<void>;
     attach(ids: number | number[]): Promise<void>;
     detach(ids?: number | number[] | null): Promise<void>;
     sync(ids: number[]): Promise<void>;
+    /** Query on the attached related models (joined through the pivot) */
+    query(): QueryBuilder<T>;
+    /** The new instance is neither saved nor attached */
+    firstOrNew(attributes?: Record<string, any>, values?: Record<string, any>): Promise<T>;
+    firstOrCreate(attributes?: Record<string, any>, values?: Record<string, any>, pivotAttributes?: Record<string, any>): Promise<T>;
+    createOrFirst(attributes?: Record<string, any>, values?: Record<string, any>, pivotAttributes?: Record<string, any>): Promise<T>;
+    updateOrCreate(attributes?: Record<string, any>, values?: Record<string, any>, pivotAttributes?: Record<string, any>): Promise<T>;
   }
 
   export class HasManyThroughRelation<T extends Model> extends Relation<T> {
-    get(): Promise<T[]>;
+    get(): Promise<Collection<T>>;
     eagerLoad(models: Model[], relationName: string, constraint?: (qb: QueryBuilder<T>) => void): Promise<void>;
   }
 }